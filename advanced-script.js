@@ -96,48 +96,6 @@ const TARIFFS = {
     }
 };
 
-// Helper: Convert c/kWh to $/MWh
-function cPerKwhToDollarPerMWh(cents) {
-    return (cents || 0) * 10;
-}
-
-// Helper: Determine time-of-use period for a given time or timestamp
-// FIXED: Now accepts either a time string (HH:MM) or timestamp, with time string preferred
-function getTariffPeriod(timeOrTimestamp, windows, timeField = null) {
-    if (!windows || Object.keys(windows).length === 0) return 'offPeak';
-    
-    let timeStr;
-    
-    // If we have a separate time field (AEST time), use that directly
-    if (timeField && typeof timeField === 'string') {
-        timeStr = timeField;
-    }
-    // If timeOrTimestamp is already a time string (HH:MM format)
-    else if (typeof timeOrTimestamp === 'string' && timeOrTimestamp.match(/^\d{2}:\d{2}$/)) {
-        timeStr = timeOrTimestamp;
-    }
-    // Otherwise, extract time from timestamp (fallback, less reliable due to timezone issues)
-    else {
-        const date = new Date(timeOrTimestamp);
-        const hours = date.getHours();
-        const minutes = date.getMinutes();
-        timeStr = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-    }
-    
-    // Check each window
-    if (windows.solarSoak) {
-        if (timeStr >= windows.solarSoak.start && timeStr < windows.solarSoak.end) {
-            return 'solarSoak';
-        }
-    }
-    if (windows.peak) {
-        if (timeStr >= windows.peak.start && timeStr < windows.peak.end) {
-            return 'peak';
-        }
-    }
-    
-    return 'offPeak';
-}
 
 // Chart instances
 let priceChart = null;
@@ -145,11 +103,18 @@ let priceChart = null;
 let dailyRevenueChart = null;
 let cumulativeChart = null;
 let utilizationChart = null;
+let sohChart = null;
 
 // Analysis results
 let analysisResults = null;
 let currentDayIndex = 0;
 
+// PV profile read from the uploaded CSV (see parsePVProfile)
+let uploadedPVProfile = null;
+
+// Cashflows and metrics for the analysed project (see updateFinancials)
+let financialModel = null;
+
 // Live Price Ticker functionality
 let priceHistory = {};
 let cryptoPrices = null;
@@ -338,6 +303,18 @@ document.addEventListener('DOMContentLoaded', function() {
     document.getElementById('startDate').addEventListener('change', updatePeriodButtons);
     document.getElementById('endDate').addEventListener('change', updatePeriodButtons);
     
+    // Read the PV profile as soon as it is chosen
+    document.getElementById('pvProfile').addEventListener('change', async function() {
+        const file = this.files && this.files[0];
+        uploadedPVProfile = file ? parsePVProfile(await file.text()) : null;
+    });
+    
+    // Re-price the project when the financial settings change, without re-running the analysis
+    ['capexPerKW', 'capexPerKWh', 'fixedOpex', 'variableOpex', 'augmentationCost', 'augmentationThreshold',
+     'projectLife', 'discountRate', 'escalation', 'taxRate', 'depreciationYears'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => updateFinancials(analysisResults));
+    });
+    
     // Check API status quietly
     checkAPIStatus();
     
@@ -483,6 +460,441 @@ function switchTab(tab) {
     }
 }
 
+/**
+ * Read a curve input of "x%:y%" pairs (e.g. "80:100, 100:25") into the
+ * [[x, y]] fraction table the optimisers take. Blank or unparseable = no curve.
+ */
+function parseCurveInput(id, yPercent = true) {
+    const text = document.getElementById(id).value.trim();
+    if (!text) return null;
+    
+    const points = text.split(',').map(pair => pair.split(':').map((v, n) =>
+        parseFloat(v) / (n === 0 || yPercent ? 100 : 1)));
+    if (points.some(p => p.length !== 2 || !isFinite(p[0]) || !isFinite(p[1]) || p[1] < 0)) {
+        console.warn(`Ignoring ${id}: expected "x:y" pairs${yPercent ? ' in %' : ''}`);
+        return null;
+    }
+    return points.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Ageing settings from the form as fractions, or null when there is no fade
+ * and no augmentation. Augmentation is "YYYY-MM-DD:SoH%" pairs that restore
+ * the state of health on those dates.
+ */
+function readAgeingInputs() {
+    const calendarFadePerYear = (parseFloat(document.getElementById('calendarFade').value) || 0) / 100;
+    const cycleFadePerCycle = (parseFloat(document.getElementById('cycleFade').value) || 0) / 100 / 1000;
+    const text = document.getElementById('augmentation').value.trim();
+    
+    let augmentation = text ? text.split(',').map(pair => {
+        const [date, soh] = pair.trim().split(':');
+        return { date, soh: parseFloat(soh) / 100 };
+    }) : [];
+    if (augmentation.some(e => !/^\d{4}-\d{2}-\d{2}$/.test(e.date) || !(e.soh > 0))) {
+        console.warn('Ignoring augmentation: expected "YYYY-MM-DD:SoH%" pairs');
+        augmentation = [];
+    }
+    augmentation.sort((a, b) => a.date.localeCompare(b.date));
+    
+    if (calendarFadePerYear <= 0 && cycleFadePerCycle <= 0 && augmentation.length === 0) return null;
+    return { calendarFadePerYear, cycleFadePerCycle, augmentation };
+}
+
+/**
+ * Outage settings from the form, or null when the battery is always
+ * available. Planned outages are "YYYY-MM-DD[..YYYY-MM-DD]/HH:MM-HH:MM[/MW]"
+ * entries (see plannedOutageWindows; no MW = the whole battery), and forced
+ * outages a rate (% of time) with a mean repair time, sampled over `trials`
+ * Monte Carlo trials (at most MAX_OUTAGE_TRIALS).
+ */
+function readOutageInputs() {
+    const text = document.getElementById('plannedOutages').value.trim();
+    let planned = text ? text.split(',').map(entry => {
+        const match = /^(\d{4}-\d{2}-\d{2})(?:\.\.(\d{4}-\d{2}-\d{2}))?\/(\d{2}:\d{2})-(\d{2}:\d{2})(?:\/([\d.]+))?$/.exec(entry.trim());
+        return match ? {
+            from: match[1],
+            to: match[2] || match[1],
+            start: match[3],
+            end: match[4],
+            mw: match[5] !== undefined ? parseFloat(match[5]) : null
+        } : null;
+    }) : [];
+    if (planned.some(outage => !outage || outage.end <= outage.start || outage.to < outage.from)) {
+        console.warn('Ignoring plannedOutages: expected "YYYY-MM-DD[..YYYY-MM-DD]/HH:MM-HH:MM[/MW]" entries');
+        planned = [];
+    }
+    const forcedOutageRate = Math.min(0.99, (parseFloat(document.getElementById('forcedOutageRate').value) || 0) / 100);
+    const meanRepairHours = parseFloat(document.getElementById('meanRepairHours').value) || 0;
+    const trials = Math.min(MAX_OUTAGE_TRIALS,
+        Math.max(0, Math.round(parseFloat(document.getElementById('outageTrials').value) || 0)));
+    
+    if (planned.length === 0 && !(forcedOutageRate > 0 && meanRepairHours > 0 && trials > 0)) return null;
+    return { planned, forcedOutageRate, meanRepairHours, trials };
+}
+
+/**
+ * Project finance settings from the form, with percentages as fractions
+ * (see buildProjectCashflows). Fade comes from the ageing inputs.
+ */
+function readFinanceInputs() {
+    const value = id => parseFloat(document.getElementById(id).value) || 0;
+    const ageing = readAgeingInputs();
+    const lifeYears = Math.max(1, Math.round(value('projectLife')) || 20);
+    return {
+        capexPerKW: value('capexPerKW'),
+        capexPerKWh: value('capexPerKWh'),
+        fixedOpexPerKWYear: value('fixedOpex'),
+        variableOpexPerMWh: value('variableOpex'),
+        augmentationPerKWh: value('augmentationCost'),
+        augmentationThreshold: value('augmentationThreshold') / 100,
+        calendarFadePerYear: ageing ? ageing.calendarFadePerYear : 0,
+        cycleFadePerCycle: ageing ? ageing.cycleFadePerCycle : 0,
+        lifeYears,
+        discountRate: value('discountRate') / 100,
+        escalation: value('escalation') / 100,
+        taxRate: value('taxRate') / 100,
+        depreciationYears: Math.max(1, Math.round(value('depreciationYears')) || lifeYears)
+    };
+}
+
+/**
+ * Marginal loss factors from the form: default generation / load MLFs and
+ * per-financial-year overrides given as "FY2025:gen/load" pairs
+ */
+function readMLFInputs() {
+    const mlf = {
+        generation: parseFloat(document.getElementById('generationMLF').value) || 1,
+        load: parseFloat(document.getElementById('loadMLF').value) || 1,
+        byYear: {}
+    };
+    const text = document.getElementById('mlfByYear').value.trim();
+    if (!text) return mlf;
+    
+    const entries = text.split(',').map(pair => {
+        const match = /^FY(\d{4})\s*:\s*([\d.]+)\s*\/\s*([\d.]+)$/i.exec(pair.trim());
+        return match ? [Number(match[1]), { generation: parseFloat(match[2]), load: parseFloat(match[3]) }] : null;
+    });
+    if (entries.some(e => !e)) {
+        console.warn('Ignoring mlfByYear: expected "FY2025:gen/load" pairs');
+        return mlf;
+    }
+    entries.forEach(([year, factors]) => { mlf.byYear[year] = factors; });
+    return mlf;
+}
+
+/**
+ * Hedge book from the form (see settleHedges), or null when empty. Each
+ * contract is "type/strike/MW/premium/window" with type cap or swap and
+ * window flat, peak or HH:MM-HH:MM, optionally followed by "weekdays".
+ */
+function readHedgeInputs() {
+    const text = document.getElementById('hedgeBook').value.trim();
+    if (!text) return null;
+    
+    const contracts = text.split(',').map(entry => {
+        const [type, strike, mw, premium, window = 'flat'] = entry.trim().split('/').map(v => v.trim());
+        const [span, days] = window.split(/\s+/);
+        const hours = /^(\d{2}:\d{2})-(\d{2}:\d{2})$/.exec(span);
+        const named = HEDGE_WINDOWS[span.toLowerCase()];
+        return {
+            type: type.toLowerCase(),
+            strike: parseFloat(strike),
+            mw: parseFloat(mw),
+            premium: parseFloat(premium) || 0,
+            window: named ? { ...named, weekdaysOnly: named.weekdaysOnly || days === 'weekdays' } :
+                hours ? { start: hours[1], end: hours[2], weekdaysOnly: days === 'weekdays' } : null
+        };
+    });
+    if (contracts.some(c => !['cap', 'swap'].includes(c.type) || !isFinite(c.strike) || !(c.mw > 0) || !c.window)) {
+        console.warn('Ignoring hedgeBook: expected "cap|swap/strike/MW/premium/window" entries');
+        return null;
+    }
+    return contracts;
+}
+
+/**
+ * Parse a PV profile CSV into the { byDate, daily } rows pvForDay takes.
+ * Each line is "HH:MM,MW" (every day) or "YYYY-MM-DD HH:MM,MW" (that day;
+ * a T separator and seconds are accepted). Headers and other lines are skipped.
+ */
+function parsePVProfile(text) {
+    const profile = { byDate: {}, daily: [] };
+    text.split(/\r?\n/).forEach(line => {
+        const match = /^\s*(?:(\d{4}-\d{2}-\d{2})[ T])?(\d{1,2}):(\d{2})(?::\d{2})?\s*,\s*(-?[\d.]+)/.exec(line);
+        if (!match) return;
+        const [, date, hour, minute, mw] = match;
+        const row = [`${hour.padStart(2, '0')}:${minute}`, parseFloat(mw)];
+        if (date) (profile.byDate[date] = profile.byDate[date] || []).push(row);
+        else profile.daily.push(row);
+    });
+    const byTime = (a, b) => a[0].localeCompare(b[0]);
+    profile.daily.sort(byTime);
+    Object.values(profile.byDate).forEach(rows => rows.sort(byTime));
+    return profile;
+}
+
+/**
+ * PV hybrid settings from the form, or null for a battery-only site
+ */
+function readPVInputs(region) {
+    const capacityMW = parseFloat(document.getElementById('pvCapacity').value) || 0;
+    if (capacityMW <= 0 && !uploadedPVProfile) return null;
+    const siteExportMW = parseFloat(document.getElementById('siteExportLimit').value);
+    return {
+        capacityMW,
+        region,
+        profile: uploadedPVProfile,
+        siteExportMW: siteExportMW > 0 ? siteExportMW : null,
+        gridCharging: document.getElementById('gridCharging').value !== 'pvOnly'
+    };
+}
+
+/**
+ * Analysis settings from the form that do not depend on the battery size
+ * (see limitsFor for those that do)
+ */
+function readAnalysisSettings() {
+    const region = document.getElementById('region').value;
+    const etaC = parseFloat(document.getElementById('chargeEfficiency').value) / 100;
+    const etaD = parseFloat(document.getElementById('dischargeEfficiency').value) / 100;
+    const optimizationMode = document.getElementById('optimizationMode').value;
+    const siteMode = document.getElementById('siteMode').value;
+    const tariffId = siteMode === 'BtM' ? document.getElementById('tariff').value : 'NONE';
+    
+    // Flat FCAS enablement price assumptions ($/MW/h); blank inputs are not offered
+    const fcasAssumptions = {};
+    [['RAISEREG', 'fcasRaiseReg'], ['LOWERREG', 'fcasLowerReg'],
+     ['RAISE60SEC', 'fcasRaise60'], ['LOWER60SEC', 'fcasLower60']].forEach(([service, id]) => {
+        const price = parseFloat(document.getElementById(id).value);
+        if (price > 0) fcasAssumptions[service] = price;
+    });
+    
+    return {
+        region,
+        startDate: document.getElementById('startDate').value,
+        endDate: document.getElementById('endDate').value,
+        numUnits: parseInt(document.getElementById('numUnits').value),
+        power: parseFloat(document.getElementById('power').value),
+        capacity: parseFloat(document.getElementById('capacity').value),
+        etaC,
+        etaD,
+        efficiency: etaC * etaD,  // round trip
+        importLimit: parseFloat(document.getElementById('importLimit').value),
+        exportLimit: parseFloat(document.getElementById('exportLimit').value),
+        maxCycles: parseFloat(document.getElementById('maxCycles').value),
+        rampMWPerMin: parseFloat(document.getElementById('rampRate').value),
+        minRunMinutes: parseFloat(document.getElementById('minRunTime').value) || 5,
+        minRestMinutes: parseFloat(document.getElementById('minRestTime').value) || 0,
+        fcasAssumptions,
+        optimizationMode,
+        rolling: optimizationMode === 'dp' && document.getElementById('horizonMode').value === 'rolling',
+        throughputCost: parseFloat(document.getElementById('throughputCost').value) || 0,
+        tariff: TARIFFS[tariffId],
+        powerFactor: parseFloat(document.getElementById('powerFactor').value) || 0.95,
+        mlfSettings: readMLFInputs(),
+        pvSettings: optimizationMode === 'dp' ? readPVInputs(region) : null,
+        hedges: readHedgeInputs(),
+        hedgeCover: document.getElementById('hedgeCover').value === 'hold',
+        marketRules: document.getElementById('marketRules').value === 'apply',
+        // 5-minute dispatch intervals, or 30-minute trading intervals as settled before 5MS
+        intervalMinutes: parseInt(document.getElementById('dataInterval').value) || DISPATCH_MINUTES,
+        outages: readOutageInputs(),
+        ageing: readAgeingInputs()
+    };
+}
+
+/**
+ * Battery limits for a site of powerMW in total. Grid-side power limits are
+ * the connection limit where set, never above the inverters: powerMW from
+ * the grid when charging and powerMW from the battery (etaD × powerMW to the
+ * grid) when discharging, as the optimisers assume without limits.
+ */
+function limitsFor(settings, powerMW) {
+    const { etaC, etaD, importLimit, exportLimit } = settings;
+    return {
+        etaC,
+        etaD,
+        importMW: importLimit > 0 ? Math.min(importLimit, powerMW) : powerMW,
+        exportMW: exportLimit > 0 ? Math.min(exportLimit, etaD * powerMW) : etaD * powerMW,
+        chargePowerCurve: parseCurveInput('chargeDerating'),
+        dischargePowerCurve: parseCurveInput('dischargeDerating'),
+        efficiencyCurve: parseCurveInput('efficiencyCurve'),
+        // Rainflow degradation: cycle life by depth of discharge, priced at the pack replacement cost
+        cycleLifeCurve: parseCurveInput('cycleLifeCurve', false),
+        replacementCostPerMWh: (parseFloat(document.getElementById('packCost').value) || 0) * 1000
+    };
+}
+
+/**
+ * Whether the DP can be solved for a battery of powerMW and capacityMWh
+ * under the settings (see dpSettingsFit); alerts if not. The heuristic
+ * has no such limit.
+ */
+function checkDPStateLimit(settings, powerMW, capacityMWh) {
+    if (settings.optimizationMode !== 'dp' ||
+        dpSettingsFit({ ...settings, limits: limitsFor(settings, powerMW) }, capacityMWh)) return true;
+    alert(`The minimum run / rest time and ramp limit make the optimisation of a ${powerMW} MW / ${capacityMWh} MWh ` +
+        'battery too large; shorten the run or rest time or relax the ramp limit');
+    return false;
+}
+
+/**
+ * Fetch every day of the period first, so multi-day mode can look ahead to
+ * the next one. Progress fills the first half of the bar.
+ * @returns {Array} [{ date, data }] with data null for days without prices
+ */
+async function fetchDays(settings, run) {
+    const start = new Date(settings.startDate);
+    const end = new Date(settings.endDate);
+    const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    
+    const dayDataByIndex = [];
+    for (let i = 0; i < days; i++) {
+        const currentDate = new Date(start);
+        currentDate.setDate(currentDate.getDate() + i);
+        const dateStr = currentDate.toISOString().split('T')[0];
+        
+        if (run.cancelled) break;
+        
+        const progress = ((i + 1) / days) * 50;
+        document.getElementById('progressBar').style.width = progress + '%';
+        document.getElementById('progressText').textContent = 
+            `Fetching ${dateStr} (${i + 1}/${days})`;
+        
+        let dayData = null;
+        try {
+            dayData = await fetchDayData(dateStr, settings.region);
+        } catch (fetchError) {
+            console.error(`No data for ${dateStr}:`, fetchError);
+        }
+        
+        if (dayData && dayData.length === 0) {
+            console.error(`Empty data for ${dateStr}`);
+            dayData = null;
+        }
+        dayDataByIndex.push({ date: dateStr, data: dayData });
+    }
+    
+    let settled = dayDataByIndex;
+    if (settings.marketRules && !run.cancelled) {
+        document.getElementById('progressText').textContent = 'Applying market rules';
+        settled = settleMarketRules(dayDataByIndex, await fetchHistory(settings, CPT_HISTORY_DAYS));
+    }
+    return resampleDays(settled, settings.intervalMinutes);
+}
+
+/**
+ * Days of dispatch intervals as trading intervals of `minutes` (see
+ * tradingIntervals in market-rules.js); 5-minute days are left as they are.
+ */
+function resampleDays(days, minutes) {
+    if (minutes <= DISPATCH_MINUTES) return days;
+    return days.map(day => day.data ? { date: day.date, data: tradingIntervals(day.data, minutes) } : day);
+}
+
+/**
+ * Prices as they would settle under each financial year's market rules (see
+ * applyMarketRules in market-rules.js), with the CPT_HISTORY_DAYS days
+ * before the period seeding the cumulative price threshold window. The
+ * window counts intervals in time: days and intervals without data hold
+ * their place as gaps. Each interval's price is the settled one, with the
+ * dispatch price kept as rrp and priceFlag set where the cap, floor or
+ * administered pricing applied. Cached day data is left as fetched.
+ */
+function settleMarketRules(dayDataByIndex, history) {
+    const perDay = 24 * 60 / DISPATCH_MINUTES;
+    const slotOf = time => {
+        const [hour, minute] = time.split(':').map(Number);
+        return Math.floor((hour * 60 + minute) / DISPATCH_MINUTES);
+    };
+    const fetched = new Map(history.map(day => [day.date, day.data]));
+    const before = [];
+    for (let i = CPT_HISTORY_DAYS; i >= 1; i--) {
+        const date = new Date(`${dayDataByIndex[0].date}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() - i);
+        const dateStr = date.toISOString().split('T')[0];
+        before.push({ date: dateStr, data: fetched.get(dateStr) || null });
+    }
+    const days = before.concat(dayDataByIndex);
+    
+    const prices = new Array(days.length * perDay).fill(null);
+    const rules = [];
+    const times = [];
+    days.forEach((day, d) => {
+        const dayRules = marketRulesFor(financialYearOf(day.date), day.date);
+        for (let slot = 0; slot < perDay; slot++) {
+            rules.push(dayRules);
+            times.push(`${String(Math.floor(slot * DISPATCH_MINUTES / 60)).padStart(2, '0')}:` +
+                       `${String(slot * DISPATCH_MINUTES % 60).padStart(2, '0')}`);
+        }
+        if (day.data) day.data.forEach(interval => { prices[d * perDay + slotOf(interval.time)] = interval.price; });
+    });
+    const settled = applyMarketRules(prices, { rules, times });
+    
+    return dayDataByIndex.map((day, i) => day.data ? {
+        date: day.date,
+        data: day.data.map(interval => {
+            const t = (before.length + i) * perDay + slotOf(interval.time);
+            return { ...interval, price: settled.prices[t], rrp: interval.price, priceFlag: settled.flags[t] };
+        })
+    } : day);
+}
+
+/**
+ * Prices of the days before the analysis period (oldest first), for
+ * forecasts that learn from recent history. Days without data are left out.
+ */
+async function fetchHistory(settings, days) {
+    const history = [];
+    for (let i = days; i >= 1; i--) {
+        const date = new Date(settings.startDate);
+        date.setDate(date.getDate() - i);
+        const dateStr = date.toISOString().split('T')[0];
+        try {
+            const data = await fetchDayData(dateStr, settings.region);
+            if (data && data.length > 0) history.push({ date: dateStr, data });
+        } catch (fetchError) {
+            console.error(`No history for ${dateStr}:`, fetchError);
+        }
+    }
+    return history;
+}
+
+/**
+ * Group days into chains that must run in order: multi-day mode carries SoC
+ * and operating state, and demand charges carry the month-to-date peak.
+ * sequential puts every day in one chain.
+ */
+function chainsFor(settings, dayDataByIndex, sequential) {
+    const demandRates = settings.tariff && settings.tariff.demand_per_kva_month ?
+        settings.tariff.demand_per_kva_month.import : {};
+    const hasDemandCharges = Object.values(demandRates).some(rate => rate > 0);
+    const chains = [];
+    dayDataByIndex.forEach(({ date }, i) => {
+        const key = sequential || settings.rolling ? 'all' : hasDemandCharges ? date.slice(0, 7) : i;
+        const chain = chains.find(c => c.key === key);
+        if (chain) chain.indices.push(i);
+        else chains.push({ key, indices: [i] });
+    });
+    return chains;
+}
+
+/**
+ * Optimise days on the pool. Each run is [ctx, chains] for one battery (see
+ * optimiseChain, which takes the ctx); chains run in parallel, the days
+ * within one in order. onDayDone(dateStr) reports progress.
+ */
+async function optimiseDays(dayDataByIndex, settings, runs, pool, run, onDayDone) {
+    // A cancelled run keeps the days that finished; any other failure is reported
+    const outcomes = await Promise.allSettled(runs.flatMap(([ctx, chains]) => {
+        const chainSettings = { ...settings, limits: limitsFor(settings, ctx.powerMW) };
+        return chains.map(chain => optimiseChain(dayDataByIndex, chain, ctx, chainSettings, pool, run, onDayDone));
+    }));
+    const failure = outcomes.find(o => o.status === 'rejected');
+    if (failure && !run.cancelled) throw failure.reason;
+}
+
 /**
  * Main analysis function
  */
@@ -490,23 +902,16 @@ async function analyzeOpportunity() {
     // Reset the real data flag for new analysis
     hasRealDataInPeriod = false;
     
-    const region = document.getElementById('region').value;
-    const startDate = document.getElementById('startDate').value;
-    const endDate = document.getElementById('endDate').value;
-    const numUnits = parseInt(document.getElementById('numUnits').value);
-    const power = parseFloat(document.getElementById('power').value);
-    const capacity = parseFloat(document.getElementById('capacity').value);
-    const efficiency = parseFloat(document.getElementById('efficiency').value) / 100;
-    const maxCycles = parseFloat(document.getElementById('maxCycles').value);
-    const dataInterval = parseInt(document.getElementById('dataInterval').value);
-    
-    // Note: dataInterval is captured but not yet implemented in API calls
-    // Future enhancement: Use 30-min data when dataInterval === 30
+    const settings = readAnalysisSettings();
+    const { startDate, endDate, numUnits, power, capacity, maxCycles, throughputCost, tariff, powerFactor,
+            optimizationMode, ageing } = settings;
+    const limits = limitsFor(settings, power * numUnits);
     
     if (new Date(startDate) > new Date(endDate)) {
         alert('Start date must be before end date');
         return;
     }
+    if (!checkDPStateLimit(settings, power * numUnits, capacity * numUnits)) return;
     
     document.getElementById('loading').classList.add('active');
     document.getElementById('error').classList.remove('active');
@@ -519,11 +924,11 @@ async function analyzeOpportunity() {
         explainer.style.display = 'none';
     }
     
+    // Cancel flag and worker pool for this run (see cancelAnalysis)
+    const run = { cancelled: false, pool: null };
+    activeAnalysis = run;
+    
     try {
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-        
         const dailyResults = [];
         let totalRevenue = 0;
         let totalEnergy = 0;
@@ -531,62 +936,47 @@ async function analyzeOpportunity() {
         let bestDayRevenue = 0;
         let bestDayDate = '';
         
-        for (let i = 0; i < days; i++) {
-            const currentDate = new Date(start);
-            currentDate.setDate(currentDate.getDate() + i);
-            const dateStr = currentDate.toISOString().split('T')[0];
-            
-            const progress = ((i + 1) / days) * 100;
-            document.getElementById('progressBar').style.width = progress + '%';
+        const dayDataByIndex = await fetchDays(settings, run);
+        const days = dayDataByIndex.length;
+        
+        // Days that depend on the previous one run in order as a chain (see
+        // chainsFor); chains run in parallel on the pool. With ageing, each
+        // day's capacity depends on every day before it, so the aged run is
+        // one chain; a nameplate run alongside it prices the revenue lost to
+        // fade. Month-to-date import peaks (MW per tariff period, keyed by
+        // YYYY-MM) make each day pay demand charges only for lifting a peak,
+        // so a month's days together pay its monthly bill.
+        // Planned outages apply to every run; forced outages are sampled
+        // afterwards by re-running the chains from the days they hit (see
+        // calculateAvailabilityBand)
+        const outageWindows = settings.outages ? plannedOutageWindows(settings.outages.planned, startDate, days) : [];
+        const battery = { powerMW: power * numUnits, capacityMWh: capacity * numUnits, outageWindows };
+        const actual = { ...battery, results: new Array(days).fill(null), monthPeaks: {}, ageing, tasks: [], starts: [] };
+        const nameplate = ageing ? { ...battery, results: new Array(days).fill(null), monthPeaks: {}, ageing: null } : null;
+        const runs = [[actual, chainsFor(settings, dayDataByIndex, !!ageing)]];
+        if (nameplate) runs.push([nameplate, chainsFor(settings, dayDataByIndex, false)]);
+        
+        const chainCount = runs.reduce((sum, [, chains]) => sum + chains.length, 0);
+        const pool = createOptimiserPool(Math.min(chainCount, optimiserPoolSize()));
+        run.pool = pool;
+        const resultsByIndex = actual.results;
+        const daysToOptimise = dayDataByIndex.filter(d => d.data).length * runs.length;
+        let daysDone = 0;
+        
+        await optimiseDays(dayDataByIndex, settings, runs, pool, run, dateStr => {
+            daysDone++;
+            document.getElementById('progressBar').style.width = (50 + (daysDone / daysToOptimise) * 50) + '%';
             document.getElementById('progressText').textContent = 
-                `Analyzing ${dateStr} (${i + 1}/${days})`;
-            
-            let dayData;
-            try {
-                dayData = await fetchDayData(dateStr, region);
-            } catch (fetchError) {
-                console.error(`No data for ${dateStr}:`, fetchError);
-                // Skip this day if no data available
-                continue;
-            }
-            
-            if (!dayData || dayData.length === 0) {
-                console.error(`Empty data for ${dateStr}`);
-                continue;
-            }
-            
-            const optimizationMode = document.getElementById('optimizationMode').value;
-            const throughputCost = parseFloat(document.getElementById('throughputCost').value) || 0;
-            const siteMode = document.getElementById('siteMode').value;
-            const tariffId = siteMode === 'BtM' ? document.getElementById('tariff').value : 'NONE';
-            const tariff = TARIFFS[tariffId];
-            
-            let dayResult;
-            if (optimizationMode === 'dp') {
-                // Use Dynamic Programming optimizer
-                dayResult = calculateDPArbitrage(
-                    dayData,
-                    efficiency,
-                    maxCycles,
-                    capacity * numUnits,
-                    power * numUnits,
-                    throughputCost,
-                    tariff
-                );
-            } else {
-                // Use heuristic method
-                dayResult = calculateMultiCycleArbitrage(
-                    dayData, 
-                    efficiency, 
-                    maxCycles, 
-                    capacity * numUnits,
-                    power * numUnits,
-                    tariff
-                );
-            }
-            
-            dayResult.date = dateStr;
+                `Analyzed ${dateStr} (${daysDone}/${daysToOptimise} days, ` +
+                (pool.size > 0 ? `${pool.size} worker${pool.size === 1 ? '' : 's'})` : 'main thread)');
+        });
+        
+        resultsByIndex.forEach((dayResult, i) => {
+            if (!dayResult) return;
             dailyResults.push(dayResult);
+            if (nameplate && nameplate.results[i]) {
+                dayResult.nameplateRevenue = nameplate.results[i].revenue;
+            }
             
             totalRevenue += dayResult.revenue;
             totalEnergy += dayResult.energyTraded;
@@ -594,27 +984,77 @@ async function analyzeOpportunity() {
             
             if (dayResult.revenue > bestDayRevenue) {
                 bestDayRevenue = dayResult.revenue;
-                bestDayDate = dateStr;
+                bestDayDate = dayResult.date;
+            }
+        });
+        
+        if (run.cancelled && dailyResults.length === 0) {
+            throw new Error('Analysis cancelled before any day finished');
+        }
+        
+        // Expected value without foresight, wholesale only, for a realistic revenue band;
+        // or the revenue realised operating on forecasts, against perfect foresight
+        let stochastic = null;
+        let mpc = null;
+        const priceUncertainty = document.getElementById('priceUncertainty').value;
+        if (optimizationMode === 'dp' && priceUncertainty !== 'none' && !run.cancelled) {
+            const battery = { ...limits, capacityMWh: capacity * numUnits, maxCycles, throughputCost,
+                              intervalMinutes: settings.intervalMinutes };
+            try {
+                if (priceUncertainty === 'stochastic') {
+                    stochastic = await calculateStochasticBand(dailyResults, dayDataByIndex, battery, pool);
+                } else {
+                    const history = resampleDays(await fetchHistory(settings, MPC_HISTORY_DAYS), settings.intervalMinutes);
+                    mpc = await calculateMPCBand(dailyResults, history.concat(dayDataByIndex),
+                                                 { ...battery, region: settings.region }, pool);
+                }
+            } catch (error) {
+                if (!run.cancelled) throw error;
             }
         }
         
+        // Revenue spread over sampled forced outages
+        let availability = null;
+        if (settings.outages && !run.cancelled) {
+            try {
+                availability = await calculateAvailabilityBand(dayDataByIndex, actual, settings, pool, run);
+            } catch (error) {
+                if (!run.cancelled) throw error;
+            }
+        }
+        
+        // Averages cover the days analysed when the run was cancelled part way
+        const daysCovered = run.cancelled ? dailyResults.length : days;
+        
         analysisResults = {
             dailyResults,
             totalRevenue,
             totalEnergy,
             totalCycles,
-            avgDaily: totalRevenue / days,
-            avgCycles: totalCycles / days,
+            avgDaily: totalRevenue / daysCovered,
+            avgCycles: totalCycles / daysCovered,
             bestDayRevenue,
             bestDayDate,
             numUnits,
             power,
             capacity,
-            days
+            days: daysCovered,
+            intervalMinutes: settings.intervalMinutes,
+            cancelled: run.cancelled,
+            stochastic,
+            mpc,
+            availability,
+            demandByMonth: summariseDemandByMonth(actual.monthPeaks, tariff, powerFactor),
+            // State of health at the start of each day and the revenue given up to fade
+            ageing: ageing ? {
+                stateOfHealth: dailyResults.map(d => ({ date: d.date, soh: d.stateOfHealth })),
+                fadeRevenueLost: revenueLostToFade(resultsByIndex, nameplate.results)
+            } : null
         };
         
         updateMetrics(analysisResults);
         updateCharts(analysisResults);
+        updateFinancials(analysisResults);
         
         document.getElementById('metrics').style.display = 'grid';
         document.getElementById('navTabs').style.display = 'flex';
@@ -643,23 +1083,188 @@ async function analyzeOpportunity() {
         currentDayIndex = 0;
         updateDailyView(0);
         
+        if (run.cancelled) {
+            document.getElementById('error').textContent = 
+                `Analysis cancelled: showing the ${dailyResults.length} of ${days} days that finished`;
+            document.getElementById('error').classList.add('active');
+        }
+        
     } catch (error) {
         console.error('Error analyzing:', error);
-        document.getElementById('error').textContent = 
+        document.getElementById('error').textContent = run.cancelled ? error.message :
             'Error during analysis: ' + error.message;
         document.getElementById('error').classList.add('active');
     } finally {
+        if (run.pool) run.pool.terminate();
+        if (activeAnalysis === run) activeAnalysis = null;
+        document.getElementById('loading').classList.remove('active');
+    }
+}
+
+// Largest sizing sweep offered: every configuration optimises every day
+const MAX_SWEEP_CONFIGS = 100;
+
+/**
+ * Run the chosen optimiser over the analysis period for every power and
+ * energy in the sweep ranges. Prices are fetched once and shared by every
+ * configuration; batteries stay at nameplate (no fade) so each is one
+ * independent run. Planned outages cut every configuration's power as in the
+ * analysis; forced outages are not sampled.
+ */
+async function runSizingSweep() {
+    hasRealDataInPeriod = false;
+    
+    const settings = readAnalysisSettings();
+    const powers = parseSweepRange(document.getElementById('sweepPower').value);
+    const sizes = parseSweepRange(document.getElementById('sweepEnergy').value);
+    const inHours = document.getElementById('sweepEnergyUnit').value === 'hours';
+    
+    if (!powers || !sizes) {
+        alert('Enter the sweep ranges as min:max:step, e.g. 50:200:50');
+        return;
+    }
+    if (powers.length * sizes.length > MAX_SWEEP_CONFIGS) {
+        alert(`The sweep has ${powers.length * sizes.length} configurations; use at most ${MAX_SWEEP_CONFIGS}`);
+        return;
+    }
+    if (new Date(settings.startDate) > new Date(settings.endDate)) {
+        alert('Start date must be before end date');
+        return;
+    }
+    if (!powers.every(powerMW => sizes.every(size => checkDPStateLimit(settings, powerMW, inHours ? powerMW * size : size)))) return;
+    
+    document.getElementById('loading').classList.add('active');
+    document.getElementById('error').classList.remove('active');
+    document.getElementById('sizingResults').style.display = 'none';
+    
+    const run = { cancelled: false, pool: null };
+    activeAnalysis = run;
+    
+    try {
+        const dayDataByIndex = await fetchDays(settings, run);
+        const days = dayDataByIndex.length;
+        const daysWithData = dayDataByIndex.filter(d => d.data).length;
+        if (daysWithData === 0 && !run.cancelled) {
+            throw new Error('No price data for the selected period');
+        }
+        
+        const outageWindows = settings.outages ?
+            plannedOutageWindows(settings.outages.planned, settings.startDate, days) : [];
+        const configs = [];
+        powers.forEach(powerMW => sizes.forEach(size => {
+            configs.push({
+                powerMW,
+                capacityMWh: inHours ? powerMW * size : size,
+                results: new Array(days).fill(null),
+                monthPeaks: {},
+                ageing: null,
+                outageWindows,
+                summaryOnly: true
+            });
+        }));
+        const runs = configs.map(ctx => [ctx, chainsFor(settings, dayDataByIndex, false)]);
+        
+        const chainCount = runs.reduce((sum, [, chains]) => sum + chains.length, 0);
+        const pool = createOptimiserPool(Math.min(chainCount, optimiserPoolSize()));
+        run.pool = pool;
+        const daysToOptimise = daysWithData * configs.length;
+        let daysDone = 0;
+        
+        await optimiseDays(dayDataByIndex, settings, runs, pool, run, () => {
+            daysDone++;
+            document.getElementById('progressBar').style.width = (50 + (daysDone / daysToOptimise) * 50) + '%';
+            document.getElementById('progressText').textContent = 
+                `Optimised ${daysDone}/${daysToOptimise} days across ${configs.length} configurations`;
+        });
+        
+        // A partial sweep would compare sizes over different days
+        if (run.cancelled) throw new Error('Sizing sweep cancelled');
+        
+        updateSizingResults(summariseSizingSweep(powers, sizes, configs), inHours, daysWithData);
+        
+    } catch (error) {
+        console.error('Error in sizing sweep:', error);
+        document.getElementById('error').textContent = run.cancelled ? error.message :
+            'Error during sizing sweep: ' + error.message;
+        document.getElementById('error').classList.add('active');
+    } finally {
+        if (run.pool) run.pool.terminate();
+        if (activeAnalysis === run) activeAnalysis = null;
         document.getElementById('loading').classList.remove('active');
     }
 }
+window.runSizingSweep = runSizingSweep;
+
+/**
+ * Heatmap of net revenue by power and energy, and the marginal revenue per
+ * extra MWh along each power
+ */
+function updateSizingResults(sweep, inHours, days) {
+    const money = value => '$' + value.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+    const sizeLabel = size => inHours ? `${size} h` : `${size} MWh`;
+    const head = `<tr><th>Power \\ ${inHours ? 'Duration' : 'Energy'}</th>` +
+        sweep.sizes.map(size => `<th>${sizeLabel(size)}</th>`).join('') + '</tr>';
+    const range = sweep.maxRevenue - sweep.minRevenue || 1;
+    const shade = cell => `rgba(0, 232, 126, ${(0.08 + 0.72 * (cell.revenue - sweep.minRevenue) / range).toFixed(2)})`;
+    const title = cell => `${cell.powerMW} MW / ${cell.capacityMWh} MWh · ${cell.cycles.toFixed(1)} cycles`;
+    
+    document.getElementById('sizingHeatmapHead').innerHTML = head;
+    document.getElementById('sizingHeatmapBody').innerHTML = sweep.rows.map(cells =>
+        `<tr><th>${cells[0].powerMW} MW</th>` + cells.map(cell =>
+            `<td style="background: ${shade(cell)};" title="${title(cell)}">${money(cell.revenue)}</td>`).join('') +
+        '</tr>').join('');
+    
+    document.getElementById('sizingMarginalHead').innerHTML = head;
+    document.getElementById('sizingMarginalBody').innerHTML = sweep.rows.map(cells =>
+        `<tr><th>${cells[0].powerMW} MW</th>` + cells.map(cell =>
+            `<td>${cell.marginalPerMWh === null ? '-' : money(cell.marginalPerMWh) + '/MWh'}</td>`).join('') +
+        '</tr>').join('');
+    
+    document.getElementById('sizingSummary').textContent =
+        `Net revenue over ${days} day${days === 1 ? '' : 's'}. Best: ${sweep.best.powerMW} MW / ` +
+        `${sweep.best.capacityMWh} MWh at ${money(sweep.best.revenue)}`;
+    document.getElementById('sizingResults').style.display = 'block';
+}
+
+/**
+ * Cancel the running analysis. Days already optimised are kept and shown.
+ */
+function cancelAnalysis() {
+    if (!activeAnalysis || activeAnalysis.cancelled) return;
+    activeAnalysis.cancelled = true;
+    if (activeAnalysis.pool) activeAnalysis.pool.terminate();
+    document.getElementById('progressText').textContent = 'Cancelling...';
+}
+window.cancelAnalysis = cancelAnalysis;
+
+/**
+ * Workers for the optimiser pool: one per core, leaving one for the page
+ */
+function optimiserPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(8, cores - 1));
+}
 
 // Track whether we've gotten real data for the analysis period
 let hasRealDataInPeriod = false;
 
+// The analysis in progress, if any: { cancelled, pool }
+let activeAnalysis = null;
+
+// Intervals already fetched this session, keyed by region and date, so
+// re-runs and sizing sweeps do not refetch /api/price
+const dayDataCache = new Map();
+
 /**
  * Fetch day data from AEMO NEMWeb via Pages Functions
  */
 async function fetchDayData(date, region) {
+    const cacheKey = `${region}:${date}`;
+    if (dayDataCache.has(cacheKey)) {
+        hasRealDataInPeriod = true;
+        return dayDataCache.get(cacheKey);
+    }
+    
     try {
         console.log(`Fetching data for ${date} in ${region}`);
         
@@ -694,6 +1299,7 @@ async function fetchDayData(date, region) {
                         document.getElementById('dataSource').style.display = 'block';
                         throw new Error('No real data available');
                     }
+                    if (data.source !== 'simulation') dayDataCache.set(cacheKey, data.data);
                     return data.data; // Return the intervals directly
                 } else if (!data.success) {
                     console.error('API error:', data.error);
@@ -715,477 +1321,276 @@ async function fetchDayData(date, region) {
     }
 }
 
+/**
+ * Day-ahead price forecast from the harvester's forecasting module
+ * (/api/forecast), as trading intervals of intervalMinutes where longer than
+ * dispatch, lined up with the day's intervals by time. An interval the
+ * forecast does not cover takes the forecast before it (the first forecast
+ * slot for any before that), never the realised price. Null when there is
+ * no forecast.
+ */
+async function fetchForecast(date, region, intervals, intervalMinutes = DISPATCH_MINUTES) {
+    try {
+        const resp = await fetch(`/api/forecast?region=${region}&date=${date}&horizon=1`);
+        const result = await resp.json();
+        if (!result.success || !result.forecast || result.forecast.length === 0) return null;
+        const forecast = intervalMinutes > DISPATCH_MINUTES ?
+            tradingIntervals(result.forecast[0].data, intervalMinutes) : result.forecast[0].data;
+        if (forecast.length === 0) return null;
+        const byTime = new Map(forecast.map(d => [d.time, d.price]));
+        let previous = forecast[0].price;
+        return intervals.map(interval => {
+            if (byTime.has(interval.time)) previous = byTime.get(interval.time);
+            return previous;
+        });
+    } catch (error) {
+        console.error(`No forecast for ${date}:`, error);
+        return null;
+    }
+}
+
 // NO SIMULATION - All fake data generation removed
 
+
 /**
- * Calculate arbitrage using Dynamic Programming optimizer
+ * Wholesale revenue without foresight vs with perfect foresight. Each day's
+ * policy comes from a stochastic DP whose scenarios are up to three days
+ * either side of it, equally weighted; the day itself is held out and the
+ * policy is settled on its actual prices. Perfect foresight is the DP optimum
+ * of the same day. Both start and end empty. Days with no neighbouring days
+ * of the same length are left out. The solves run on the optimiser pool.
+ * maxCycles only bounds the policy's expected cycles over the scenarios, so
+ * the cycles each day actually ran are kept to show against it.
  */
-function calculateDPArbitrage(data, efficiency, maxCycles, totalCapacity, totalPower, throughputCost = 0, tariff = null) {
-    // Track original prices and calculate network adjustments
-    const originalPrices = data.map(d => d.price);
-    let prices = [...originalPrices];
-    
-    // Calculate network charges for each interval
-    const networkData = data.map((d, i) => {
-        // FIXED: Use the stored time field (AEST) instead of timestamp conversion
-        const period = tariff ? getTariffPeriod(d.timestamp || new Date(), tariff.windows, d.time) : 'offPeak';
-        const importAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.import[period]) : 0;
-        const exportAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.export[period]) : 0;
-        
-        return {
-            period,
-            importAdj,  // Cost added when charging (positive = cost)
-            exportAdj   // Value adjustment when discharging (negative = credit)
-        };
-    });
+async function calculateStochasticBand(dailyResults, dayDataByIndex, settings, pool) {
+    const { capacityMWh, importMW, exportMW, etaC, etaD, maxCycles, throughputCost, intervalMinutes } = settings;
+    const battery = {
+        dtHours: intervalMinutes / 60,
+        capacityMWh,
+        importMW,
+        exportMW,
+        etaC,
+        etaD,
+        soc0: 0,
+        socT: 0,
+        socSteps: 121,  // coarser grid keeps the scenario solves quick
+        throughputCost,
+        maxCycles: maxCycles > 0 ? maxCycles : null
+    };
     
-    // Split efficiency into charge and discharge components
-    // For round-trip efficiency η, we use √η for both charge and discharge
-    const etaSingle = Math.sqrt(efficiency);
-    
-    // Calculate an implicit throughput cost to enforce max cycles
-    // The throughput cost acts as a penalty on cycling
-    let effectiveThroughputCost = throughputCost;
-    
-    // If user specified max cycles and no explicit throughput cost, 
-    // we need to find the right throughput cost to achieve that cycle limit
-    if (maxCycles > 0 && maxCycles < 4 && throughputCost === 0) {
-        // Estimate the average price spread to scale the throughput cost
-        const sortedPrices = [...prices].sort((a, b) => a - b);
-        const lowQuartile = sortedPrices[Math.floor(prices.length * 0.25)];
-        const highQuartile = sortedPrices[Math.floor(prices.length * 0.75)];
-        const typicalSpread = (highQuartile - lowQuartile) * efficiency;
+    let daysDone = 0;
+    await Promise.all(dailyResults.map(async dayResult => {
+        const index = dayDataByIndex.findIndex(d => d.date === dayResult.date);
+        const prices = dayDataByIndex[index].data.map(d => d.price);
         
-        // Set throughput cost to reduce cycling
-        // Higher cost = fewer cycles
-        // This formula is empirical - adjust based on testing
-        effectiveThroughputCost = typicalSpread * (0.1 / maxCycles);
-    }
-    
-    // Run DP optimizer
-    const result = optimiseBESS_DP({
-        prices,
-        dtHours: 5/60,
-        capacityMWh: totalCapacity,
-        powerMW: totalPower,
-        etaC: etaSingle,
-        etaD: etaSingle,
-        soc0: 0,  // Start empty
-        socT: 0,  // End empty (can be adjusted)
-        socSteps: 201,
-        throughputCost: effectiveThroughputCost,
-        maxCycles: maxCycles
-    });
-    
-    // Convert flows to operations format expected by UI
-    const operations = [];
-    const socHistory = [];
-    
-    // Calculate revenue breakdown with network charges
-    let wholesaleRevenue = 0;
-    let networkCharges = 0;
-    let standingCharge = 0;
-    let demandCharges = 0;
-    
-    // Track peak demand in each period for demand charges
-    const peakDemand = { solarSoak: 0, peak: 0, offPeak: 0 };
-    
-    result.flows.forEach((flow, idx) => {
-        const interval = data[idx];
-        const network = networkData[idx];
-        let operation = 'neutral';
-        let powerFlow = 0;
+        const scenarioDays = [];
+        for (let j = Math.max(0, index - 3); j <= Math.min(dayDataByIndex.length - 1, index + 3); j++) {
+            const data = dayDataByIndex[j].data;
+            if (j !== index && data && data.length === prices.length) scenarioDays.push(j);
+        }
         
-        if (flow.op === 'charge') {
-            operation = 'charge';
-            powerFlow = -flow.buyMWh / (5/60);  // Convert to MW
-            wholesaleRevenue -= flow.buyMWh * originalPrices[idx];  // Wholesale cost
-            networkCharges += flow.buyMWh * network.importAdj;  // Network import cost
+        dayResult.stochastic = null;
+        if (scenarioDays.length > 0) {
+            // Capacity the day was optimised with (less than nameplate once aged)
+            const dayCapacity = dayResult.capacityMWh || capacityMWh;
+            const [result, optimum] = await Promise.all([
+                pool.run('stochastic', [{
+                    ...battery,
+                    capacityMWh: dayCapacity,
+                    scenarios: scenarioDays.map(j => ({ prices: dayDataByIndex[j].data.map(d => d.price), weight: 1 })),
+                    evaluatePerfectForesight: false,
+                    heldOutPrices: prices
+                }]),
+                pool.run('dpRevenue', [{ ...battery, capacityMWh: dayCapacity, prices }])
+            ]);
             
-            // Track peak demand for this period
-            const powerMW = Math.abs(powerFlow);
-            if (powerMW > peakDemand[network.period]) {
-                peakDemand[network.period] = powerMW;
-            }
-        } else if (flow.op === 'discharge') {
-            operation = 'discharge';
-            powerFlow = flow.sellMWh / (5/60);  // Convert to MW
-            wholesaleRevenue += flow.sellMWh * originalPrices[idx];  // Wholesale revenue
-            networkCharges += flow.sellMWh * network.exportAdj;  // Network export (usually negative = credit)
+            dayResult.stochastic = {
+                realisedRevenue: result.heldOutRevenue,
+                realisedCycles: result.heldOutCycles,
+                perfectForesightRevenue: optimum.revenue,
+                scenarios: scenarioDays.length
+            };
         }
         
-        operations.push({
-            ...interval,
-            soc: flow.socMWh,
-            powerFlow: powerFlow,
-            operation: operation,
-            reservationCharge: result.reservation.charge[idx],
-            reservationDischarge: result.reservation.discharge[idx],
-            tariffPeriod: network.period
-        });
-        
-        socHistory.push(flow.socMWh);
+        daysDone++;
+        document.getElementById('progressText').textContent = 
+            `Price uncertainty: ${daysDone}/${dailyResults.length} days`;
+    }));
+    
+    const evaluated = dailyResults.filter(dayResult => dayResult.stochastic);
+    if (evaluated.length === 0) return null;
+    
+    let realisedRevenue = 0;
+    let perfectForesightRevenue = 0;
+    evaluated.forEach(dayResult => {
+        realisedRevenue += dayResult.stochastic.realisedRevenue;
+        perfectForesightRevenue += dayResult.stochastic.perfectForesightRevenue;
     });
     
-    // Calculate standing charge (pro-rated per day)
-    if (tariff && tariff.standing_per_year > 0) {
-        standingCharge = tariff.standing_per_year / 365;
-    }
-    
-    // Calculate demand charges ($/kVA/month)
-    // NOTE: Demand charges are based on monthly peak, not daily
-    // For single-day analysis, we show the monthly charge impact
-    // In reality, this peak may be set by other days in the month
-    if (tariff && tariff.demand_per_kva_month) {
-        const powerFactor = 0.95;  // Assumed power factor
-        Object.keys(peakDemand).forEach(period => {
-            const peakKVA = (peakDemand[period] * 1000) / powerFactor;  // Convert MW to kVA
-            const monthlyCharge = peakKVA * (tariff.demand_per_kva_month.import[period] || 0);
-            // Show as indicative daily impact (1/30th) but note this is not how billing works
-            demandCharges += monthlyCharge / 30;  // Indicative daily allocation
-        });
-    }
-    
-    // Check if we exceeded max cycles and need to recalculate
-    if (result.cycles > maxCycles && throughputCost === 0) {
-        // Increase throughput cost and recalculate
-        const avgPrice = prices.reduce((a, b) => a + b, 0) / prices.length;
-        const newThroughputCost = avgPrice * 0.05 * (result.cycles - maxCycles);
-        
-        // Recursively call with higher throughput cost
-        return calculateDPArbitrage(data, efficiency, maxCycles, totalCapacity, totalPower, newThroughputCost);
-    }
-    
-    // Report actual cycles, not the target
-    const reportedCycles = result.cycles;
-    
-    // Calculate total revenue including all charges
-    const totalRevenue = wholesaleRevenue - networkCharges - standingCharge - demandCharges;
-    
     return {
-        revenue: totalRevenue,  // Net revenue after all charges
-        wholesaleRevenue: wholesaleRevenue,  // Wholesale only
-        networkCharges: networkCharges,  // Network energy charges
-        standingCharge: standingCharge,  // Daily standing charge
-        demandCharges: demandCharges,  // Demand-based charges
-        breakdown: {
-            wholesale: wholesaleRevenue,
-            network: -networkCharges,  // Negative because charges reduce revenue
-            standing: -standingCharge,
-            demand: -demandCharges,
-            total: totalRevenue
-        },
-        cycles: reportedCycles,
-        targetCycles: maxCycles,  // What we aimed for
-        actualCycles: result.cycles,  // What we actually got
-        avgSpread: result.avgSpread,
-        avgChargePrice: result.avgChargePrice,
-        avgDischargePrice: result.avgDischargePrice,
-        energyTraded: result.energyTraded,
-        operations: operations,
-        socHistory: socHistory,
-        efficiency: efficiency,
-        reservation: result.reservation,
-        dpOptimal: true,
-        actualCycles: result.cycles,
-        maxCyclesConstraint: maxCycles,
-        tariff: tariff ? tariff.label : 'None'
+        realisedRevenue,
+        perfectForesightRevenue,
+        foresightGap: perfectForesightRevenue - realisedRevenue,
+        // Busiest day, which can exceed maxCycles (a bound on expected cycles)
+        maxRealisedCycles: Math.max(...evaluated.map(dayResult => dayResult.stochastic.realisedCycles)),
+        maxCycles: battery.maxCycles,
+        days: evaluated.length
     };
 }
 
+
+// Days of price history before the period for receding-horizon forecasts
+const MPC_HISTORY_DAYS = 7;
+// Days of price history before the period filling the CPT window
+const CPT_HISTORY_DAYS = CPT_WINDOW_INTERVALS / 288;
+
 /**
- * Calculate multi-cycle arbitrage opportunities with improved algorithm
+ * Revenue realised by receding-horizon operation (optimiseBESS_MPC) on the
+ * selected forecast, against perfect foresight over the same days. days is
+ * the history before the period followed by the period, as { date, data };
+ * each day's forecast sees only the days before it. Wholesale only, starting
+ * and ending empty, like calculateStochasticBand.
  */
-function calculateMultiCycleArbitrage(data, efficiency, maxCycles, totalCapacity, totalPower, tariff = null) {
-    const intervals = data.length;
-    const timeStep = 5 / 60; // 5 minutes in hours
-    
-    // Initialize state
-    let soc = 0;
-    const socHistory = [];
-    const operations = [];
-    
-    // Find and sort opportunities by profitability
-    const opportunities = findBestArbitrageOpportunities(data, efficiency, maxCycles, totalCapacity, totalPower);
-    
-    // TODO: Validate feasibility of selected opportunities
-    // Currently assumes opportunities don't overlap, but should verify:
-    // - SoC constraints are satisfied throughout
-    // - Power limits are respected
-    // - Selected opportunities are mutually feasible
-    
-    // Execute the trading strategy
-    let revenue = 0;
-    let energyCharged = 0;
-    let energyDischarged = 0;
-    let totalCostOfCharging = 0;
-    let totalRevenueFromDischarging = 0;
-    
-    // Track revenue breakdown for tariffs
-    let wholesaleRevenue = 0;
-    let networkCharges = 0;
-    let standingCharge = 0;
-    let demandCharges = 0;
-    const peakDemand = { solarSoak: 0, peak: 0, offPeak: 0 };
-    
-    // Create operation schedule
-    const schedule = new Array(intervals).fill('idle');
-    for (const opp of opportunities) {
-        for (let i = opp.chargeStart; i <= opp.chargeEnd; i++) {
-            if (i < intervals) schedule[i] = 'charge';
-        }
-        for (let i = opp.dischargeStart; i <= opp.dischargeEnd; i++) {
-            if (i < intervals) schedule[i] = 'discharge';
-        }
-    }
-    
-    // Simulate battery operation with FIXED efficiency accounting
-    const etaSingle = Math.sqrt(efficiency);  // Split efficiency between charge and discharge
-    
-    for (let i = 0; i < intervals; i++) {
-        let powerFlow = 0;
-        const operation = schedule[i];
+async function calculateMPCBand(dailyResults, days, settings, pool) {
+    const { region, capacityMWh, importMW, exportMW, etaC, etaD, maxCycles, throughputCost, intervalMinutes } = settings;
+    const forecast = document.getElementById('forecastModel').value;
+    const resolveIntervals = Math.max(1, Math.round(parseFloat(document.getElementById('mpcResolve').value) / intervalMinutes));
+    
+    let daysDone = 0;
+    await Promise.all(dailyResults.map(async dayResult => {
+        const index = days.findIndex(d => d.date === dayResult.date);
+        const history = days.slice(Math.max(0, index - MPC_HISTORY_DAYS), index)
+            .filter(d => d.data)
+            .map(d => d.data.map(interval => interval.price));
         
-        // Get tariff period and network charges
-        // FIXED: Use the stored time field (AEST) instead of timestamp conversion
-        const period = tariff ? getTariffPeriod(data[i].timestamp || new Date(), tariff.windows, data[i].time) : 'offPeak';
-        const importAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.import[period]) : 0;
-        const exportAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.export[period]) : 0;
+        const issued = forecast === 'harvester' ?
+            await fetchForecast(dayResult.date, region, days[index].data, intervalMinutes) : null;
         
-        if (operation === 'charge' && soc < totalCapacity) {
-            // FIX: Charge with efficiency loss
-            // Grid provides energy, battery receives less due to charge efficiency
-            const maxChargeToBattery = totalPower * etaSingle * timeStep;
-            const chargeAmount = Math.min(maxChargeToBattery, totalCapacity - soc);
-            
-            if (chargeAmount > 0.001) {
-                soc += chargeAmount;
-                const gridEnergy = chargeAmount / etaSingle;  // Energy from grid
-                powerFlow = -totalPower;
-                
-                // Cost of charging (based on grid energy)
-                const chargeCost = gridEnergy * data[i].price;
-                revenue -= chargeCost;
-                totalCostOfCharging += chargeCost;
-                energyCharged += gridEnergy;  // Track grid-side energy
-                
-                // Track wholesale and network charges
-                wholesaleRevenue -= chargeCost;  // Wholesale cost
-                networkCharges += gridEnergy * importAdj;  // Network import cost
-                
-                // Track peak demand for this period
-                const powerMW = Math.abs(powerFlow);
-                if (powerMW > peakDemand[period]) {
-                    peakDemand[period] = powerMW;
-                }
-            }
-        } else if (operation === 'discharge' && soc > 0.001) {
-            // FIX: Discharge with efficiency loss
-            // Battery provides energy, grid receives less due to discharge efficiency
-            const maxDischargeFromBattery = totalPower * timeStep;
-            const dischargeAmount = Math.min(maxDischargeFromBattery, soc);
-            
-            if (dischargeAmount > 0.001) {
-                soc -= dischargeAmount;
-                const gridEnergy = dischargeAmount * etaSingle;  // Energy to grid
-                powerFlow = totalPower;
-                
-                // Revenue from discharging (based on grid energy)
-                const dischargeRevenue = gridEnergy * data[i].price;
-                revenue += dischargeRevenue;
-                totalRevenueFromDischarging += dischargeRevenue;
-                energyDischarged += gridEnergy;  // Track grid-side energy
-                
-                // Track wholesale and network charges
-                wholesaleRevenue += dischargeRevenue;  // Wholesale revenue
-                networkCharges += gridEnergy * exportAdj;  // Network export (usually negative = credit)
-            }
-        }
+        dayResult.mpc = await pool.run('mpc', [{
+            prices: days[index].data.map(d => d.price),
+            forecast,
+            history,
+            issued,
+            resolveIntervals,
+            dtHours: intervalMinutes / 60,
+            // Capacity the day was optimised with (less than nameplate once aged)
+            capacityMWh: dayResult.capacityMWh || capacityMWh,
+            importMW,
+            exportMW,
+            etaC,
+            etaD,
+            soc0: 0,
+            socT: 0,
+            socSteps: 121,  // coarser grid keeps the repeated solves quick
+            throughputCost,
+            maxCycles: maxCycles > 0 ? maxCycles : null
+        }]);
         
-        socHistory.push(soc);
-        operations.push({
-            ...data[i],
-            soc: soc,
-            powerFlow: powerFlow,
-            operation: operation === 'idle' ? 'neutral' : operation,
-            tariffPeriod: period
-        });
-    }
-    
-    // Calculate actual cycles (based on energy throughput)
-    const actualCycles = energyCharged > 0 ? energyCharged / totalCapacity : 0;
-    
-    // Calculate weighted average prices
-    let weightedChargePrice = 0;
-    let weightedDischargePrice = 0;
-    let totalChargeEnergy = 0;
-    let totalDischargeEnergy = 0;
-    
-    for (let i = 0; i < operations.length; i++) {
-        if (operations[i].operation === 'charge' && operations[i].powerFlow < 0) {
-            // FIX: Track grid-side energy correctly
-            const energy = Math.abs(operations[i].powerFlow) * timeStep;
-            weightedChargePrice += operations[i].price * energy;
-            totalChargeEnergy += energy;
-        } else if (operations[i].operation === 'discharge' && operations[i].powerFlow > 0) {
-            // FIX: Already accounts for efficiency in powerFlow
-            const energy = operations[i].powerFlow * timeStep;
-            weightedDischargePrice += operations[i].price * energy;
-            totalDischargeEnergy += energy;
-        }
-    }
-    
-    const avgChargePrice = totalChargeEnergy > 0 ? weightedChargePrice / totalChargeEnergy : 0;
-    const avgDischargePrice = totalDischargeEnergy > 0 ? weightedDischargePrice / totalDischargeEnergy : 0;
-    
-    // Calculate the effective spread (energy-weighted average)
-    // This is the average selling price minus average buying price
-    const effectiveSpread = avgDischargePrice - avgChargePrice;
-    
-    // Calculate standing charge (pro-rated per day)
-    if (tariff && tariff.standing_per_year > 0) {
-        standingCharge = tariff.standing_per_year / 365;
-    }
-    
-    // Calculate demand charges ($/kVA/month)
-    // NOTE: Demand charges are based on monthly peak, not daily
-    // For single-day analysis, we show the monthly charge impact
-    // In reality, this peak may be set by other days in the month
-    if (tariff && tariff.demand_per_kva_month) {
-        const powerFactor = 0.95;  // Assumed power factor
-        Object.keys(peakDemand).forEach(period => {
-            const peakKVA = (peakDemand[period] * 1000) / powerFactor;  // Convert MW to kVA
-            const monthlyCharge = peakKVA * (tariff.demand_per_kva_month.import[period] || 0);
-            // Show as indicative daily impact (1/30th) but note this is not how billing works
-            demandCharges += monthlyCharge / 30;  // Indicative daily allocation
-        });
-    }
-    
-    // Calculate total revenue including all charges
-    const totalRevenue = wholesaleRevenue - networkCharges - standingCharge - demandCharges;
+        daysDone++;
+        document.getElementById('progressText').textContent = 
+            `Receding horizon: ${daysDone}/${dailyResults.length} days`;
+    }));
+    
+    let realisedRevenue = 0;
+    let perfectForesightRevenue = 0;
+    dailyResults.forEach(dayResult => {
+        realisedRevenue += dayResult.mpc.revenue;
+        perfectForesightRevenue += dayResult.mpc.perfectForesightRevenue;
+    });
     
     return {
-        revenue: totalRevenue,  // Net revenue after all charges
-        wholesaleRevenue: wholesaleRevenue,  // Wholesale only
-        networkCharges: networkCharges,  // Network energy charges
-        standingCharge: standingCharge,  // Daily standing charge
-        demandCharges: demandCharges,  // Demand-based charges
-        breakdown: {
-            wholesale: wholesaleRevenue,
-            network: -networkCharges,  // Negative because charges reduce revenue
-            standing: -standingCharge,
-            demand: -demandCharges,
-            total: totalRevenue
-        },
-        cycles: actualCycles,
-        avgSpread: effectiveSpread,  // This is the true profit margin per MWh
-        avgChargePrice: avgChargePrice,
-        avgDischargePrice: avgDischargePrice,
-        energyTraded: energyCharged + energyDischarged,
-        operations: operations,
-        socHistory: socHistory,
-        efficiency: efficiency,
-        tariff: tariff ? tariff.label : 'None'
+        forecast,
+        realisedRevenue,
+        perfectForesightRevenue,
+        captureRatio: perfectForesightRevenue > 0 ? realisedRevenue / perfectForesightRevenue : null
     };
 }
 
+// Seed of the first outage trial; trial n uses OUTAGE_SEED + n
+const OUTAGE_SEED = 1;
+
+// Most outage trials offered: each re-solves the days its outages reach
+const MAX_OUTAGE_TRIALS = 200;
+
 /**
- * Find the best arbitrage opportunities for the day
+ * Availability-adjusted revenue over `trials` samples of forced outages
+ * (sampleForcedOutages, per unit) on top of the planned ones. A trial re-runs
+ * each chain (see chainsFor) from the first day its forced outages touch,
+ * starting from the state the analysis carried into that day (SoC, SoH,
+ * month-to-date peaks), so effects carried into later days are followed;
+ * days before it keep their analysed revenue. Trials are seeded, so the same
+ * settings draw the same outages.
+ *
+ * Cost: with independent days a trial re-solves only the days it hits, but
+ * in multi-day, ageing or demand-charge runs it re-solves the rest of each
+ * chain it hits, up to the whole period per trial.
+ * @returns {Object} revenueExceedance of the trial totals, plus the mean
+ *   share of power available and the planned-only revenue
  */
-function findBestArbitrageOpportunities(data, efficiency, maxCycles, totalCapacity, totalPower) {
-    const timeStep = 5 / 60;
-    const intervalsNeeded = Math.ceil((totalCapacity / totalPower) / timeStep);
-    const opportunities = [];
-    
-    // Find all potential charge/discharge windows
-    const potentialOpportunities = [];
-    
-    // Look for good spread opportunities
-    for (let chargeStart = 0; chargeStart < data.length - intervalsNeeded * 2; chargeStart++) {
-        // Calculate average charge price for this window
-        let chargeSum = 0;
-        for (let i = 0; i < intervalsNeeded && chargeStart + i < data.length; i++) {
-            chargeSum += data[chargeStart + i].price;
-        }
-        const avgChargePrice = chargeSum / intervalsNeeded;
-        
-        // Look for discharge window after charge completes
-        const earliestDischarge = chargeStart + intervalsNeeded;
-        
-        for (let dischargeStart = earliestDischarge; dischargeStart < data.length - intervalsNeeded + 1; dischargeStart++) {
-            // Calculate average discharge price for this window
-            let dischargeSum = 0;
-            for (let i = 0; i < intervalsNeeded && dischargeStart + i < data.length; i++) {
-                dischargeSum += data[dischargeStart + i].price;
-            }
-            const avgDischargePrice = dischargeSum / intervalsNeeded;
-            
-            // Calculate profit accounting for efficiency
-            const energyIn = totalCapacity;
-            const energyOut = totalCapacity * efficiency;
-            const cost = energyIn * avgChargePrice;
-            const revenue = energyOut * avgDischargePrice;
-            const profit = revenue - cost;
-            const profitPerMWh = profit / totalCapacity;
-            
-            if (profit > 0) {
-                potentialOpportunities.push({
-                    chargeStart,
-                    chargeEnd: chargeStart + intervalsNeeded - 1,
-                    dischargeStart,
-                    dischargeEnd: dischargeStart + intervalsNeeded - 1,
-                    avgChargePrice,
-                    avgDischargePrice,
-                    profit,
-                    profitPerMWh,
-                    effectiveSpread: avgDischargePrice - (avgChargePrice / efficiency)
-                });
-            }
-        }
-    }
-    
-    // Sort by profit
-    potentialOpportunities.sort((a, b) => b.profit - a.profit);
-    
-    // Select non-overlapping opportunities up to maxCycles
-    const usedIntervals = new Set();
+async function calculateAvailabilityBand(dayDataByIndex, ctx, settings, pool, run) {
+    const { numUnits, power, intervalMinutes } = settings;
+    const { planned, forcedOutageRate, meanRepairHours, trials } = settings.outages;
+    const days = dayDataByIndex.length;
+    const dtHours = intervalMinutes / 60;
+    const analysed = ctx.results.reduce((sum, r) => sum + (r ? r.revenue : 0), 0);
+    const chains = chainsFor(settings, dayDataByIndex, !!ctx.ageing);
+    
+    // Share of the analysed MW-hours out of service, clamped per interval so
+    // overlapping windows take out no more than the whole battery
+    const shareAvailable = windows => {
+        let sum = 0;
+        let count = 0;
+        dayDataByIndex.forEach(({ data }, i) => {
+            if (!data) return;
+            const availability = availabilityForDay(data, i, windows, ctx.powerMW, dtHours);
+            sum += availability ? availability.reduce((a, b) => a + b, 0) : data.length;
+            count += data.length;
+        });
+        return count > 0 ? sum / count : 1;
+    };
     
-    for (const opp of potentialOpportunities) {
-        if (opportunities.length >= maxCycles) break;
+    const sampled = trials > 0 && forcedOutageRate > 0 && meanRepairHours > 0 ? trials : 0;
+    const revenues = [];
+    const available = [];
+    let trialsDone = 0;
+    for (let n = 0; n < sampled && !run.cancelled; n++) {
+        const forced = sampleForcedOutages(days, numUnits, power, forcedOutageRate, meanRepairHours,
+                                           seededRandom(OUTAGE_SEED + n));
+        const windows = ctx.outageWindows.concat(forced);
+        const hit = i => ctx.results[i] && ctx.tasks[i] &&
+            forced.some(w => w.endHour > i * 24 && w.startHour < (i + 1) * 24);
         
-        // Check if intervals are available
-        let available = true;
-        for (let i = opp.chargeStart; i <= opp.chargeEnd; i++) {
-            if (usedIntervals.has(i)) {
-                available = false;
-                break;
-            }
-        }
-        if (available) {
-            for (let i = opp.dischargeStart; i <= opp.dischargeEnd; i++) {
-                if (usedIntervals.has(i)) {
-                    available = false;
-                    break;
-                }
-            }
-        }
+        // Each chain resumes at its first hit day, with that day's month-to-date peaks
+        const trial = { powerMW: ctx.powerMW, capacityMWh: ctx.capacityMWh, results: new Array(days).fill(null),
+                        monthPeaks: {}, ageing: ctx.ageing, outageWindows: windows, summaryOnly: true };
+        const rechained = [];
+        chains.forEach(({ indices }) => {
+            const first = indices.findIndex(hit);
+            if (first < 0) return;
+            const i = indices[first];
+            const [, args] = ctx.tasks[i];
+            trial.monthPeaks[dayDataByIndex[i].date.slice(0, 7)] = { ...args[args.length - 1].monthPeakMW };
+            rechained.push({ indices: indices.slice(first), start: ctx.starts[i] });
+        });
+        await optimiseDays(dayDataByIndex, settings, [[trial, rechained]], pool, run, () => {});
         
-        if (available) {
-            opportunities.push(opp);
-            // Mark intervals as used
-            for (let i = opp.chargeStart; i <= opp.chargeEnd; i++) {
-                usedIntervals.add(i);
-            }
-            for (let i = opp.dischargeStart; i <= opp.dischargeEnd; i++) {
-                usedIntervals.add(i);
-            }
-        }
+        const change = rechained.reduce((sum, { indices }) => sum + indices.reduce((chainSum, i) =>
+            chainSum + (trial.results[i] ? trial.results[i].revenue : 0) - (ctx.results[i] ? ctx.results[i].revenue : 0), 0), 0);
+        revenues.push(analysed + change);
+        available.push(shareAvailable(windows));
+        trialsDone++;
+        document.getElementById('progressText').textContent = 
+            `Outage trials: ${trialsDone}/${sampled}`;
     }
+    if (run.cancelled) throw new Error('Outage trials cancelled');
     
-    // Sort selected opportunities by time
-    opportunities.sort((a, b) => a.chargeStart - b.chargeStart);
-    
-    return opportunities;
+    return {
+        ...revenueExceedance(sampled > 0 ? revenues : [analysed]),
+        trials: sampled,
+        plannedRevenue: analysed,  // planned outages only
+        availability: sampled > 0 ? available.reduce((sum, a) => sum + a, 0) / sampled : shareAvailable(ctx.outageWindows),
+        plannedOutages: planned.length
+    };
 }
 
 /**
@@ -1194,14 +1599,38 @@ function findBestArbitrageOpportunities(data, efficiency, maxCycles, totalCapaci
 function updateMetrics(results) {
     // Calculate aggregated breakdown across all days
     let totalWholesale = 0;
+    let totalMlf = 0;
+    let totalFcas = 0;
     let totalNetwork = 0;
     let totalStanding = 0;
     let totalDemand = 0;
+    let totalDegradation = 0;
+    let equivalentCycles = 0;
+    let degradationModelled = false;
+    let pv = null;  // hybrid revenue split summed over the days
+    let hedge = null;  // spot position and hedge settlement summed over the days
     
     if (results.dailyResults && results.dailyResults.length > 0) {
         results.dailyResults.forEach(day => {
+            if (day.pv) {
+                if (!pv) pv = { exportRevenue: 0, batteryArbitrage: 0, curtailmentLoss: 0, generationMWh: 0, curtailedMWh: 0 };
+                Object.keys(pv).forEach(key => { pv[key] += day.pv[key]; });
+            }
+            if (day.hedge) {
+                if (!hedge) hedge = { spot: 0, premium: 0, payouts: 0 };
+                hedge.spot += day.spotRevenue;
+                hedge.premium += day.hedge.premium;
+                hedge.payouts += day.hedge.payouts;
+            }
+            if (day.degradation) {
+                degradationModelled = true;
+                totalDegradation += day.degradation.cost;
+                equivalentCycles += day.degradation.equivalentFullCycles;
+            }
             if (day.wholesaleRevenue !== undefined) {
                 totalWholesale += day.wholesaleRevenue;
+                totalMlf += day.mlfAdjustment || 0;
+                totalFcas += day.fcasRevenue || 0;
                 totalNetwork += day.networkCharges || 0;
                 totalStanding += day.standingCharge || 0;
                 totalDemand += day.demandCharges || 0;
@@ -1218,6 +1647,8 @@ function updateMetrics(results) {
     
     // Update revenue breakdown
     const wholesaleElem = document.getElementById('wholesaleRevenue');
+    const mlfElem = document.getElementById('mlfAdjustment');
+    const fcasElem = document.getElementById('fcasRevenue');
     const networkElem = document.getElementById('networkCharges');
     const standingElem = document.getElementById('standingCharges');
     const demandElem = document.getElementById('demandCharges');
@@ -1227,6 +1658,16 @@ function updateMetrics(results) {
         wholesaleElem.style.color = totalWholesale > 0 ? '#00E87E' : '#ff4444';
     }
     
+    if (mlfElem) {
+        mlfElem.textContent = '$' + totalMlf.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+        mlfElem.style.color = totalMlf < 0 ? '#ff4444' : totalMlf > 0 ? '#00E87E' : '#999';
+    }
+    
+    if (fcasElem) {
+        fcasElem.textContent = '$' + totalFcas.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+        fcasElem.style.color = totalFcas > 0 ? '#00E87E' : '#999';
+    }
+    
     if (networkElem) {
         networkElem.textContent = '$' + totalNetwork.toLocaleString('en-AU', { maximumFractionDigits: 0 });
         networkElem.style.color = totalNetwork > 0 ? '#ff4444' : '#00E87E';  // Usually a cost
@@ -1240,6 +1681,79 @@ function updateMetrics(results) {
     if (demandElem) {
         demandElem.textContent = '$' + totalDemand.toLocaleString('en-AU', { maximumFractionDigits: 0 });
         demandElem.style.color = totalDemand > 0 ? '#ff4444' : '#999';  // Always a cost
+        
+        // Billed on the highest monthly peak kVA per tariff period
+        const detailElem = document.getElementById('demandDetail');
+        const months = Object.keys(results.demandByMonth || {});
+        if (detailElem && months.length > 0) {
+            const maxKVA = Math.max(...months.map(month =>
+                Math.max(...Object.values(results.demandByMonth[month]).map(p => p.peakKVA))));
+            detailElem.textContent = `Peak ${maxKVA.toLocaleString('en-AU', { maximumFractionDigits: 0 })} kVA · ` +
+                `${months.length} month${months.length > 1 ? 's' : ''}`;
+        }
+    }
+    
+    // Rainflow degradation, reported alongside revenue rather than netted from it
+    const degradationElem = document.getElementById('degradationCost');
+    if (degradationElem) {
+        const detailElem = document.getElementById('degradationDetail');
+        if (degradationModelled) {
+            degradationElem.textContent = '$' + totalDegradation.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+            degradationElem.style.color = totalDegradation > 0 ? '#ff4444' : '#999';
+            if (detailElem) detailElem.textContent = `Rainflow · ${equivalentCycles.toFixed(1)} equivalent cycles`;
+        } else {
+            degradationElem.textContent = '-';
+            degradationElem.style.color = '#999';
+            if (detailElem) detailElem.textContent = 'No cycle life curve';
+        }
+    }
+    
+    // Hedge book: spot position, premium received and difference payments
+    ['spotRevenueCard', 'hedgePremiumCard', 'hedgePayoutsCard'].forEach(id => {
+        const card = document.getElementById(id);
+        if (card) card.style.display = hedge ? '' : 'none';
+    });
+    if (hedge && document.getElementById('spotRevenue')) {
+        const money = value => '$' + value.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+        const colour = value => value > 0 ? '#00E87E' : value < 0 ? '#ff4444' : '#999';
+        [['spotRevenue', hedge.spot], ['hedgePremium', hedge.premium], ['hedgePayouts', hedge.payouts]].forEach(([id, value]) => {
+            document.getElementById(id).textContent = money(value);
+            document.getElementById(id).style.color = colour(value);
+        });
+        document.getElementById('hedgeDetail').textContent = `Net hedge ${money(hedge.premium + hedge.payouts)}`;
+    }
+    
+    // PV hybrid: PV export, battery arbitrage and PV revenue lost to curtailment
+    ['pvExportCard', 'batteryArbitrageCard', 'curtailmentCard'].forEach(id => {
+        const card = document.getElementById(id);
+        if (card) card.style.display = pv ? '' : 'none';
+    });
+    if (pv && document.getElementById('pvExportRevenue')) {
+        const money = value => '$' + value.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+        document.getElementById('pvExportRevenue').textContent = money(pv.exportRevenue);
+        document.getElementById('pvExportDetail').textContent = 
+            `${pv.generationMWh.toLocaleString('en-AU', { maximumFractionDigits: 0 })} MWh generated`;
+        document.getElementById('batteryArbitrage').textContent = money(pv.batteryArbitrage);
+        document.getElementById('batteryArbitrage').style.color = pv.batteryArbitrage >= 0 ? '#00E87E' : '#ff4444';
+        document.getElementById('curtailmentLoss').textContent = money(pv.curtailmentLoss);
+        document.getElementById('curtailmentLoss').style.color = pv.curtailmentLoss > 0 ? '#ff4444' : '#999';
+        document.getElementById('curtailmentDetail').textContent = 
+            `${pv.curtailedMWh.toLocaleString('en-AU', { maximumFractionDigits: 0 })} MWh curtailed`;
+    }
+    
+    // Revenue given up because faded capacity stores less than nameplate
+    const fadeCard = document.getElementById('fadeCard');
+    if (fadeCard) {
+        if (results.ageing) {
+            const { stateOfHealth, fadeRevenueLost } = results.ageing;
+            const endSoH = stateOfHealth.length > 0 ? stateOfHealth[stateOfHealth.length - 1].soh : 1;
+            document.getElementById('fadeRevenueLost').textContent = 
+                '$' + fadeRevenueLost.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+            document.getElementById('fadeDetail').textContent = `vs nameplate · SoH ${(endSoH * 100).toFixed(1)}% at end`;
+            fadeCard.style.display = '';
+        } else {
+            fadeCard.style.display = 'none';
+        }
     }
     
     // Update other metrics
@@ -1258,6 +1772,56 @@ function updateMetrics(results) {
     document.getElementById('annualRevenue').textContent = 
         '$' + annualized.toLocaleString('en-AU', { maximumFractionDigits: 0 });
     
+    // Revenue without foresight on held-out days, as a share of the perfect-foresight optimum
+    const expectedCard = document.getElementById('expectedRevenueCard');
+    if (expectedCard) {
+        if (results.stochastic) {
+            const { realisedRevenue, perfectForesightRevenue, maxRealisedCycles, maxCycles } = results.stochastic;
+            const capture = perfectForesightRevenue > 0 ? realisedRevenue / perfectForesightRevenue * 100 : 0;
+            document.getElementById('expectedRevenue').textContent = 
+                '$' + realisedRevenue.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+            // The cycle limit holds on average over the scenarios, not on each day
+            document.getElementById('foresightGap').textContent = 
+                `${capture.toFixed(0)}% of $${perfectForesightRevenue.toLocaleString('en-AU', { maximumFractionDigits: 0 })} perfect foresight` +
+                (maxCycles === null ? '' : `; up to ${maxRealisedCycles.toFixed(2)} cycles/day vs ${maxCycles} expected`);
+            expectedCard.style.display = '';
+        } else {
+            expectedCard.style.display = 'none';
+        }
+    }
+    
+    // Revenue operating on forecasts, as a share of the perfect-foresight optimum
+    const mpcCard = document.getElementById('mpcRevenueCard');
+    if (mpcCard) {
+        if (results.mpc) {
+            const { realisedRevenue, perfectForesightRevenue, captureRatio } = results.mpc;
+            document.getElementById('mpcRevenue').textContent = 
+                '$' + realisedRevenue.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+            document.getElementById('mpcCapture').textContent = 
+                (captureRatio === null ? 'n/a' : `${(captureRatio * 100).toFixed(0)}%`) +
+                ` capture of $${perfectForesightRevenue.toLocaleString('en-AU', { maximumFractionDigits: 0 })} perfect foresight`;
+            mpcCard.style.display = '';
+        } else {
+            mpcCard.style.display = 'none';
+        }
+    }
+    
+    // Revenue after outages: P50 of the forced-outage trials, with its spread
+    const availabilityCard = document.getElementById('availabilityCard');
+    if (availabilityCard) {
+        if (results.availability) {
+            const { p10, p50, p90, trials, availability } = results.availability;
+            const money = value => '$' + value.toLocaleString('en-AU', { maximumFractionDigits: 0 });
+            document.getElementById('availabilityRevenue').textContent = money(p50);
+            document.getElementById('availabilitySpread').textContent = 
+                (trials > 0 ? `P90 ${money(p90)} · P10 ${money(p10)} · ` : 'Planned outages · ') +
+                `${(availability * 100).toFixed(1)}% available`;
+            availabilityCard.style.display = '';
+        } else {
+            availabilityCard.style.display = 'none';
+        }
+    }
+    
     // Update active tariff display
     const tariffElem = document.getElementById('activeTariff');
     if (tariffElem) {
@@ -1277,8 +1841,10 @@ function updateCharts(results) {
     updateDailyRevenueChart(results);
     updateCumulativeChart(results);
     updateUtilizationChart(results);
+    updateStateOfHealthChart(results);
     updateResultsTable(results);
     
+    document.getElementById('sohChartContainer').style.display = results.ageing ? 'block' : 'none';
     document.getElementById('dailyRevenueChartContainer').style.display = 'block';
     document.getElementById('cumulativeChartContainer').style.display = 'block';
     document.getElementById('utilizationChartContainer').style.display = 'block';
@@ -1314,6 +1880,7 @@ function updateDailyView(dayIndex) {
     
     updatePriceChart(dayResult);
     // SoC is now included in the price chart
+    updateBidTable(dayResult);
     
     document.getElementById('priceChartContainer').style.display = 'block';
     // SoC chart container has been removed
@@ -1344,6 +1911,7 @@ function addDailyRevenueBreakdown(dayResult) {
     
     // Format breakdown display
     let html = '';
+    const administered = dayResult.operations.filter(op => op.priceFlag === 'administered').length;
     
     if (dayResult.breakdown) {
         html = `
@@ -1353,6 +1921,19 @@ function addDailyRevenueBreakdown(dayResult) {
                     $${dayResult.breakdown.wholesale.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
                 </div>
             </div>
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">MLF${dayResult.mlf ? ` (${dayResult.mlf.generation.toFixed(3)} / ${dayResult.mlf.load.toFixed(3)})` : ''}</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${(dayResult.breakdown.mlf || 0) < 0 ? '#ff4444' : '#999'};">
+                    $${(dayResult.breakdown.mlf || 0).toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>
+            ${Object.entries(dayResult.breakdown.fcasByService || {}).map(([service, value]) => `
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">FCAS ${service}</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${value > 0 ? '#00E87E' : '#999'};">
+                    $${value.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>`).join('')}
             <div style="text-align: center;">
                 <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Network</div>
                 <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.breakdown.network < 0 ? '#ff4444' : '#00E87E'};">
@@ -1371,8 +1952,67 @@ function addDailyRevenueBreakdown(dayResult) {
                     $${dayResult.breakdown.demand.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
                 </div>
             </div>
+            ${dayResult.degradation ? `
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Degradation (${dayResult.degradation.equivalentFullCycles.toFixed(2)} eq. cycles)</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.degradation.cost > 0 ? '#ff4444' : '#999'};">
+                    $${dayResult.degradation.cost.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>` : ''}
+            ${dayResult.cycleCalibration ? `
+            <div style="text-align: center;" title="Calibrated ${dayResult.cycleCalibration.method === 'grid' ? 'by grid search (throughput not monotone in price)' : `by ${dayResult.cycleCalibration.method}`} in ${dayResult.cycleCalibration.solves} solves; shapes the schedule, not charged to revenue">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Cycle Shadow Price (${dayResult.cycles.toFixed(2)} / ${dayResult.targetCycles} cycles)</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.cycleCalibration.shadowPrice > 0 ? 'white' : '#999'};">
+                    $${dayResult.cycleCalibration.shadowPrice.toLocaleString('en-AU', { maximumFractionDigits: 2 })}/MWh
+                </div>
+            </div>` : ''}
+            ${administered > 0 ? `
+            <div style="text-align: center;" title="The cumulative price threshold was exceeded; these intervals settle within the administered price cap">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Administered Pricing (${administered} intervals)</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: white;">
+                    ±$${marketRulesFor(financialYearOf(dayResult.date), dayResult.date).administeredPriceCap.toLocaleString('en-AU')}/MWh
+                </div>
+            </div>` : ''}
+            ${dayResult.pv ? `
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">PV Export (${dayResult.pv.generationMWh.toFixed(1)} MWh generated)</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.pv.exportRevenue > 0 ? '#00E87E' : '#ff4444'};">
+                    $${dayResult.pv.exportRevenue.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Battery Arbitrage</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.pv.batteryArbitrage > 0 ? '#00E87E' : '#ff4444'};">
+                    $${dayResult.pv.batteryArbitrage.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Curtailed (${dayResult.pv.curtailedMWh.toFixed(1)} MWh)</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.pv.curtailmentLoss > 0 ? '#ff4444' : '#999'};">
+                    $${dayResult.pv.curtailmentLoss.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>` : ''}
+            ${dayResult.hedge ? `
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Spot</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.spotRevenue > 0 ? '#00E87E' : '#ff4444'};">
+                    $${dayResult.spotRevenue.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Hedge Premium</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.hedge.premium > 0 ? '#00E87E' : '#999'};">
+                    $${dayResult.hedge.premium.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>
+            <div style="text-align: center;">
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Hedge Payouts</div>
+                <div style="font-size: 1.2rem; font-weight: bold; color: ${dayResult.hedge.payouts < 0 ? '#ff4444' : dayResult.hedge.payouts > 0 ? '#00E87E' : '#999'};">
+                    $${dayResult.hedge.payouts.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
+                </div>
+            </div>` : ''}
             <div style="text-align: center; border-left: 2px solid #333; padding-left: 15px;">
-                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">Net Revenue</div>
+                <div style="font-size: 0.9rem; color: #999; margin-bottom: 5px;">${dayResult.hedge ? 'Net Position' : 'Net Revenue'}</div>
                 <div style="font-size: 1.4rem; font-weight: bold; color: ${dayResult.breakdown.total > 0 ? '#00E87E' : '#ff4444'};">
                     $${dayResult.breakdown.total.toLocaleString('en-AU', { maximumFractionDigits: 0 })}
                 </div>
@@ -1420,6 +2060,180 @@ function addDayNavigation(currentIndex) {
     `;
 }
 
+/**
+ * Ten-band bid table for the day (DP mode): band prices in the header,
+ * MW per band for each interval, generation then load
+ */
+function updateBidTable(dayResult) {
+    const container = document.getElementById('bidTable');
+    if (!container) return;
+    if (!dayResult.bids) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    const { generation, load } = dayResult.bids;
+    const price = p => '$' + p.toLocaleString('en-AU', { maximumFractionDigits: 2 });
+    document.getElementById('bidTableHead').innerHTML = `
+        <tr>
+            <th rowspan="2">Time</th>
+            <th colspan="${generation.priceBands.length + 1}">Generation (discharge)</th>
+            <th colspan="${load.priceBands.length + 1}">Load (charge)</th>
+        </tr>
+        <tr>
+            <th>Max</th>${generation.priceBands.map(p => `<th>${price(p)}</th>`).join('')}
+            <th>Max</th>${load.priceBands.map(p => `<th>${price(p)}</th>`).join('')}
+        </tr>`;
+    document.getElementById('bidTableBody').innerHTML = dayResult.operations.map((op, t) => {
+        const cells = offer => `<td>${offer.maxAvail}</td>` + offer.bandAvail.map(mw => `<td>${mw || ''}</td>`).join('');
+        return `<tr><td>${op.time}</td>${cells(generation.intervals[t])}${cells(load.intervals[t])}</tr>`;
+    }).join('');
+    container.style.display = 'block';
+}
+
+/**
+ * AEMO-style bid file for one day: a day offer (price bands) and per-interval
+ * offers (availabilities) for generation and load, in MMS CSV layout. Bids
+ * are per dispatch interval, so with intervalMinutes longer than dispatch
+ * each interval's offer is repeated over the dispatch intervals within it.
+ */
+function formatBidFile(dayResult, duid, intervalMinutes = DISPATCH_MINUTES) {
+    const perInterval = Math.max(1, Math.round(intervalMinutes / DISPATCH_MINUTES));
+    const minutesOf = time => {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    };
+    const timeOf = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    const lines = [`C,LETOOL,BIDS,${dayResult.date}`];
+    lines.push(['I', 'BIDS', 'BIDDAYOFFER', '1', 'DUID', 'BIDTYPE', 'DIRECTION', 'SETTLEMENTDATE',
+        ...dayResult.bids.generation.priceBands.map((_, b) => `PRICEBAND${b + 1}`)].join(','));
+    const directions = [['GEN', dayResult.bids.generation], ['LOAD', dayResult.bids.load]];
+    directions.forEach(([direction, offer]) => {
+        lines.push(['D', 'BIDS', 'BIDDAYOFFER', '1', duid, 'ENERGY', direction, dayResult.date,
+            ...offer.priceBands.map(p => p.toFixed(2))].join(','));
+    });
+    lines.push(['I', 'BIDS', 'BIDPEROFFER', '1', 'DUID', 'BIDTYPE', 'DIRECTION', 'INTERVAL_DATETIME', 'PERIODID',
+        'MAXAVAIL', ...dayResult.bids.generation.priceBands.map((_, b) => `BANDAVAIL${b + 1}`)].join(','));
+    directions.forEach(([direction, offer]) => {
+        offer.intervals.forEach((interval, t) => {
+            const start = minutesOf(dayResult.operations[t].time);
+            for (let d = 0; d < perInterval; d++) {
+                const minute = start + d * DISPATCH_MINUTES;
+                lines.push(['D', 'BIDS', 'BIDPEROFFER', '1', duid, 'ENERGY', direction,
+                    `${dayResult.date} ${timeOf(minute)}`, minute / DISPATCH_MINUTES + 1, interval.maxAvail,
+                    ...interval.bandAvail].join(','));
+            }
+        });
+    });
+    lines.push('C,END OF REPORT');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Download the bid file of the day shown in the daily view
+ */
+function downloadBidFile() {
+    if (!analysisResults) return;
+    const dayResult = analysisResults.dailyResults[currentDayIndex];
+    if (!dayResult || !dayResult.bids) return;
+    
+    const duid = document.getElementById('bidDuid').value.trim() || 'BESS1';
+    const blob = new Blob([formatBidFile(dayResult, duid, analysisResults.intervalMinutes)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `bids_${duid}_${dayResult.date}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+window.downloadBidFile = downloadBidFile;
+
+/**
+ * Project economics for the analysed battery: the period's average day
+ * (at nameplate where the run modelled fade) scaled to a year, through the
+ * financial settings
+ */
+function updateFinancials(results) {
+    const container = document.getElementById('financialTable');
+    if (!container || !results) return;
+    
+    const days = results.days;
+    let revenue = 0;
+    let dischargeMWh = 0;
+    results.dailyResults.forEach(day => {
+        revenue += day.nameplateRevenue !== undefined ? day.nameplateRevenue : day.revenue;
+        const hours = 24 / day.operations.length;
+        day.operations.forEach(op => {
+            if (op.powerFlow > 0) dischargeMWh += op.powerFlow * hours;
+        });
+    });
+    
+    financialModel = buildProjectCashflows({
+        powerMW: results.power * results.numUnits,
+        capacityMWh: results.capacity * results.numUnits,
+        annualRevenue: revenue / days * 365,
+        annualDischargeMWh: dischargeMWh / days * 365,
+        annualCycles: results.avgCycles * 365
+    }, readFinanceInputs());
+    
+    const money = value => (value < 0 ? '-$' : '$') + Math.abs(value).toLocaleString('en-AU', { maximumFractionDigits: 0 });
+    document.getElementById('projectNPV').textContent = money(financialModel.npv);
+    document.getElementById('projectCapex').textContent = `CAPEX ${money(financialModel.capex)}`;
+    document.getElementById('projectIRR').textContent =
+        financialModel.irr === null ? 'n/a' : (financialModel.irr * 100).toFixed(1) + '%';
+    document.getElementById('projectPayback').textContent =
+        financialModel.paybackYears === null ? 'Never' : financialModel.paybackYears.toFixed(1) + ' yrs';
+    document.getElementById('projectLCOS').textContent =
+        financialModel.lcos === null ? 'n/a' : money(financialModel.lcos) + '/MWh';
+    
+    document.getElementById('cashflowTableBody').innerHTML = financialModel.years.map(y => `
+        <tr>
+            <td>${y.year}</td>
+            <td>${(y.stateOfHealth * 100).toFixed(1)}%</td>
+            <td>${money(y.revenue)}</td>
+            <td>${money(-y.fixedOpex - y.variableOpex)}</td>
+            <td>${y.augmentation > 0 ? money(-y.augmentation) : '-'}</td>
+            <td>${money(y.ebitda)}</td>
+            <td>${y.tax > 0 ? money(-y.tax) : '-'}</td>
+            <td>${money(y.cashflow)}</td>
+            <td>${money(y.cumulative)}</td>
+        </tr>`).join('');
+    container.style.display = 'block';
+}
+
+/**
+ * Yearly cashflows as CSV, year 0 holding the CAPEX
+ */
+function formatCashflowCSV(model) {
+    const columns = ['year', 'stateOfHealth', 'revenue', 'dischargeMWh', 'fixedOpex', 'variableOpex',
+                     'augmentation', 'ebitda', 'depreciation', 'tax', 'cashflow', 'cumulative', 'discountedCashflow'];
+    const lines = [columns.join(',')];
+    lines.push([0, 1, 0, 0, 0, 0, 0, -model.capex, 0, 0, -model.capex, -model.capex, -model.capex].join(','));
+    model.years.forEach(y => {
+        lines.push(columns.map(c => c === 'year' ? y.year :
+            c === 'stateOfHealth' ? y.stateOfHealth.toFixed(4) : y[c].toFixed(2)).join(','));
+    });
+    lines.push('');
+    lines.push(`NPV,${model.npv.toFixed(2)}`);
+    lines.push(`IRR,${model.irr === null ? '' : model.irr.toFixed(4)}`);
+    lines.push(`Payback years,${model.paybackYears === null ? '' : model.paybackYears.toFixed(2)}`);
+    lines.push(`LCOS $/MWh,${model.lcos === null ? '' : model.lcos.toFixed(2)}`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Download the project cashflows as CSV
+ */
+function downloadCashflows() {
+    if (!financialModel) return;
+    const blob = new Blob([formatCashflowCSV(financialModel)], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `cashflows_${analysisResults.dailyResults[0].date}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+window.downloadCashflows = downloadCashflows;
+
 function navigateDay(direction) {
     const newIndex = currentDayIndex + direction;
     if (newIndex >= 0 && newIndex < analysisResults.dailyResults.length) {
@@ -1472,6 +2286,20 @@ function updatePriceChart(dayResult) {
         borderDash: [5, 3]
     }];
     
+    // Mark intervals settled under administered pricing (see settleMarketRules)
+    if (dayResult.operations.some(op => op.priceFlag === 'administered')) {
+        datasets.push({
+            label: 'Administered Price',
+            data: dayResult.operations.map(op => op.priceFlag === 'administered' ? op.price : null),
+            borderColor: '#E94B3C',
+            backgroundColor: '#E94B3C',
+            showLine: false,
+            pointRadius: 2,
+            order: 1,
+            yAxisID: 'y'
+        });
+    }
+    
     // Add reservation price bands if using DP optimization
     if (dayResult.dpOptimal && dayResult.reservation) {
         // Filter out invalid reservation prices and clamp to reasonable range
@@ -1546,6 +2374,10 @@ function updatePriceChart(dayResult) {
                             let label = `Price: ${context.parsed.y.toFixed(2)}/MWh`;
                             if (op.operation === 'charge') label += ' (Charging)';
                             else if (op.operation === 'discharge') label += ' (Discharging)';
+                            if (op.pv && op.pv.availableMW > 0) {
+                                label += ` · PV ${op.pv.outputMW.toFixed(1)} MW`;
+                                if (op.pv.curtailedMW > 0.05) label += `, ${op.pv.curtailedMW.toFixed(1)} MW curtailed`;
+                            }
                             return label;
                         }
                     }
@@ -1771,6 +2603,58 @@ function updateCumulativeChart(results) {
     });
 }
 
+/**
+ * Update state of health chart (ageing runs only)
+ */
+function updateStateOfHealthChart(results) {
+    if (sohChart) sohChart.destroy();
+    sohChart = null;
+    if (!results.ageing) return;
+    
+    const ctx = document.getElementById('sohChart').getContext('2d');
+    const points = results.ageing.stateOfHealth;
+    
+    sohChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: points.map(p => p.date),
+            datasets: [{
+                label: 'State of Health (%)',
+                data: points.map(p => p.soh * 100),
+                borderColor: GREENWOOD_COLORS.primary,
+                backgroundColor: `${GREENWOOD_COLORS.primary}10`,
+                borderWidth: 3,
+                pointRadius: 2,
+                stepped: true,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `SoH: ${context.parsed.y.toFixed(2)}% (${(results.capacity * results.numUnits * context.parsed.y / 100).toFixed(1)} MWh)`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    display: true,
+                    title: {
+                        display: true,
+                        text: 'State of Health (% of nameplate)'
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Update utilization chart
  */
@@ -1827,6 +2711,11 @@ function updateResultsTable(results) {
         row.insertCell(2).textContent = day.cycles.toFixed(2);
         row.insertCell(3).textContent = '$' + day.avgSpread.toFixed(2);
         row.insertCell(4).textContent = day.energyTraded.toFixed(1) + ' MWh';
+        row.insertCell(5).textContent = Math.max(0, day.endSoC || 0).toFixed(1) + ' MWh';
+        row.insertCell(6).textContent = day.degradation ?
+            '$' + day.degradation.cost.toLocaleString('en-AU', { maximumFractionDigits: 0 }) : '-';
+        row.insertCell(7).textContent = day.hedge ?
+            '$' + day.hedge.net.toLocaleString('en-AU', { maximumFractionDigits: 0 }) : '-';
     });
     
     // Add total row
@@ -1837,6 +2726,13 @@ function updateResultsTable(results) {
     totalRow.insertCell(2).textContent = results.totalCycles.toFixed(2);
     totalRow.insertCell(3).textContent = '-';
     totalRow.insertCell(4).textContent = results.totalEnergy.toFixed(1) + ' MWh';
+    totalRow.insertCell(5).textContent = '-';
+    const totalDegradation = results.dailyResults.reduce((sum, day) => sum + (day.degradationCost || 0), 0);
+    totalRow.insertCell(6).textContent = results.dailyResults.some(day => day.degradation) ?
+        '$' + totalDegradation.toLocaleString('en-AU', { maximumFractionDigits: 0 }) : '-';
+    const totalHedge = results.dailyResults.reduce((sum, day) => sum + (day.hedge ? day.hedge.net : 0), 0);
+    totalRow.insertCell(7).textContent = results.dailyResults.some(day => day.hedge) ?
+        '$' + totalHedge.toLocaleString('en-AU', { maximumFractionDigits: 0 }) : '-';
 }
 
 // Fetch crypto prices
@@ -1977,9 +2873,15 @@ function initializeTicker() {
 function initializeSiteModeHandlers() {
     const siteModeSelect = document.getElementById('siteMode');
     const tariffSelect = document.getElementById('tariff');
+    const powerFactorInput = document.getElementById('powerFactor');
     const optimizationMode = document.getElementById('optimizationMode');
     const maxCyclesInput = document.getElementById('maxCycles');
     const throughputCostInput = document.getElementById('throughputCost');
+    // Settings only the DP optimiser understands
+    const dpOnlyInputs = ['horizonMode', 'priceUncertainty', 'forecastModel', 'mpcResolve',
+                          'fcasRaiseReg', 'fcasLowerReg', 'fcasRaise60', 'fcasLower60', 'pvCapacity', 'pvProfile', 'siteExportLimit', 'gridCharging', 'hedgeCover', 'bidDuid']
+        .map(id => document.getElementById(id))
+        .filter(Boolean);
     
     if (siteModeSelect && tariffSelect) {
         siteModeSelect.addEventListener('change', function() {
@@ -1991,22 +2893,25 @@ function initializeSiteModeHandlers() {
                 // Behind-the-meter: enable tariff selection
                 tariffSelect.disabled = false;
             }
+            if (powerFactorInput) powerFactorInput.disabled = tariffSelect.disabled;
         });
     }
     
     if (optimizationMode && maxCyclesInput) {
         optimizationMode.addEventListener('change', function() {
+            dpOnlyInputs.forEach(input => {
+                input.disabled = this.value !== 'dp';
+            });
+            
             if (this.value === 'dp') {
-                // DP mode: disable max cycles (it finds optimal automatically)
-                maxCyclesInput.disabled = true;
-                maxCyclesInput.title = 'Dynamic Programming finds optimal cycles automatically';
+                // DP mode: max cycles is a hard daily throughput limit
+                maxCyclesInput.title = 'Hard daily cycle limit - DP prices cycling with a shadow cost to stay within it';
                 // Show throughput cost as the way to influence cycles
                 if (throughputCostInput) {
                     throughputCostInput.title = 'Use degradation cost to reduce cycling (higher cost = fewer cycles)';
                 }
             } else {
-                // Heuristic mode: enable max cycles constraint
-                maxCyclesInput.disabled = false;
+                // Heuristic mode: max cycles caps the charge/discharge windows selected
                 maxCyclesInput.title = 'Maximum cycles per day constraint for heuristic optimizer';
                 if (throughputCostInput) {
                     throughputCostInput.title = 'Cost per MWh of battery throughput to account for degradation';
@@ -0,0 +1,1520 @@
+/**
+ * Per-day arbitrage calculations shared by the dashboard and the optimiser
+ * Web Workers (see optimiser-worker.js): network tariff helpers, the DP and
+ * heuristic day calculators, and the task table the workers run.
+ * Pure functions of their inputs; nothing here touches the DOM.
+ */
+
+// The page and the workers load dp-optimizer.js and market-rules.js first by
+// script tag; under node they are required here
+if (typeof module !== 'undefined' && module.exports) {
+    var { optimiseBESS_DP, optimiseBESS_Stochastic, optimiseBESS_MPC, calibrateThroughputCost,
+          interpolateCurve, gridPowerOfSoCChange, rainflowDegradation, fitsDPStateLimit } = require('./dp-optimizer.js');
+    var { marketRulesFor } = require('./market-rules.js');
+}
+
+// Helper: Convert c/kWh to $/MWh
+function cPerKwhToDollarPerMWh(cents) {
+    return (cents || 0) * 10;
+}
+
+// Helper: Determine time-of-use period for a given time or timestamp
+// FIXED: Now accepts either a time string (HH:MM) or timestamp, with time string preferred
+function getTariffPeriod(timeOrTimestamp, windows, timeField = null) {
+    if (!windows || Object.keys(windows).length === 0) return 'offPeak';
+    
+    let timeStr;
+    
+    // If we have a separate time field (AEST time), use that directly
+    if (timeField && typeof timeField === 'string') {
+        timeStr = timeField;
+    }
+    // If timeOrTimestamp is already a time string (HH:MM format)
+    else if (typeof timeOrTimestamp === 'string' && timeOrTimestamp.match(/^\d{2}:\d{2}$/)) {
+        timeStr = timeOrTimestamp;
+    }
+    // Otherwise, extract time from timestamp (fallback, less reliable due to timezone issues)
+    else {
+        const date = new Date(timeOrTimestamp);
+        const hours = date.getHours();
+        const minutes = date.getMinutes();
+        timeStr = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    
+    // Check each window
+    if (windows.solarSoak) {
+        if (timeStr >= windows.solarSoak.start && timeStr < windows.solarSoak.end) {
+            return 'solarSoak';
+        }
+    }
+    if (windows.peak) {
+        if (timeStr >= windows.peak.start && timeStr < windows.peak.end) {
+            return 'peak';
+        }
+    }
+    
+    return 'offPeak';
+}
+
+/**
+ * Tariff period and network energy adjustments ($/MWh) for each interval
+ */
+function getNetworkAdjustments(data, tariff) {
+    return data.map(d => {
+        // FIXED: Use the stored time field (AEST) instead of timestamp conversion
+        const period = tariff ? getTariffPeriod(d.timestamp || new Date(), tariff.windows, d.time) : 'offPeak';
+        const importAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.import[period]) : 0;
+        const exportAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.export[period]) : 0;
+        
+        return {
+            period,
+            importAdj,  // Cost added when charging (positive = cost)
+            exportAdj   // Value adjustment when discharging (negative = credit)
+        };
+    });
+}
+
+/**
+ * Demand charge ($) for a day whose import peaks (MW per tariff period) may
+ * lift the month-to-date peaks. Billing is per kVA at the given power factor.
+ */
+function billDemandIncrease(peakDemand, tariff, monthPeakMW = {}, powerFactor = 0.95) {
+    if (!tariff || !tariff.demand_per_kva_month) return 0;
+    let charge = 0;
+    Object.keys(peakDemand).forEach(period => {
+        const newKVA = Math.max(0, peakDemand[period] - (monthPeakMW[period] || 0)) * 1000 / powerFactor;
+        charge += newKVA * (tariff.demand_per_kva_month.import[period] || 0);
+    });
+    return charge;
+}
+
+/**
+ * Monthly demand bill per tariff period from the month peaks (MW)
+ */
+function summariseDemandByMonth(monthPeaks, tariff, powerFactor) {
+    const summary = {};
+    Object.keys(monthPeaks).forEach(month => {
+        summary[month] = {};
+        Object.keys(monthPeaks[month]).forEach(period => {
+            const peakKVA = monthPeaks[month][period] * 1000 / powerFactor;
+            const rate = tariff && tariff.demand_per_kva_month ? tariff.demand_per_kva_month.import[period] || 0 : 0;
+            summary[month][period] = { peakMW: monthPeaks[month][period], peakKVA, charge: peakKVA * rate };
+        });
+    });
+    return summary;
+}
+
+/**
+ * Australian financial year (July to June) of a YYYY-MM-DD date, named by
+ * the calendar year it ends in: 2024-07-01 falls in FY2025.
+ */
+function financialYearOf(dateStr) {
+    const [year, month] = dateStr.split('-').map(Number);
+    return month >= 7 ? year + 1 : year;
+}
+
+/**
+ * Generation (export) and load (import) marginal loss factors for a date.
+ * mlf: { generation, load, byYear: { 2025: { generation, load } } }; financial
+ * years not listed in byYear use the defaults, and a missing mlf is lossless.
+ */
+function mlfForDate(mlf, dateStr) {
+    if (!mlf) return { generation: 1, load: 1 };
+    const year = mlf.byYear ? mlf.byYear[financialYearOf(dateStr)] : null;
+    const pick = key => year && year[key] > 0 ? year[key] : mlf[key] > 0 ? mlf[key] : 1;
+    return { generation: pick('generation'), load: pick('load') };
+}
+
+/**
+ * State of health (fraction of nameplate capacity) after one day: calendar
+ * fade for the day plus cycle fade for the equivalent full cycles it used.
+ * ageing: { calendarFadePerYear, cycleFadePerCycle } as fractions.
+ */
+function ageStateOfHealth(soh, cycles, ageing) {
+    const fade = ageing.calendarFadePerYear / 365 + ageing.cycleFadePerCycle * cycles;
+    return Math.max(0, soh - fade);
+}
+
+/**
+ * State of health entering dateStr: augmentation events (sorted by date, each
+ * { date, soh }) from events[nextEvent] on that fall on or before the date
+ * restore it to their SoH. Returns { soh, nextEvent } to carry to the next day.
+ */
+function augmentStateOfHealth(soh, nextEvent, events, dateStr) {
+    while (nextEvent < events.length && events[nextEvent].date <= dateStr) {
+        soh = events[nextEvent++].soh;
+    }
+    return { soh, nextEvent };
+}
+
+/**
+ * Revenue given up to fade: the nameplate run's revenue less the aged run's,
+ * over the days both ran (results by day index, null where a day did not run)
+ */
+function revenueLostToFade(aged, nameplate) {
+    return aged.reduce((sum, dayResult, i) =>
+        dayResult && nameplate[i] ? sum + nameplate[i].revenue - dayResult.revenue : sum, 0);
+}
+
+/**
+ * Planned outages as windows over an analysis period of `days` days from
+ * startDate: each { from, to (YYYY-MM-DD), start, end (HH:MM, '24:00' =
+ * midnight), mw (null = the whole battery) } takes out its hours on every
+ * day from `from` to `to`. Windows are { startHour, endHour, mw } in hours
+ * from startDate's midnight.
+ */
+function plannedOutageWindows(planned, startDate, days) {
+    const dayOf = date => Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / 86400000);
+    const hourOf = time => {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour + minute / 60;
+    };
+    const windows = [];
+    planned.forEach(outage => {
+        for (let d = Math.max(0, dayOf(outage.from)); d <= Math.min(days - 1, dayOf(outage.to)); d++) {
+            windows.push({ startHour: d * 24 + hourOf(outage.start), endHour: d * 24 + hourOf(outage.end), mw: outage.mw });
+        }
+    });
+    return windows;
+}
+
+/**
+ * Forced outages over `days` days for each of `units` units of unitMW, as
+ * windows like plannedOutageWindows. Each unit alternates between running
+ * and forced out for exponentially distributed times: repairs average
+ * meanRepairHours and runs average whatever makes forcedOutageRate the
+ * share of time out. A unit starts the period out with that probability.
+ * random() draws uniformly from [0, 1) (see seededRandom).
+ */
+function sampleForcedOutages(days, units, unitMW, forcedOutageRate, meanRepairHours, random = Math.random) {
+    const windows = [];
+    if (!(forcedOutageRate > 0) || !(meanRepairHours > 0)) return windows;
+    const meanRunHours = meanRepairHours * (1 - forcedOutageRate) / forcedOutageRate;
+    const exponential = mean => -mean * Math.log(1 - random());
+    const horizon = days * 24;
+    for (let u = 0; u < units; u++) {
+        let hour = 0;
+        let out = random() < forcedOutageRate;
+        while (hour < horizon) {
+            const duration = exponential(out ? meanRepairHours : meanRunHours);
+            if (out) windows.push({ startHour: hour, endHour: Math.min(horizon, hour + duration), mw: unitMW });
+            hour += duration;
+            out = !out;
+        }
+    }
+    return windows;
+}
+
+/**
+ * Share of a battery of powerMW available in each interval of the day with
+ * index dayIndex in the period (intervals of dtHours from each time): one
+ * less the MW out, time-weighted over the interval. Null when no outage
+ * window touches the day.
+ */
+function availabilityForDay(data, dayIndex, windows, powerMW, dtHours = 5 / 60) {
+    const dayStart = dayIndex * 24;
+    const today = windows.filter(w => w.endHour > dayStart && w.startHour < dayStart + 24);
+    if (today.length === 0) return null;
+    return data.map(interval => {
+        const [hour, minute] = interval.time.split(':').map(Number);
+        const start = dayStart + hour + minute / 60;
+        const end = start + dtHours;
+        const outMWh = today.reduce((sum, w) => sum +
+            Math.max(0, Math.min(end, w.endHour) - Math.max(start, w.startHour)) * (w.mw === null ? powerMW : w.mw), 0);
+        return Math.max(0, 1 - outMWh / (dtHours * powerMW));
+    });
+}
+
+/**
+ * Uniform [0, 1) generator from an integer seed (mulberry32), so outage
+ * trials draw the same outages every run
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = Math.imul(state ^ (state >>> 15), state | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * P10 / P50 / P90 of trial revenues as exceedance levels: P90 is beaten in
+ * 90% of trials (the low case) and P10 in 10% (the high case), interpolated
+ * between trials.
+ */
+function revenueExceedance(revenues) {
+    const sorted = [...revenues].sort((a, b) => a - b);
+    const quantile = q => {
+        const position = q * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(sorted.length - 1, lower + 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+    return {
+        p10: quantile(0.9),
+        p50: quantile(0.5),
+        p90: quantile(0.1),
+        mean: sorted.reduce((sum, r) => sum + r, 0) / sorted.length,
+        trials: sorted.length
+    };
+}
+
+// Named hedge windows (AEST): ASX peak is 7am-10pm on weekdays
+const HEDGE_WINDOWS = {
+    flat: { start: '00:00', end: '24:00', weekdaysOnly: false },
+    peak: { start: '07:00', end: '22:00', weekdaysOnly: true }
+};
+
+/**
+ * Whether a hedge contract covers an interval. window: { start, end } as
+ * HH:MM (end exclusive, '24:00' = midnight) and weekdaysOnly. Weekday-only
+ * contracts need the day's date (YYYY-MM-DD) and throw without one.
+ */
+function hedgeCovers(contract, dateStr, time) {
+    const { start, end, weekdaysOnly } = contract.window;
+    if (weekdaysOnly) {
+        const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+        if (Number.isNaN(day)) {
+            throw new Error(`Weekday-only hedge needs the trading date (got ${dateStr})`);
+        }
+        if (day === 0 || day === 6) return false;
+    }
+    return time >= start && time < end;
+}
+
+/**
+ * Settle a day's hedge book against spot prices. The battery is the seller:
+ *   cap  { type: 'cap', strike, mw, premium, window }: receives the premium
+ *        ($/MWh of cover) and pays mw × (price - strike) above the strike
+ *   swap { type: 'swap', strike, mw, premium, window }: receives
+ *        mw × (strike - price), which is negative above the strike
+ * in every covered interval (dt hours long), whatever the battery dispatches.
+ * @returns {Object} { premium, payouts, net, byContract: [{ premium, payouts }] }
+ */
+function settleHedges(data, dateStr, hedges, dt = 5 / 60) {
+    const byContract = hedges.map(contract => {
+        let premium = 0;
+        let payouts = 0;
+        data.forEach(d => {
+            if (!hedgeCovers(contract, dateStr, d.time)) return;
+            premium += contract.premium * contract.mw * dt;
+            payouts += contract.type === 'cap' ?
+                -contract.mw * Math.max(0, d.price - contract.strike) * dt :
+                contract.mw * (contract.strike - d.price) * dt;
+        });
+        return { premium, payouts };
+    });
+    const premium = byContract.reduce((sum, c) => sum + c.premium, 0);
+    const payouts = byContract.reduce((sum, c) => sum + c.payouts, 0);
+    return { premium, payouts, net: premium + payouts, byContract };
+}
+
+// Hours of capped MW held against a spike. Spikes rarely last longer, and
+// covering a whole peak window would pin the battery full all day.
+const HEDGE_COVER_HOURS = 1;
+
+/**
+ * SoC floor (MWh at the end of each interval) that physically covers the
+ * caps sold: enough energy to discharge the capped MW, up to exportMW, for
+ * the covered intervals still to come, but no more than coverHours of them,
+ * recharging at importMW in the uncovered gaps between them. Capped at
+ * capacity. Null without caps.
+ */
+function hedgeCoverMWh(data, dateStr, hedges, battery) {
+    const { capacityMWh, importMW, exportMW, etaC, etaD, dtHours: dt = 5 / 60,
+            coverHours = HEDGE_COVER_HOURS } = battery;
+    const caps = hedges.filter(contract => contract.type === 'cap');
+    const coverMW = data.map(d => Math.min(exportMW,
+        caps.reduce((sum, cap) => sum + (hedgeCovers(cap, dateStr, d.time) ? cap.mw : 0), 0)));
+    if (!coverMW.some(mw => mw > 0)) return null;
+    
+    const floor = new Array(data.length);
+    let need = 0;  // MWh needed at the end of interval t
+    for (let t = data.length - 1; t >= 0; t--) {
+        floor[t] = Math.min(capacityMWh, need);
+        need = coverMW[t] > 0 ? Math.min(need + coverMW[t] * dt / etaD, coverMW[t] * coverHours / etaD) :
+            Math.max(0, need - importMW * etaC * dt);
+    }
+    return floor;
+}
+
+// Representative site per region for clear-sky PV (degrees; south and west negative)
+const REGION_LOCATIONS = {
+    NSW1: { latitude: -33.9, longitude: 151.2 },
+    QLD1: { latitude: -27.5, longitude: 153.0 },
+    SA1:  { latitude: -34.9, longitude: 138.6 },
+    TAS1: { latitude: -42.9, longitude: 147.3 },
+    VIC1: { latitude: -37.8, longitude: 145.0 }
+};
+
+/**
+ * Clear-sky PV output (MW) for each interval of a day: capacity × the sine of
+ * the sun's elevation at the interval's market time (AEST), i.e. a horizontal
+ * array under a cloudless sky at the region's representative site.
+ */
+function clearSkyPV(data, dateStr, capacityMW, region) {
+    const site = REGION_LOCATIONS[region] || REGION_LOCATIONS.VIC1;
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / 86400000;
+    const rad = Math.PI / 180;
+    const declination = 23.44 * rad * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+    const latitude = site.latitude * rad;
+    // Solar noon falls later west of the AEST meridian (150°E)
+    const solarNoon = 12 + (150 - site.longitude) / 15;
+
+    return data.map(interval => {
+        const [h, m] = (interval.time || '00:00').split(':').map(Number);
+        const hourAngle = (h + m / 60 - solarNoon) * 15 * rad;
+        const sinElevation = Math.sin(latitude) * Math.sin(declination) +
+            Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle);
+        return capacityMW * Math.max(0, sinElevation);
+    });
+}
+
+/**
+ * PV available (MW) in each interval of a day. pv: { capacityMW, region,
+ * profile } where profile (e.g. an uploaded CSV) is { byDate: { date: rows },
+ * daily: rows } with rows as [['HH:MM', MW]] sorted by time; each interval
+ * takes the last row at or before its time. Dates the profile does not cover
+ * use the clear-sky shape at capacityMW. Null when the site has no PV.
+ */
+function pvForDay(data, dateStr, pv) {
+    if (!pv) return null;
+    const profile = pv.profile || {};
+    const rows = (profile.byDate && profile.byDate[dateStr]) || profile.daily;
+    if (!rows || rows.length === 0) {
+        return clearSkyPV(data, dateStr, pv.capacityMW || 0, pv.region);
+    }
+    return data.map(interval => {
+        const time = interval.time || '00:00';
+        let mw = 0;
+        for (const [rowTime, rowMW] of rows) {
+            if (rowTime > time) break;
+            mw = rowMW;
+        }
+        return Math.max(0, mw);
+    });
+}
+
+// SoC levels the day's DP is solved on (coarser where the state would not fit; see dpSettingsFit)
+const DP_SOC_STEPS = 201;
+
+/**
+ * DP ramp limit (MW per interval) and minimum run / rest (intervals) from
+ * the analysis settings, which take the ramp limit per minute and the times
+ * in minutes
+ */
+function dpOperatingLimits({ rampMWPerMin, minRunMinutes, minRestMinutes, intervalMinutes }) {
+    return {
+        rampRateMW: rampMWPerMin > 0 ? rampMWPerMin * intervalMinutes : null,
+        minRunIntervals: Math.max(1, Math.round(minRunMinutes / intervalMinutes)),
+        minRestIntervals: Math.max(0, Math.round(minRestMinutes / intervalMinutes))
+    };
+}
+
+/**
+ * Whether a day's DP for a battery of capacityMWh fits DP_STATE_LIMIT under
+ * the analysis settings (with the battery's `limits`, as for optimiseChain),
+ * on the coarsest SoC grid it may be run on (see fitsDPStateLimit). Minimum
+ * run / rest and ramp limits add operating states, so a long run time with a
+ * tight ramp may not.
+ */
+function dpSettingsFit(settings, capacityMWh) {
+    const { etaC, etaD, importMW, exportMW, cycleLifeCurve } = settings.limits;
+    const dtHours = settings.intervalMinutes / 60;
+    return fitsDPStateLimit({
+        capacityMWh, importMW, exportMW, etaC, etaD, dtHours, cycleLifeCurve, ...dpOperatingLimits(settings),
+        socSteps: DP_SOC_STEPS,
+        intervals: Math.round(24 / dtHours)
+    });
+}
+
+/**
+ * Calculate arbitrage using Dynamic Programming optimizer
+ */
+function calculateDPArbitrage(data, efficiency, maxCycles, totalCapacity, totalPower, throughputCost = 0, tariff = null, options = {}) {
+    const {
+        dtHours = 5/60,         // interval length: 5-minute dispatch or 30-minute trading intervals
+        rampRateMW = null,
+        minRunIntervals = 1,
+        minRestIntervals = 0,
+        soc0 = 0,               // start SoC fraction (carried over in multi-day mode)
+        initialState = null,    // operating state carried from the previous day
+        lookaheadData = null,   // next day's intervals; when set the day may end non-empty
+        fcasPrices = null,      // { SERVICE: $/MW/h per interval } co-optimised with energy
+        lookaheadFcasPrices = null,
+        etaC = Math.sqrt(efficiency),  // charge / discharge efficiencies (default: split round trip)
+        etaD = Math.sqrt(efficiency),
+        importMW = totalPower,  // grid-side charge limit
+        exportMW = null,        // grid-side discharge limit (null = DP default, etaD × totalPower)
+        chargePowerCurve = null,    // [[SoC, fraction of limit]] derating tables
+        dischargePowerCurve = null,
+        efficiencyCurve = null,     // [[fraction of limit, factor on etaC/etaD]]
+        cycleLifeCurve = null,      // [[DoD, cycles to end of life]] for rainflow degradation
+        replacementCostPerMWh = 0,  // pack replacement cost, $ per MWh of capacity
+        monthPeakMW = {},       // month-to-date import peak per tariff period (demand charges)
+        powerFactor = 0.95,
+        mlf = { generation: 1, load: 1 },  // loss factors of the export / import connection points
+        lookaheadMlf = null,    // the lookahead day's factors (null = same as today)
+        pvMW = null,            // PV available per interval, MW (hybrid site; see pvForDay)
+        lookaheadPvMW = null,
+        siteExportMW = null,    // shared PV + battery export limit, MW (null = none)
+        gridCharging = true,    // with PV: whether the battery may charge from the grid
+        hedges = null,          // hedge book sold against the day's spot (see settleHedges)
+        hedgeCover = true,      // hold SoC to cover the caps sold (see hedgeCoverMWh)
+        availability = null,    // share of the power limits available per interval (see availabilityForDay)
+        lookaheadAvailability = null,
+        date = null             // the day (YYYY-MM-DD), for weekday-only hedge windows and the year's market rules
+    } = options;
+    const marketRules = marketRulesFor(date ? financialYearOf(date) : null, date);
+    
+    // Track original prices and calculate network adjustments
+    const originalPrices = data.map(d => d.price);
+    let prices = [...originalPrices];
+    const networkData = getNetworkAdjustments(data, tariff);
+    
+    // The optimiser trades against what the site actually pays and receives:
+    // wholesale at the load MLF plus network import charges when buying,
+    // wholesale at the generation MLF less network export charges (i.e. plus
+    // credits) when selling
+    const buyPrices = prices.map((p, i) => p * mlf.load + networkData[i].importAdj);
+    const sellPrices = prices.map((p, i) => p * mlf.generation - networkData[i].exportAdj);
+    const lookaheadNetwork = lookaheadData ? getNetworkAdjustments(lookaheadData, tariff) : null;
+    const lookaheadPrices = lookaheadData ? lookaheadData.map(d => d.price) : null;
+    const aheadMlf = lookaheadMlf || mlf;
+    
+    // Monthly demand charges: the optimiser pays for any new peak above the month so far
+    const demandRates = tariff && tariff.demand_per_kva_month ? tariff.demand_per_kva_month.import : {};
+    const demandWindows = Object.keys(demandRates)
+        .filter(period => demandRates[period] > 0)
+        .map(period => ({
+            intervals: networkData.map((n, t) => n.period === period ? t : -1).filter(t => t >= 0),
+            costPerMW: demandRates[period] * 1000 / powerFactor,  // $/kVA → $/MW of new peak
+            peakMW: monthPeakMW[period] || 0
+        }));
+    
+    // Cap payouts do not depend on dispatch, so the DP accounts for them by
+    // holding the energy to meet them when prices spike
+    const socFloorMWh = hedges && hedgeCover ? hedgeCoverMWh(data, date, hedges, {
+        capacityMWh: totalCapacity,
+        importMW,
+        exportMW: exportMW === null ? etaD * totalPower : exportMW,
+        etaC,
+        etaD,
+        dtHours
+    }) : null;
+    
+    // Run DP optimizer (maxCycles is a hard daily throughput limit)
+    const result = optimiseBESS_DP({
+        prices,
+        buyPrices: buyPrices,
+        sellPrices: sellPrices,
+        dtHours: dtHours,
+        capacityMWh: totalCapacity,
+        powerMW: totalPower,
+        importMW: importMW,
+        exportMW: exportMW,
+        etaC: etaC,
+        etaD: etaD,
+        soc0: soc0,
+        socT: lookaheadPrices ? null : 0,  // End empty unless the next day values the energy
+        socSteps: DP_SOC_STEPS,
+        throughputCost: throughputCost,
+        maxCycles: maxCycles > 0 ? maxCycles : null,
+        rampRateMW: rampRateMW,
+        minRunIntervals: minRunIntervals,
+        minRestIntervals: minRestIntervals,
+        initialState: initialState,
+        lookaheadPrices: lookaheadPrices,
+        lookaheadBuyPrices: lookaheadPrices ?
+            lookaheadPrices.map((p, i) => p * aheadMlf.load + lookaheadNetwork[i].importAdj) : null,
+        lookaheadSellPrices: lookaheadPrices ?
+            lookaheadPrices.map((p, i) => p * aheadMlf.generation - lookaheadNetwork[i].exportAdj) : null,
+        fcasPrices: fcasPrices,
+        lookaheadFcasPrices: lookaheadFcasPrices,
+        chargePowerCurve: chargePowerCurve,
+        dischargePowerCurve: dischargePowerCurve,
+        efficiencyCurve: efficiencyCurve,
+        cycleLifeCurve: cycleLifeCurve,
+        replacementCostPerMWh: replacementCostPerMWh,
+        pvMW: pvMW,
+        lookaheadPvMW: lookaheadPrices ? lookaheadPvMW : null,
+        siteExportMW: siteExportMW,
+        gridCharging: gridCharging,
+        socFloorMWh: socFloorMWh,
+        availability: availability,
+        lookaheadAvailability: lookaheadPrices ? lookaheadAvailability : null,
+        withBidCurves: true,
+        demandCharges: demandWindows
+    });
+    
+    // Convert flows to operations format expected by UI
+    const operations = [];
+    const socHistory = [];
+    
+    // Calculate revenue breakdown with network charges
+    let wholesaleRevenue = 0;
+    let networkCharges = 0;
+    let mlfAdjustment = 0;  // settlement at the MLFs less settlement at RRP (negative = loss)
+    let standingCharge = 0;
+    let demandCharges = 0;
+    
+    // Track peak demand in each period for demand charges
+    const peakDemand = { solarSoak: 0, peak: 0, offPeak: 0 };
+    
+    // Hybrid sites: PV output valued at the site's export price, the curtailed
+    // PV that would have earned a positive price, and energy totals
+    const pv = pvMW ? { ...result.pv, exportRevenue: 0, batteryArbitrage: 0, curtailmentLoss: 0 } : null;
+    
+    result.flows.forEach((flow, idx) => {
+        const interval = data[idx];
+        const network = networkData[idx];
+        let operation = 'neutral';
+        
+        // Settlement is on the site's net flow: the battery alone, or with PV
+        const importMWh = Math.max(0, -flow.gridMW) * dtHours;
+        const exportMWh = Math.max(0, flow.gridMW) * dtHours;
+        wholesaleRevenue += (exportMWh - importMWh) * originalPrices[idx];
+        mlfAdjustment += exportMWh * originalPrices[idx] * (mlf.generation - 1) -
+            importMWh * originalPrices[idx] * (mlf.load - 1);
+        networkCharges += importMWh * network.importAdj + exportMWh * network.exportAdj;
+        
+        // Track peak demand for this period
+        if (importMWh / dtHours > peakDemand[network.period]) {
+            peakDemand[network.period] = importMWh / dtHours;
+        }
+        
+        if (flow.op === 'charge') operation = 'charge';
+        else if (flow.op === 'discharge') operation = 'discharge';
+        
+        if (pv) {
+            const exportPrice = sellPrices[idx];
+            pv.exportRevenue += flow.pv.outputMW * dtHours * exportPrice;
+            pv.curtailmentLoss += flow.pv.curtailedMW * dtHours * Math.max(0, exportPrice);
+        }
+        
+        operations.push({
+            ...interval,
+            soc: flow.socMWh,
+            powerFlow: flow.powerMW,  // battery, MW (+discharge / -charge)
+            gridFlow: flow.gridMW,    // site net export, MW
+            pv: flow.pv,
+            operation: operation,
+            reservationCharge: result.reservation.charge[idx],
+            reservationDischarge: result.reservation.discharge[idx],
+            fcas: flow.fcas,
+            tariffPeriod: network.period
+        });
+        
+        socHistory.push(flow.socMWh);
+    });
+    
+    // Calculate standing charge (pro-rated per day)
+    if (tariff && tariff.standing_per_year > 0) {
+        standingCharge = tariff.standing_per_year / 365;
+    }
+    
+    // Demand charges ($/kVA/month) for lifting the monthly peak above the month so far
+    demandCharges = billDemandIncrease(peakDemand, tariff, monthPeakMW, powerFactor);
+    
+    // Report actual cycles, not the target
+    const reportedCycles = result.cycles;
+    
+    // FCAS enablement revenue earned alongside the energy schedule
+    const fcasRevenue = result.fcasRevenueTotal;
+    
+    // Spot position, then the hedge book settled against it
+    const spotRevenue = wholesaleRevenue + mlfAdjustment + fcasRevenue - networkCharges - standingCharge - demandCharges;
+    const hedge = hedges ? settleHedges(data, date, hedges, dtHours) : null;
+    const totalRevenue = spotRevenue + (hedge ? hedge.net : 0);
+    
+    // The battery's share of the energy revenue is what is left after PV output
+    // earns the export price, i.e. it buys stored PV at that price
+    if (pv) pv.batteryArbitrage = wholesaleRevenue + mlfAdjustment - networkCharges - pv.exportRevenue;
+    
+    return {
+        revenue: totalRevenue,  // Net position after all charges and hedges
+        spotRevenue: spotRevenue,  // Before hedges
+        hedge: hedge,  // premium, payouts and net of the hedge book (null without one)
+        wholesaleRevenue: wholesaleRevenue,  // Wholesale only, at RRP
+        mlfAdjustment: mlfAdjustment,  // Marginal loss factor settlement (negative = loss)
+        mlf: mlf,
+        fcasRevenue: fcasRevenue,  // FCAS enablement, all services
+        networkCharges: networkCharges,  // Network energy charges
+        standingCharge: standingCharge,  // Daily standing charge
+        demandCharges: demandCharges,  // Demand-based charges
+        peakDemand: peakDemand,  // Import peak (MW) per tariff period
+        degradation: result.degradation,  // Rainflow cycles and cost (null without a cycle life curve)
+        degradationCost: result.degradation ? result.degradation.cost : 0,
+        pv: pv,  // hybrid revenue split and PV MWh (null without PV)
+        breakdown: {
+            wholesale: wholesaleRevenue,
+            mlf: mlfAdjustment,
+            fcas: fcasRevenue,
+            fcasByService: result.fcasRevenue,  // $ per FCAS service
+            network: -networkCharges,  // Negative because charges reduce revenue
+            standing: -standingCharge,
+            demand: -demandCharges,
+            hedgePremium: hedge ? hedge.premium : 0,
+            hedgePayouts: hedge ? hedge.payouts : 0,
+            total: totalRevenue
+        },
+        cycles: reportedCycles,
+        targetCycles: maxCycles,  // What we aimed for
+        actualCycles: result.cycles,  // What we actually got
+        avgSpread: result.avgSpread,
+        avgChargePrice: result.avgChargePrice,
+        avgDischargePrice: result.avgDischargePrice,
+        energyTraded: result.energyTraded,
+        operations: operations,
+        socHistory: socHistory,
+        efficiency: efficiency,
+        reservation: result.reservation,
+        bids: buildEnergyBids(result.bidCurves, {  // ten-band generation and load offers
+            priceFloor: marketRules.marketPriceFloor,
+            priceCap: marketRules.marketPriceCap
+        }),
+        dpOptimal: true,
+        actualCycles: result.cycles,
+        maxCyclesConstraint: maxCycles,
+        cycleShadowPrice: result.cycleShadowPrice,  // $/MWh multiplier that enforced the limit
+        cycleCalibration: result.cycleCalibration || null,  // calibrateThroughputCost search (null without a limit)
+        startSoC: result.socSeries[0],
+        endSoC: result.socSeries[result.socSeries.length - 1],
+        endState: result.endState,
+        tariff: tariff ? tariff.label : 'None'
+    };
+}
+
+const BID_BANDS = 10;
+
+/**
+ * AEMO-style energy bids from the DP's bid curves (optimiseBESS_DP with
+ * withBidCurves). Generation (discharge) and load (charge) each get ten
+ * price bands fixed for the whole day, as the rebid rules require: strictly
+ * increasing, in cents, within the market floor and cap (marketRulesFor in
+ * market-rules.js; the latest year's unless given). Only the volumes
+ * change by interval. Each SoC step's MW goes into the band that covers its
+ * marginal price: generation in the cheapest band at or above it, with the
+ * top band at the cap so all energy is offered; load in the dearest band at
+ * or below it, with the bottom band at the floor. Band and maximum
+ * availabilities are whole MW, rounded down on the cumulative curve.
+ *
+ * @param {Array} bidCurves - per interval { discharge, charge } of [MW, $/MWh]
+ * @param {Object} options - { priceFloor, priceCap }
+ * @returns {Object} { generation, load }, each { priceBands, intervals:
+ *   [{ maxAvail, bandAvail }] } with one entry per interval
+ */
+function buildEnergyBids(bidCurves, options = {}) {
+    const rules = marketRulesFor();
+    const { priceFloor = rules.marketPriceFloor, priceCap = rules.marketPriceCap } = options;
+    const clamp = price => Math.max(priceFloor, Math.min(priceCap, price));
+    
+    // Slices of each curve as [MW, clamped $/MWh]
+    const slicesOf = curve => curve.map(([mw, price], n) => [mw - (n > 0 ? curve[n - 1][0] : 0), clamp(price)]);
+    
+    // Nine bands spread evenly over the day's distinct marginal prices, from
+    // the lowest to the highest, plus the tenth pinned at the cap
+    // (generation) or the first at the floor (load). Prices round to cents
+    // up for generation and down for load, so a slice is never offered below
+    // or bid above its own value.
+    const bandsFor = (slices, pinned) => {
+        const toCents = price => pinned === 'cap' ? Math.ceil(price * 100 - 1e-6) / 100 : Math.floor(price * 100 + 1e-6) / 100;
+        const prices = [...new Set(slices.map(([, price]) => toCents(price)))]
+            .filter(p => p > priceFloor && p < priceCap).sort((a, b) => a - b);
+        const free = [];
+        for (let b = 0; b < BID_BANDS - 1; b++) {
+            free.push(prices.length > 0 ? prices[Math.round(b / (BID_BANDS - 2) * (prices.length - 1))]
+                                        : Math.round(priceFloor + (priceCap - priceFloor) * (b + 1) / BID_BANDS));
+        }
+        const bands = pinned === 'cap' ? [...free, priceCap] : [priceFloor, ...free];
+        for (let b = 1; b < BID_BANDS; b++) bands[b] = Math.max(bands[b], bands[b - 1] + 0.01);
+        for (let b = BID_BANDS - 2; b >= 0; b--) bands[b] = Math.min(bands[b], bands[b + 1] - 0.01);
+        return bands.map(p => Math.round(p * 100) / 100);
+    };
+    
+    // Whole-MW band availabilities from the MW falling in each band
+    const availability = mwByBand => {
+        const bandAvail = [];
+        let cumulative = 0, offered = 0;
+        mwByBand.forEach(mw => {
+            cumulative += mw;
+            const whole = Math.floor(cumulative + 1e-6);
+            bandAvail.push(whole - offered);
+            offered = whole;
+        });
+        return { maxAvail: offered, bandAvail };
+    };
+    
+    const direction = (key, pinned, bandOf) => {
+        const perInterval = bidCurves.map(curves => slicesOf(curves[key]));
+        const priceBands = bandsFor([].concat(...perInterval), pinned);
+        const intervals = perInterval.map(slices => {
+            const mwByBand = new Array(BID_BANDS).fill(0);
+            slices.forEach(([mw, price]) => { mwByBand[bandOf(priceBands, price)] += mw; });
+            return availability(mwByBand);
+        });
+        return { priceBands, intervals };
+    };
+    
+    return {
+        generation: direction('discharge', 'cap', (bands, price) => {
+            const b = bands.findIndex(p => p >= price - 1e-9);
+            return b < 0 ? BID_BANDS - 1 : b;
+        }),
+        load: direction('charge', 'floor', (bands, price) => {
+            let b = 0;
+            while (b + 1 < BID_BANDS && bands[b + 1] <= price + 1e-9) b++;
+            return b;
+        })
+    };
+}
+
+/**
+ * Calculate multi-cycle arbitrage opportunities with improved algorithm
+ */
+function calculateMultiCycleArbitrage(data, efficiency, maxCycles, totalCapacity, totalPower, tariff = null, options = {}) {
+    const {
+        etaC = Math.sqrt(efficiency),     // charge / discharge efficiencies (default: split round trip)
+        etaD = Math.sqrt(efficiency),
+        importMW = totalPower,            // grid-side charge limit
+        exportMW = etaD * totalPower,     // grid-side discharge limit
+        chargePowerCurve = null,          // SoC derating and efficiency vs power, as optimiseBESS_DP
+        dischargePowerCurve = null,
+        efficiencyCurve = null,
+        cycleLifeCurve = null,            // rainflow degradation, as optimiseBESS_DP
+        replacementCostPerMWh = 0,
+        monthPeakMW = {},                 // month-to-date import peak per tariff period
+        powerFactor = 0.95,
+        mlf = { generation: 1, load: 1 }, // loss factors, on the prices that rank trades and settle them
+        hedges = null,                    // hedge book, settled only (see settleHedges)
+        date = null,
+        dtHours = 5 / 60,                 // interval length in hours
+        availability = null               // share of the power limits available per interval
+    } = options;
+    const intervals = data.length;
+    const timeStep = dtHours;
+    
+    // Initialize state
+    let soc = 0;
+    const socHistory = [];
+    const operations = [];
+    
+    // Find and sort opportunities by profitability
+    const opportunities = findBestArbitrageOpportunities(data, efficiency, maxCycles, totalCapacity, totalPower,
+        { etaC, etaD, importMW, exportMW, dtHours, mlf });
+    
+    // TODO: Validate feasibility of selected opportunities
+    // Currently assumes opportunities don't overlap, but should verify:
+    // - SoC constraints are satisfied throughout
+    // - Power limits are respected
+    // - Selected opportunities are mutually feasible
+    
+    // Execute the trading strategy
+    let revenue = 0;
+    let energyCharged = 0;
+    let energyDischarged = 0;
+    let totalCostOfCharging = 0;
+    let totalRevenueFromDischarging = 0;
+    
+    // Track revenue breakdown for tariffs
+    let wholesaleRevenue = 0;
+    let networkCharges = 0;
+    let mlfAdjustment = 0;
+    let standingCharge = 0;
+    let demandCharges = 0;
+    const peakDemand = { solarSoak: 0, peak: 0, offPeak: 0 };
+    
+    // Create operation schedule
+    const schedule = new Array(intervals).fill('idle');
+    for (const opp of opportunities) {
+        for (let i = opp.chargeStart; i <= opp.chargeEnd; i++) {
+            if (i < intervals) schedule[i] = 'charge';
+        }
+        for (let i = opp.dischargeStart; i <= opp.dischargeEnd; i++) {
+            if (i < intervals) schedule[i] = 'discharge';
+        }
+    }
+    
+    // Simulate battery operation with separate charge/discharge efficiency
+    
+    // Daily throughput budget: never charge more than maxCycles full cycles (battery side)
+    let chargeBudget = maxCycles * totalCapacity;
+    let batteryThroughput = 0;
+    
+    for (let i = 0; i < intervals; i++) {
+        let powerFlow = 0;
+        const operation = schedule[i];
+        
+        // Get tariff period and network charges
+        // FIXED: Use the stored time field (AEST) instead of timestamp conversion
+        const period = tariff ? getTariffPeriod(data[i].timestamp || new Date(), tariff.windows, data[i].time) : 'offPeak';
+        const importAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.import[period]) : 0;
+        const exportAdj = tariff ? cPerKwhToDollarPerMWh(tariff.energy_c_per_kwh.export[period]) : 0;
+        
+        if (operation === 'charge' && soc < totalCapacity) {
+            // FIX: Charge with efficiency loss
+            // Grid provides energy, battery receives less due to charge efficiency
+            // (both derated by SoC and outages and scaled with power as in the DP)
+            const chargeLimit = importMW * (availability ? availability[i] : 1) *
+                interpolateCurve(chargePowerCurve, soc / totalCapacity);
+            const maxChargeToBattery = chargeLimit * etaC * interpolateCurve(efficiencyCurve, chargeLimit / importMW) * timeStep;
+            const chargeAmount = Math.min(maxChargeToBattery, totalCapacity - soc, chargeBudget);
+            
+            if (chargeAmount > 0.001) {
+                soc += chargeAmount;
+                chargeBudget -= chargeAmount;
+                batteryThroughput += chargeAmount;
+                const gridMW = gridPowerOfSoCChange(chargeAmount, true, etaC, importMW, efficiencyCurve, timeStep).powerMW;
+                const gridEnergy = gridMW * timeStep;  // Energy from grid
+                powerFlow = -gridMW;
+                
+                // Cost of charging (based on grid energy)
+                const chargeCost = gridEnergy * data[i].price;
+                revenue -= chargeCost;
+                totalCostOfCharging += chargeCost;
+                energyCharged += gridEnergy;  // Track grid-side energy
+                
+                // Track wholesale and network charges
+                wholesaleRevenue -= chargeCost;  // Wholesale cost
+                mlfAdjustment -= chargeCost * (mlf.load - 1);
+                networkCharges += gridEnergy * importAdj;  // Network import cost
+                
+                // Track peak demand for this period
+                const powerMW = Math.abs(powerFlow);
+                if (powerMW > peakDemand[period]) {
+                    peakDemand[period] = powerMW;
+                }
+            }
+        } else if (operation === 'discharge' && soc > 0.001) {
+            // FIX: Discharge with efficiency loss
+            // Battery provides energy, grid receives less due to discharge efficiency
+            const dischargeLimit = exportMW * (availability ? availability[i] : 1) *
+                interpolateCurve(dischargePowerCurve, soc / totalCapacity);
+            const maxDischargeFromBattery = dischargeLimit / (etaD * interpolateCurve(efficiencyCurve, dischargeLimit / exportMW)) * timeStep;
+            const dischargeAmount = Math.min(maxDischargeFromBattery, soc);
+            
+            if (dischargeAmount > 0.001) {
+                soc -= dischargeAmount;
+                batteryThroughput += dischargeAmount;
+                const gridMW = gridPowerOfSoCChange(dischargeAmount, false, etaD, exportMW, efficiencyCurve, timeStep).powerMW;
+                const gridEnergy = gridMW * timeStep;  // Energy to grid
+                powerFlow = gridMW;
+                
+                // Revenue from discharging (based on grid energy)
+                const dischargeRevenue = gridEnergy * data[i].price;
+                revenue += dischargeRevenue;
+                totalRevenueFromDischarging += dischargeRevenue;
+                energyDischarged += gridEnergy;  // Track grid-side energy
+                
+                // Track wholesale and network charges
+                wholesaleRevenue += dischargeRevenue;  // Wholesale revenue
+                mlfAdjustment += dischargeRevenue * (mlf.generation - 1);
+                networkCharges += gridEnergy * exportAdj;  // Network export (usually negative = credit)
+            }
+        }
+        
+        socHistory.push(soc);
+        operations.push({
+            ...data[i],
+            soc: soc,
+            powerFlow: powerFlow,
+            operation: operation === 'idle' ? 'neutral' : operation,
+            tariffPeriod: period
+        });
+    }
+    
+    // Calculate actual cycles (battery-side throughput, same definition as the DP)
+    const actualCycles = batteryThroughput / (2 * totalCapacity);
+    
+    // Calculate weighted average prices
+    let weightedChargePrice = 0;
+    let weightedDischargePrice = 0;
+    let totalChargeEnergy = 0;
+    let totalDischargeEnergy = 0;
+    
+    for (let i = 0; i < operations.length; i++) {
+        if (operations[i].operation === 'charge' && operations[i].powerFlow < 0) {
+            // FIX: Track grid-side energy correctly
+            const energy = Math.abs(operations[i].powerFlow) * timeStep;
+            weightedChargePrice += operations[i].price * energy;
+            totalChargeEnergy += energy;
+        } else if (operations[i].operation === 'discharge' && operations[i].powerFlow > 0) {
+            // FIX: Already accounts for efficiency in powerFlow
+            const energy = operations[i].powerFlow * timeStep;
+            weightedDischargePrice += operations[i].price * energy;
+            totalDischargeEnergy += energy;
+        }
+    }
+    
+    const avgChargePrice = totalChargeEnergy > 0 ? weightedChargePrice / totalChargeEnergy : 0;
+    const avgDischargePrice = totalDischargeEnergy > 0 ? weightedDischargePrice / totalDischargeEnergy : 0;
+    
+    // Calculate the effective spread (energy-weighted average)
+    // This is the average selling price minus average buying price
+    const effectiveSpread = avgDischargePrice - avgChargePrice;
+    
+    // Calculate standing charge (pro-rated per day)
+    if (tariff && tariff.standing_per_year > 0) {
+        standingCharge = tariff.standing_per_year / 365;
+    }
+    
+    // Demand charges ($/kVA/month) for lifting the monthly peak above the month so far
+    demandCharges = billDemandIncrease(peakDemand, tariff, monthPeakMW, powerFactor);
+    
+    // Spot position, then the hedge book settled against it
+    const spotRevenue = wholesaleRevenue + mlfAdjustment - networkCharges - standingCharge - demandCharges;
+    const hedge = hedges ? settleHedges(data, date, hedges, dtHours) : null;
+    const totalRevenue = spotRevenue + (hedge ? hedge.net : 0);
+    
+    // Depth-weighted degradation of the schedule (the heuristic does not weigh it when choosing)
+    const degradation = cycleLifeCurve ?
+        rainflowDegradation([0, ...socHistory], totalCapacity, cycleLifeCurve, replacementCostPerMWh) : null;
+    
+    return {
+        revenue: totalRevenue,  // Net position after all charges and hedges
+        spotRevenue: spotRevenue,  // Before hedges
+        hedge: hedge,  // premium, payouts and net of the hedge book (null without one)
+        wholesaleRevenue: wholesaleRevenue,  // Wholesale only, at RRP
+        mlfAdjustment: mlfAdjustment,  // Marginal loss factor settlement (negative = loss)
+        mlf: mlf,
+        networkCharges: networkCharges,  // Network energy charges
+        standingCharge: standingCharge,  // Daily standing charge
+        demandCharges: demandCharges,  // Demand-based charges
+        peakDemand: peakDemand,  // Import peak (MW) per tariff period
+        degradation: degradation,  // Rainflow cycles and cost (null without a cycle life curve)
+        degradationCost: degradation ? degradation.cost : 0,
+        breakdown: {
+            wholesale: wholesaleRevenue,
+            mlf: mlfAdjustment,
+            network: -networkCharges,  // Negative because charges reduce revenue
+            standing: -standingCharge,
+            demand: -demandCharges,
+            hedgePremium: hedge ? hedge.premium : 0,
+            hedgePayouts: hedge ? hedge.payouts : 0,
+            total: totalRevenue
+        },
+        cycles: actualCycles,
+        avgSpread: effectiveSpread,  // This is the true profit margin per MWh
+        avgChargePrice: avgChargePrice,
+        avgDischargePrice: avgDischargePrice,
+        energyTraded: energyCharged + energyDischarged,
+        operations: operations,
+        socHistory: socHistory,
+        efficiency: efficiency,
+        tariff: tariff ? tariff.label : 'None'
+    };
+}
+
+/**
+ * Find the best arbitrage opportunities for the day. Profit is ranked on the
+ * prices the battery settles at: export at RRP × the generation loss factor,
+ * import at RRP × the load loss factor (options.mlf).
+ */
+function findBestArbitrageOpportunities(data, efficiency, maxCycles, totalCapacity, totalPower, options = {}) {
+    const {
+        etaC = Math.sqrt(efficiency),
+        etaD = Math.sqrt(efficiency),
+        importMW = totalPower,
+        exportMW = etaD * totalPower,
+        dtHours = 5 / 60,
+        mlf = { generation: 1, load: 1 }
+    } = options;
+    const timeStep = dtHours;
+    // Window lengths to fill / empty the battery at the grid-side limits
+    const chargeIntervals = Math.ceil((totalCapacity / (importMW * etaC)) / timeStep);
+    const dischargeIntervals = Math.ceil((totalCapacity * etaD / exportMW) / timeStep);
+    const opportunities = [];
+    
+    // Find all potential charge/discharge windows
+    const potentialOpportunities = [];
+    
+    // Look for good spread opportunities
+    for (let chargeStart = 0; chargeStart < data.length - chargeIntervals - dischargeIntervals; chargeStart++) {
+        // Calculate average charge price for this window
+        let chargeSum = 0;
+        for (let i = 0; i < chargeIntervals && chargeStart + i < data.length; i++) {
+            chargeSum += data[chargeStart + i].price;
+        }
+        const avgChargePrice = chargeSum / chargeIntervals;
+        
+        // Look for discharge window after charge completes
+        const earliestDischarge = chargeStart + chargeIntervals;
+        
+        for (let dischargeStart = earliestDischarge; dischargeStart < data.length - dischargeIntervals + 1; dischargeStart++) {
+            // Calculate average discharge price for this window
+            let dischargeSum = 0;
+            for (let i = 0; i < dischargeIntervals && dischargeStart + i < data.length; i++) {
+                dischargeSum += data[dischargeStart + i].price;
+            }
+            const avgDischargePrice = dischargeSum / dischargeIntervals;
+            
+            // Calculate profit accounting for efficiency (grid-side energy in and out)
+            const energyIn = totalCapacity / etaC;
+            const energyOut = totalCapacity * etaD;
+            const cost = energyIn * avgChargePrice * mlf.load;
+            const revenue = energyOut * avgDischargePrice * mlf.generation;
+            const profit = revenue - cost;
+            const profitPerMWh = profit / totalCapacity;
+            
+            if (profit > 0) {
+                potentialOpportunities.push({
+                    chargeStart,
+                    chargeEnd: chargeStart + chargeIntervals - 1,
+                    dischargeStart,
+                    dischargeEnd: dischargeStart + dischargeIntervals - 1,
+                    avgChargePrice,
+                    avgDischargePrice,
+                    profit,
+                    profitPerMWh,
+                    effectiveSpread: avgDischargePrice - (avgChargePrice / efficiency)
+                });
+            }
+        }
+    }
+    
+    // Sort by profit
+    potentialOpportunities.sort((a, b) => b.profit - a.profit);
+    
+    // Select non-overlapping opportunities up to maxCycles
+    const usedIntervals = new Set();
+    
+    for (const opp of potentialOpportunities) {
+        if (opportunities.length >= maxCycles) break;
+        
+        // Check if intervals are available
+        let available = true;
+        for (let i = opp.chargeStart; i <= opp.chargeEnd; i++) {
+            if (usedIntervals.has(i)) {
+                available = false;
+                break;
+            }
+        }
+        if (available) {
+            for (let i = opp.dischargeStart; i <= opp.dischargeEnd; i++) {
+                if (usedIntervals.has(i)) {
+                    available = false;
+                    break;
+                }
+            }
+        }
+        
+        if (available) {
+            opportunities.push(opp);
+            // Mark intervals as used
+            for (let i = opp.chargeStart; i <= opp.chargeEnd; i++) {
+                usedIntervals.add(i);
+            }
+            for (let i = opp.dischargeStart; i <= opp.dischargeEnd; i++) {
+                usedIntervals.add(i);
+            }
+        }
+    }
+    
+    // Sort selected opportunities by time
+    opportunities.sort((a, b) => a.chargeStart - b.chargeStart);
+    
+    return opportunities;
+}
+
+/**
+ * Price forecasts for receding-horizon operation (optimiseBESS_MPC), by
+ * name. Each takes the day's realised prices so far, the interval to
+ * forecast from, the number of intervals in the day, earlier days' prices
+ * (oldest first) and any forecast issued for the day before it began, and
+ * returns prices for intervals t to the end of the day. Without history
+ * they hold the last realised price (0 before any).
+ */
+const PRICE_FORECASTS = {
+    // The day-ahead forecast from /api/forecast; persistence where there was none
+    harvester: (realised, t, T, history, issued) => issued ?
+        issued.slice(t, T) : PRICE_FORECASTS.persistence(realised, t, T, history),
+    // Seasonal naive: yesterday's price at the same time
+    persistence: (realised, t, T, history) => {
+        const yesterday = history.length > 0 ? history[history.length - 1] : null;
+        const last = realised.length > 0 ? realised[realised.length - 1] : 0;
+        return Array.from({ length: T - t }, (_, j) =>
+            yesterday && yesterday[t + j] !== undefined ? yesterday[t + j] : last);
+    },
+    // Mean of the last week's prices at the same time of day
+    timeOfDay: (realised, t, T, history) => {
+        const week = history.slice(-7);
+        const last = realised.length > 0 ? realised[realised.length - 1] : 0;
+        return Array.from({ length: T - t }, (_, j) => {
+            const seen = week.map(day => day[t + j]).filter(p => p !== undefined);
+            return seen.length > 0 ? seen.reduce((sum, p) => sum + p, 0) / seen.length : last;
+        });
+    }
+};
+
+/**
+ * Values of a "min:max:step" range input; "min:max" steps by their
+ * difference and a single number is one value. Null if it does not parse.
+ */
+function parseSweepRange(text) {
+    const parts = text.trim().split(':').map(Number);
+    if (parts.length > 3 || parts.some(v => !isFinite(v))) return null;
+    const [min, max = min, step = max - min || 1] = parts;
+    if (min <= 0 || max < min || step <= 0) return null;
+    const values = [];
+    for (let v = min; v <= max + step * 1e-9; v += step) {
+        values.push(Math.round(v * 1000) / 1000);
+    }
+    return values;
+}
+
+/**
+ * Revenue surface of a sizing sweep: net revenue per power (rows) and
+ * energy (columns), and the marginal revenue of each extra MWh along a row
+ * ($ per MWh added over the period; null in the first column)
+ */
+function summariseSizingSweep(powers, sizes, configs) {
+    const rows = powers.map(powerMW => {
+        const cells = configs.filter(c => c.powerMW === powerMW).map(c => ({
+            powerMW,
+            capacityMWh: c.capacityMWh,
+            revenue: c.results.reduce((sum, r) => sum + (r ? r.revenue : 0), 0),
+            cycles: c.results.reduce((sum, r) => sum + (r ? r.cycles : 0), 0)
+        }));
+        cells.forEach((cell, j) => {
+            const prev = cells[j - 1];
+            cell.marginalPerMWh = prev && cell.capacityMWh > prev.capacityMWh ?
+                (cell.revenue - prev.revenue) / (cell.capacityMWh - prev.capacityMWh) : null;
+        });
+        return cells;
+    });
+    const all = rows.flat();
+    const best = all.reduce((a, b) => b.revenue > a.revenue ? b : a);
+    return { powers, sizes, rows, best,
+             minRevenue: Math.min(...all.map(c => c.revenue)), maxRevenue: best.revenue };
+}
+
+/**
+ * Optimise one chain of days in order on the optimiser pool (see
+ * OPTIMISER_TASKS). The chain is { indices, start } into dayDataByIndex
+ * ([{ date, data }], data null for days without prices); start (a ctx.starts
+ * entry) resumes it part way. ctx is { powerMW, capacityMWh, results,
+ * monthPeaks, ageing, outageWindows, tasks, starts, summaryOnly } for one
+ * battery (the last five optional): each day's result lands in ctx.results
+ * at its index, with the task that produced it in ctx.tasks and the state
+ * the chain carried into it in ctx.starts. With summaryOnly set only the
+ * day's revenue and cycles are kept, for runs over many batteries.
+ *
+ * settings are the analysis settings with the battery's `limits`. With
+ * settings.rolling (multi-day horizon) each DP day looks ahead to the next
+ * day with data and starts from the SoC and operating state the previous
+ * one ended in; a day without data is skipped, the battery idling through
+ * it with its SoC. Stops early once run.cancelled is set; onDayDone(dateStr)
+ * reports progress.
+ */
+async function optimiseChain(dayDataByIndex, { indices, start }, ctx, settings, pool, run, onDayDone) {
+    const { optimizationMode, rolling, efficiency, maxCycles, throughputCost, tariff, powerFactor,
+            mlfSettings, pvSettings, fcasAssumptions, hedges, hedgeCover, intervalMinutes, limits } = settings;
+    const dtHours = intervalMinutes / 60;
+    const fcasFor = data => {
+        if (Object.keys(fcasAssumptions).length === 0) return null;
+        const prices = {};
+        Object.keys(fcasAssumptions).forEach(service => {
+            prices[service] = new Array(data.length).fill(fcasAssumptions[service]);
+        });
+        return prices;
+    };
+    
+    // SoC (MWh) and operating state carried from the previous day in multi-day mode
+    let carriedMWh = start ? start.carriedMWh : 0;
+    let carriedState = start ? start.carriedState : null;
+    // State of health (fraction of nameplate) and the augmentation events still to come
+    let soh = start ? start.soh : 1;
+    let nextEvent = start ? start.nextEvent : 0;
+    
+    for (const i of indices) {
+        if (run.cancelled) return;
+        if (ctx.starts) ctx.starts[i] = { carriedMWh, carriedState, soh, nextEvent };
+        const { date: dateStr, data: dayData } = dayDataByIndex[i];
+        
+        if (ctx.ageing) {
+            const entering = augmentStateOfHealth(soh, nextEvent, ctx.ageing.augmentation, dateStr);
+            soh = entering.soh;
+            nextEvent = entering.nextEvent;
+        }
+        const dayCapacity = ctx.capacityMWh * soh;
+        
+        if (!dayData) {
+            // Skip this day if no data available; the battery idles through
+            // it, keeping its SoC and resting out any run or dwell
+            carriedState = null;
+            if (ctx.ageing) soh = ageStateOfHealth(soh, 0, ctx.ageing);
+            continue;
+        }
+        
+        const month = dateStr.slice(0, 7);
+        const monthPeaks = ctx.monthPeaks;
+        if (!monthPeaks[month]) monthPeaks[month] = { solarSoak: 0, peak: 0, offPeak: 0 };
+        const demand = { monthPeakMW: { ...monthPeaks[month] }, powerFactor };
+        const mlf = mlfForDate(mlfSettings, dateStr);
+        
+        // Planned outages cut the day's power limits (see availabilityForDay)
+        const outages = ctx.outageWindows || [];
+        const availability = availabilityForDay(dayData, i, outages, ctx.powerMW, dtHours);
+        
+        let dayResult;
+        let task;
+        if (optimizationMode === 'dp') {
+            // The lookahead is the next day with data; SoC carries across any gap
+            const nextIndex = rolling ? dayDataByIndex.findIndex((d, j) => j > i && d.data) : -1;
+            const next = nextIndex >= 0 ? dayDataByIndex[nextIndex].data : null;
+            
+            // Use Dynamic Programming optimizer
+            task = ['dp', [
+                dayData,
+                efficiency,
+                maxCycles,
+                dayCapacity,
+                ctx.powerMW,
+                throughputCost,
+                tariff,
+                {
+                    ...limits,
+                    ...demand,
+                    dtHours,
+                    ...dpOperatingLimits(settings),
+                    // Multi-day: start where yesterday ended and value energy held into tomorrow
+                    soc0: rolling ? Math.min(1, carriedMWh / dayCapacity) : 0,
+                    initialState: rolling ? carriedState : null,
+                    lookaheadData: next,
+                    mlf,
+                    lookaheadMlf: next ? mlfForDate(mlfSettings, dayDataByIndex[nextIndex].date) : null,
+                    fcasPrices: fcasFor(dayData),
+                    lookaheadFcasPrices: next ? fcasFor(next) : null,
+                    // PV hybrid: PV shares the connection and may charge the battery
+                    pvMW: pvForDay(dayData, dateStr, pvSettings),
+                    lookaheadPvMW: next ? pvForDay(next, dayDataByIndex[nextIndex].date, pvSettings) : null,
+                    siteExportMW: pvSettings ? pvSettings.siteExportMW : null,
+                    gridCharging: pvSettings ? pvSettings.gridCharging : true,
+                    hedges,
+                    hedgeCover,
+                    availability,
+                    lookaheadAvailability: next ? availabilityForDay(next, nextIndex, outages, ctx.powerMW, dtHours) : null,
+                    date: dateStr
+                }
+            ]];
+            dayResult = await pool.run(...task);
+            
+            if (rolling) {
+                carriedMWh = dayResult.endSoC;
+                carriedState = dayResult.endState;
+            }
+        } else {
+            // Use heuristic method
+            task = ['heuristic', [
+                dayData, 
+                efficiency, 
+                maxCycles, 
+                dayCapacity,
+                ctx.powerMW,
+                tariff,
+                { ...limits, ...demand, mlf, hedges, date: dateStr, dtHours, availability }
+            ]];
+            dayResult = await pool.run(...task);
+            dayResult.endSoC = dayResult.socHistory.length > 0 ?
+                dayResult.socHistory[dayResult.socHistory.length - 1] : 0;
+        }
+        
+        Object.keys(dayResult.peakDemand).forEach(period => {
+            monthPeaks[month][period] = Math.max(monthPeaks[month][period], dayResult.peakDemand[period]);
+        });
+        
+        dayResult.date = dateStr;
+        dayResult.capacityMWh = dayCapacity;
+        dayResult.stateOfHealth = soh;  // at the start of the day
+        ctx.results[i] = ctx.summaryOnly ? { revenue: dayResult.revenue, cycles: dayResult.cycles } : dayResult;
+        if (ctx.tasks) ctx.tasks[i] = task;  // to re-run the day under other outages
+        if (ctx.ageing) soh = ageStateOfHealth(soh, dayResult.cycles, ctx.ageing);
+        onDayDone(dateStr);
+    }
+}
+
+/**
+ * Work the optimiser pool can run, by name (see optimiser-worker.js). Each
+ * task takes an argument list and returns a structured-cloneable result, so
+ * stochastic and receding-horizon runs are reduced to their revenue. A
+ * stochastic policy can also be settled on heldOutPrices it was not solved on,
+ * with the cycles it ran there.
+ */
+const OPTIMISER_TASKS = {
+    dp: args => calculateDPArbitrage(...args),
+    heuristic: args => calculateMultiCycleArbitrage(...args),
+    stochastic: ([{ heldOutPrices = null, ...settings }]) => {
+        const result = optimiseBESS_Stochastic(settings);
+        const heldOut = heldOutPrices ? result.policy.simulate(heldOutPrices) : null;
+        return {
+            expectedRevenue: result.expectedRevenue,
+            heldOutRevenue: heldOut ? heldOut.revenue : null,
+            heldOutCycles: heldOut ? heldOut.cycles : null
+        };
+    },
+    dpRevenue: ([settings]) => ({ revenue: optimiseBESS_DP(settings).revenue }),
+    mpc: ([{ forecast, history, issued = null, ...settings }]) => {
+        const provider = PRICE_FORECASTS[forecast];
+        const result = optimiseBESS_MPC({
+            ...settings,
+            forecast: (t, realised) => provider(realised, t, settings.prices.length, history, issued)
+        });
+        return {
+            revenue: result.revenue,
+            perfectForesightRevenue: result.perfectForesightRevenue,
+            captureRatio: result.captureRatio,
+            cycles: result.cycles,
+            solves: result.solves
+        };
+    }
+};
+
+/**
+ * Pool of optimiser Web Workers (optimiser-worker.js) for the page.
+ * run(task, args) runs one of OPTIMISER_TASKS on the next free worker and
+ * resolves with its result; terminate() stops the workers and rejects every
+ * pending task.
+ * Where workers cannot start (e.g. the page is opened from file://), tasks
+ * run on the main thread instead, one per tick so the page can repaint.
+ */
+function createOptimiserPool(size) {
+    const queue = [];
+    const idle = [];
+    const running = new Map();  // worker -> task it is running
+    const inline = new Set();   // tasks waiting for their tick on the main thread
+    let workers = [];
+    let terminated = false;
+    
+    const runInline = job => {
+        inline.add(job);
+        setTimeout(() => {
+            if (!inline.delete(job)) return;  // rejected by terminate()
+            try {
+                job.resolve(OPTIMISER_TASKS[job.task](job.args));
+            } catch (error) {
+                job.reject(error);
+            }
+        }, 0);
+    };
+    
+    const dispatch = () => {
+        if (workers.length === 0) {
+            queue.splice(0).forEach(runInline);
+            return;
+        }
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.pop();
+            const job = queue.shift();
+            running.set(worker, job);
+            worker.postMessage({ task: job.task, args: job.args });
+        }
+    };
+    
+    const addWorker = () => {
+        const worker = new Worker('optimiser-worker.js');
+        worker.onmessage = event => {
+            const job = running.get(worker);
+            running.delete(worker);
+            idle.push(worker);
+            if (event.data.error) job.reject(new Error(event.data.error));
+            else job.resolve(event.data.result);
+            dispatch();
+        };
+        worker.onerror = event => {
+            // A worker that fails to load or crashes is dropped; its task runs elsewhere
+            event.preventDefault();
+            console.warn('Optimiser worker failed:', event.message);
+            const job = running.get(worker);
+            running.delete(worker);
+            worker.terminate();
+            workers = workers.filter(w => w !== worker);
+            const at = idle.indexOf(worker);
+            if (at >= 0) idle.splice(at, 1);
+            if (job) queue.unshift(job);
+            dispatch();
+        };
+        workers.push(worker);
+        idle.push(worker);
+    };
+    
+    try {
+        for (let i = 0; i < size; i++) addWorker();
+    } catch (error) {
+        console.warn('Optimiser workers unavailable, running on the main thread:', error);
+        workers.forEach(worker => worker.terminate());
+        workers = [];
+        idle.length = 0;
+    }
+    
+    return {
+        get size() {
+            return workers.length;  // 0 when running on the main thread
+        },
+        run(task, args) {
+            return new Promise((resolve, reject) => {
+                if (terminated) {
+                    reject(new Error('Optimiser pool terminated'));
+                    return;
+                }
+                queue.push({ task, args, resolve, reject });
+                dispatch();
+            });
+        },
+        terminate() {
+            if (terminated) return;
+            terminated = true;
+            workers.forEach(worker => worker.terminate());
+            const error = new Error('Optimiser pool terminated');
+            queue.splice(0).forEach(job => job.reject(error));
+            running.forEach(job => job.reject(error));
+            running.clear();
+            inline.forEach(job => job.reject(error));
+            inline.clear();
+        }
+    };
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        cPerKwhToDollarPerMWh,
+        getTariffPeriod,
+        getNetworkAdjustments,
+        billDemandIncrease,
+        summariseDemandByMonth,
+        financialYearOf,
+        mlfForDate,
+        ageStateOfHealth,
+        augmentStateOfHealth,
+        revenueLostToFade,
+        plannedOutageWindows,
+        sampleForcedOutages,
+        availabilityForDay,
+        seededRandom,
+        revenueExceedance,
+        HEDGE_WINDOWS,
+        hedgeCovers,
+        settleHedges,
+        HEDGE_COVER_HOURS,
+        hedgeCoverMWh,
+        REGION_LOCATIONS,
+        clearSkyPV,
+        pvForDay,
+        DP_SOC_STEPS,
+        dpOperatingLimits,
+        dpSettingsFit,
+        calculateDPArbitrage,
+        buildEnergyBids,
+        calculateMultiCycleArbitrage,
+        findBestArbitrageOpportunities,
+        parseSweepRange,
+        summariseSizingSweep,
+        PRICE_FORECASTS,
+        optimiseChain,
+        OPTIMISER_TASKS,
+        createOptimiserPool
+    };
+}
@@ -4,68 +4,620 @@
  * 
  * This is a proper optimal control solution that finds the globally optimal
  * charge/discharge schedule for a given price series.
+ *
+ * With maxCycles set, the daily throughput budget (2 × capacity × maxCycles,
+ * battery side) is a hard constraint. It is enforced by Lagrangian relaxation:
+ * a shadow price on throughput is searched for until the schedule fits the
+ * budget, and the cheapest feasible multiplier is kept. The shadow price only
+ * shapes decisions; it is not charged to revenue. It rises very slightly over
+ * the day so that otherwise identical swings are not all-or-nothing, which lets
+ * the search fill the budget interval by interval.
+ *
+ * With fcasPrices set, energy is co-optimised with FCAS enablement (see
+ * FCAS_SERVICES): each interval earns enablement revenue for the services the
+ * power headroom and SoC around its dispatch point can support. `revenue`
+ * includes it; `fcasRevenue` splits it by service.
+ *
+ * chargePowerCurve / dischargePowerCurve derate the import / export limits by
+ * SoC (at the start of each interval), and efficiencyCurve scales etaC / etaD
+ * with the power drawn, as a fraction of the limit. Both are [[x, y]] tables
+ * interpolated linearly (see interpolateCurve); the allowed moves and their
+ * grid energy follow them.
+ *
+ * buyPrices / sellPrices, when given, are the effective $/MWh paid for grid
+ * import and received for export (e.g. wholesale plus network tariff
+ * adjustments). The schedule and `revenue` follow them; `prices` stays the
+ * wholesale reference reported in the flows.
+ *
+ * demandCharges ([{ intervals, costPerMW, peakMW }]) bill the highest import
+ * over each window's intervals at costPerMW, above the peak already set this
+ * billing month (peakMW). The optimiser weighs that marginal cost of a new
+ * peak against the revenue of charging faster (see withDemandCharges) and
+ * reports it as `demandCharge`; `revenue` excludes it.
+ *
+ * pvMW (MW available per interval) makes the site a PV + battery hybrid
+ * sharing one connection, whose export is capped at siteExportMW. Each
+ * interval the PV that is not stored is exported or curtailed, whichever pays
+ * better (e.g. curtailed at negative prices or above the export limit), and
+ * with gridCharging false the battery may only charge from PV. Prices, import
+ * caps and demand charges then apply to the site's net flow (`gridMW` in the
+ * flows); `pv` totals the PV generated, output and curtailed.
+ *
+ * socFloorMWh (MWh per interval) keeps the SoC at or above a floor at the
+ * end of each interval, e.g. energy held to cover sold cap contracts (see
+ * hedgeCoverMWh in arbitrage-core.js). Floors the battery cannot reach from
+ * soc0, or leave again by socT, at the available power are trimmed.
+ *
+ * availability (fraction per interval) scales the import and export limits
+ * for outages, and with them the FCAS headroom (see availabilityForDay in
+ * arbitrage-core.js).
+ *
+ * With withBidCurves set, `bidCurves` gives, for each interval at its
+ * scheduled SoC, the price at which each further SoC step would be sold or
+ * bought: the value-function difference across the step (plus wear) per MWh
+ * at the grid. These are the raw material for band offers (see
+ * buildEnergyBids in arbitrage-core.js).
+ *
+ * cycleLifeCurve ([[depth of discharge, cycles to end of life]]) with
+ * replacementCostPerMWh prices degradation by cycle depth rather than per
+ * MWh: discharging further below the SoC peak costs more per MWh (see
+ * cycleDamageAt), so deep cycles cost more than shallow ones. The
+ * exact cost of the schedule is then counted by rainflow and reported as
+ * `degradation` (see rainflowDegradation); `revenue` excludes it.
+ *
+ * With lookaheadPrices set (e.g. the next day), the lookahead is solved first
+ * and its value function (over SoC and operating state) becomes the terminal
+ * value of this horizon, so energy is held across the boundary when the
+ * lookahead pays for it and runs or ramps may continue past it. FCAS is only
+ * co-optimised in the lookahead when lookaheadFcasPrices is given. Only the
+ * schedule for `prices` is returned; the caller commits it and carries
+ * `endState` / the end SoC into the next window (see optimiseChain in
+ * arbitrage-core.js).
+ *
+ * Ramp limits and minimum run / rest times multiply the state space (SoC
+ * levels × operating states). A solve over DP_STATE_LIMIT states runs on a
+ * coarser SoC grid (settings.socSteps reports the grid used), and throws
+ * only if the coarsest grid is still too large (see dpStateCount and
+ * coarsestSocSteps).
  */
-function optimiseBESS_DP({
-  prices,                 // array of numbers $/MWh
-  dtHours = 5/60,         // 5-minute interval
-  capacityMWh,            // total usable capacity
-  powerMW,                // charge/discharge power limit (symmetrical)
-  etaC = 0.97,            // charge efficiency
-  etaD = 0.97,            // discharge efficiency
-  soc0 = 0.5,             // initial SoC as fraction of capacity (0..1)
-  socT = null,            // terminal SoC fraction (null = free with salvage)
-  salvagePrice = null,    // $/MWh for leftover energy (null = auto-calculate)
-  socSteps = null,        // number of discrete SoC levels (null = auto-scale)
-  throughputCost = 0.0,   // $ per MWh of battery-side throughput (degradation)
-  maxCycles = null,       // maximum cycles per day constraint
-  rampRateMW = null       // maximum ramp rate MW/interval (null = no limit)
-}) {
+function optimiseBESS_DP(args) {
+  const {
+    maxCycles = null,
+    lookaheadPrices = null,
+    lookaheadFcasPrices = null,
+    lookaheadBuyPrices = null,
+    lookaheadSellPrices = null,
+    lookaheadPvMW = null,
+    lookaheadAvailability = null
+  } = args;
+  if (lookaheadPrices && lookaheadPrices.length > 0) {
+    const ahead = optimiseBESS_DP({
+      ...args,
+      prices: lookaheadPrices,
+      fcasPrices: lookaheadFcasPrices,
+      buyPrices: lookaheadBuyPrices,
+      sellPrices: lookaheadSellPrices,
+      pvMW: lookaheadPvMW,
+      availability: lookaheadAvailability,
+      socFloorMWh: null,
+      lookaheadPrices: null,
+      lookaheadFcasPrices: null,
+      lookaheadBuyPrices: null,
+      lookaheadSellPrices: null,
+      lookaheadPvMW: null,
+      lookaheadAvailability: null,
+      withBidCurves: false,
+      demandCharges: null,
+      initialState: null,
+      terminalByState: null,
+      soc0: 0,      // leftover energy after the lookahead valued against empty
+      socT: null,
+      maxCycles: maxCycles === null ? null : maxCycles * lookaheadPrices.length / args.prices.length
+    });
+    args = {
+      ...args,
+      lookaheadPrices: null,
+      socT: null,
+      terminalByState: ahead.valueByState
+    };
+  }
+
+  if (args.demandCharges && args.demandCharges.length > 0) return withDemandCharges(args);
+  return withCycleBudget(solveBESS_DP, args);
+}
+
+/**
+ * Enforce maxCycles (see optimiseBESS_DP) by calibrating the cycle shadow
+ * price with calibrateThroughputCost. `solve` takes the solver arguments
+ * plus cycleShadowPrice and returns an object with `throughput` and `notes`.
+ * The result carries the calibration as `cycleCalibration`.
+ */
+function withCycleBudget(solve, args) {
+  const { maxCycles = null } = args;
+  if (maxCycles === null || !(maxCycles >= 0)) return solve(args);
+
+  const { result, ...calibration } = calibrateThroughputCost(args.prices, maxCycles, args, solve);
+  result.cycleCalibration = calibration;
+  return result;
+}
+
+/**
+ * Demand-charge-aware solve (see optimiseBESS_DP). The cost of a new monthly
+ * peak is a max over intervals, so it cannot be priced interval by interval.
+ * Instead each window's import is capped, and the cap is searched for the
+ * best revenue net of the new-peak cost, one window at a time. Caps are taken
+ * on DEMAND_CAP_LEVELS even steps from the existing peak to the import limit;
+ * net revenue is concave in the cap, so a binary search over them suffices.
+ * Windows whose unconstrained schedule sets no new peak are left alone.
+ */
+const DEMAND_CAP_LEVELS = 8;
+
+function withDemandCharges(args) {
+  const { prices } = args;
+  const importMW = args.importMW ?? args.powerMW;
+  const windows = args.demandCharges
+    .filter(w => w.costPerMW > 0 && w.intervals.length > 0)
+    .map(w => ({ ...w, peakMW: Math.min(importMW, w.peakMW || 0) }));
+
+  // Solve with every window capped at its level; cached by levels
+  const cache = new Map();
+  const evaluate = levels => {
+    const key = levels.join(',');
+    if (cache.has(key)) return cache.get(key);
+    let importCapMW = null;
+    windows.forEach((w, j) => {
+      if (levels[j] === DEMAND_CAP_LEVELS) return;
+      if (!importCapMW) importCapMW = new Array(prices.length).fill(Infinity);
+      const cap = w.peakMW + (importMW - w.peakMW) * levels[j] / DEMAND_CAP_LEVELS;
+      w.intervals.forEach(t => { importCapMW[t] = Math.min(importCapMW[t], cap); });
+    });
+    const result = withCycleBudget(solveBESS_DP, { ...args, importCapMW });
+    let demandCharge = 0;
+    const peaksMW = windows.map(w => {
+      const peak = Math.max(0, ...w.intervals.map(t => -result.flows[t].gridMW));
+      demandCharge += w.costPerMW * Math.max(0, peak - w.peakMW);
+      return peak;
+    });
+    const degradation = result.degradation ? result.degradation.cost : 0;
+    const entry = { result, demandCharge, peaksMW, net: result.revenue - demandCharge - degradation };
+    cache.set(key, entry);
+    return entry;
+  };
+
+  const levels = windows.map(() => DEMAND_CAP_LEVELS);
+  let best = evaluate(levels);
+  windows.forEach((w, j) => {
+    if (best.peaksMW[j] <= w.peakMW + 1e-9) return;
+    const at = level => evaluate(levels.map((l, n) => n === j ? level : l));
+    let lo = 0, hi = DEMAND_CAP_LEVELS;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (at(mid).net >= at(mid + 1).net) hi = mid;
+      else lo = mid + 1;
+    }
+    levels[j] = lo;
+    best = evaluate(levels);
+  });
+
+  const result = best.result;
+  result.demandCharge = best.demandCharge;
+  result.demandPeaksMW = best.peaksMW;
+  result.settings.demandCharges = args.demandCharges;
+  return result;
+}
+
+/**
+ * FCAS services that can be co-optimised with energy. Enablement on one side
+ * must be deliverable for `sustainMinutes`: regulation for the whole dispatch
+ * interval, contingency until the end of its timeframe.
+ */
+const FCAS_SERVICES = {
+  RAISEREG:   { direction: 'raise', regulation: true, sustainMinutes: 5 },
+  LOWERREG:   { direction: 'lower', regulation: true, sustainMinutes: 5 },
+  RAISE1SEC:  { direction: 'raise', regulation: false, sustainMinutes: 0.1 },
+  RAISE6SEC:  { direction: 'raise', regulation: false, sustainMinutes: 1 },
+  RAISE60SEC: { direction: 'raise', regulation: false, sustainMinutes: 5 },
+  RAISE5MIN:  { direction: 'raise', regulation: false, sustainMinutes: 10 },
+  LOWER1SEC:  { direction: 'lower', regulation: false, sustainMinutes: 0.1 },
+  LOWER6SEC:  { direction: 'lower', regulation: false, sustainMinutes: 1 },
+  LOWER60SEC: { direction: 'lower', regulation: false, sustainMinutes: 5 },
+  LOWER5MIN:  { direction: 'lower', regulation: false, sustainMinutes: 10 }
+};
+
+/**
+ * Best FCAS enablement on one side (raise or lower) of the dispatch point.
+ * Regulation and contingency stack on the same power headroom; contingency
+ * timeframes are co-enabled on it, each limited by the energy it must sustain.
+ * Regulation is either off or as large as allowed, which is exact whenever
+ * headroom binds.
+ *
+ * @param {Array} services - [{ id, price ($/MW/h), sustainHours, regulation }]
+ * @param {number} headroomMW - power between the dispatch point and the limit
+ * @param {number} energyMWh - grid-side energy the SoC can deliver or absorb
+ * @param {number} maxMW - enablement cap per service
+ * @param {Object} out - if given, filled with MW enabled per service id
+ * @returns {number} $/h earned by the enablement
+ */
+function allocateFCAS(services, headroomMW, energyMWh, maxMW, out = null) {
+  const headroom = Math.max(0, headroomMW);
+  const energy = Math.max(0, energyMWh);
+  let regulation = null;
+  for (const s of services) if (s.regulation && s.price > 0) regulation = s;
+
+  const valueWith = (reg, fill) => {
+    let value = regulation ? regulation.price * reg : 0;
+    const restMW = headroom - reg;
+    const restMWh = energy - (regulation ? reg * regulation.sustainHours : 0);
+    for (const s of services) {
+      if (s.regulation || !(s.price > 0)) continue;
+      const mw = Math.max(0, Math.min(restMW, maxMW, restMWh / s.sustainHours));
+      value += s.price * mw;
+      if (fill) out[s.id] = mw;
+    }
+    if (fill && regulation) out[regulation.id] = reg;
+    return value;
+  };
+
+  const regMax = regulation ? Math.min(headroom, maxMW, energy / regulation.sustainHours) : 0;
+  const withReg = regMax > 0 ? valueWith(regMax, false) : -Infinity;
+  const withoutReg = valueWith(0, false);
+  if (out) {
+    for (const s of services) out[s.id] = 0;
+    valueWith(withReg > withoutReg ? regMax : 0, true);
+  }
+  return Math.max(withReg, withoutReg);
+}
+
+/**
+ * Piecewise-linear lookup in a table of [x, y] points sorted by x, held flat
+ * beyond the first and last points. A missing table reads as 1.
+ */
+function interpolateCurve(points, x) {
+  if (!points || points.length === 0) return 1;
+  if (x <= points[0][0]) return points[0][1];
+  for (let n = 1; n < points.length; n++) {
+    const [x1, y1] = points[n];
+    if (x <= x1) {
+      const [x0, y0] = points[n - 1];
+      return x1 > x0 ? y0 + (y1 - y0) * (x - x0) / (x1 - x0) : y1;
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+/**
+ * Grid-side power (MW) of moving socMWh into (charging) or out of the battery
+ * in one interval. The efficiency is eta scaled by efficiencyCurve at the
+ * power's fraction of limitMW; since the power depends on the efficiency,
+ * the pair is found by fixed-point iteration.
+ * @returns {{ powerMW: number, eta: number }}
+ */
+function gridPowerOfSoCChange(socMWh, charging, eta, limitMW, efficiencyCurve, dtHours) {
+  let effective = eta;
+  let powerMW = 0;
+  for (let n = 0; n < (efficiencyCurve ? 8 : 1); n++) {
+    powerMW = (charging ? socMWh / effective : socMWh * effective) / dtHours;
+    if (efficiencyCurve) effective = eta * interpolateCurve(efficiencyCurve, powerMW / limitMW);
+  }
+  return { powerMW, eta: effective };
+}
+
+// Depth-weighted degradation state (see solveBESS_DP): at most this many SoC
+// peak levels (5% of capacity apart), fewer when the state would outgrow
+// DEGRADATION_STATE_BUDGET states per interval
+const DEGRADATION_PEAK_LEVELS = 21;
+const DEGRADATION_STATE_BUDGET = 60000;
+
+// Largest DP solved, in states over the horizon (SoC levels × auxiliary
+// states × intervals): the value function and policy take 10 bytes a state,
+// so one solve stays under 80 MB per worker. Larger solves are run on a
+// coarser SoC grid, down to MIN_SOC_STEPS levels (see coarsestSocSteps)
+const DP_STATE_LIMIT = 8e6;
+const MIN_SOC_STEPS = 21;
+
+/**
+ * States of a DP solve over `intervals` on a grid of socSteps SoC levels,
+ * counting the operating states that minimum run / rest and a ramp limit add
+ * (see solveBESS_DP) and the fewest degradation peak levels. Power and
+ * efficiency curves are not counted. Lets callers check settings against
+ * DP_STATE_LIMIT before solving.
+ */
+function dpStateCount({ socSteps, intervals, capacityMWh, importMW, exportMW, etaC, etaD, dtHours,
+                        rampRateMW = null, minRunIntervals = 1, minRestIntervals = 0, cycleLifeCurve = null }) {
+  const dE = capacityMWh / (socSteps - 1);
+  const chargeK = Math.max(1, Math.floor(etaC * importMW * dtHours / dE));
+  const dischK = Math.max(1, Math.floor(exportMW * dtHours / etaD / dE));
+  const ramp = rampRateMW !== null && rampRateMW < importMW + exportMW;
+  const run = Math.max(1, minRunIntervals), rest = Math.max(1, minRestIntervals);
+  const operating = minRunIntervals > 1 || minRestIntervals > 0
+    ? (ramp ? run * (chargeK + dischK) : 2 * run) + 2 * rest
+    : ramp ? chargeK + dischK + 1 : 1;
+  return socSteps * operating * (cycleLifeCurve ? 2 : 1) * intervals;
+}
+
+/**
+ * Coarsest SoC grid a solve may be run on to fit DP_STATE_LIMIT:
+ * MIN_SOC_STEPS levels, or more under a ramp limit, so that one SoC step of
+ * charge stays within it (else the battery could never start moving).
+ */
+function coarsestSocSteps({ capacityMWh, importMW, exportMW, etaC, dtHours, rampRateMW = null }) {
+  if (rampRateMW === null || !(rampRateMW < importMW + exportMW)) return MIN_SOC_STEPS;
+  return Math.max(MIN_SOC_STEPS, 1 + Math.ceil(capacityMWh / (rampRateMW * dtHours * etaC) - 1e-9));
+}
+
+/**
+ * Whether a DP solve fits DP_STATE_LIMIT on the coarsest SoC grid it may be
+ * run on: socSteps (the grid asked for) or coarsestSocSteps, whichever is
+ * coarser. Takes the dpStateCount arguments.
+ */
+function fitsDPStateLimit(args) {
+  const socSteps = Math.min(args.socSteps, coarsestSocSteps(args));
+  return dpStateCount({ ...args, socSteps }) <= DP_STATE_LIMIT;
+}
+
+/**
+ * Reference price for the terminal penalty of a solve without socT (see
+ * solveBESS_DP): the median price over the first 5 hours, as a proxy for
+ * typical charging cost; $50/MWh if there are none. The window is sized in
+ * hours, so 5-minute and 30-minute intervals sample the same hours.
+ */
+function terminalReferencePrice(prices, dtHours = 5/60) {
+  const morningPrices = prices.slice(0, Math.round(5 / dtHours))
+    .filter(p => p !== null && !isNaN(p))
+    .sort((a, b) => a - b);
+  return morningPrices.length > 0 ? morningPrices[Math.floor(morningPrices.length / 2)] : 50;
+}
+
+/**
+ * Single DP solve for a fixed cycle shadow price (see optimiseBESS_DP).
+ */
+function solveBESS_DP(args) {
+  let {
+    prices,                 // array of numbers $/MWh
+    buyPrices = null,       // effective $/MWh paid for grid import (null = prices)
+    importCapMW = null,     // per-interval grid import cap, MW (e.g. a demand-charge peak)
+    sellPrices = null,      // effective $/MWh received for export (null = prices)
+    pvMW = null,            // PV available per interval, MW (null = battery only)
+    siteExportMW = null,    // shared PV + battery export limit, MW (null = no site limit)
+    gridCharging = true,    // with pvMW: whether the battery may charge from the grid
+    socFloorMWh = null,     // minimum SoC at the end of each interval, MWh (null = none)
+    availability = null,    // fraction of the power limits available per interval (null = all)
+    dtHours = 5/60,         // 5-minute interval
+    capacityMWh,            // total usable capacity
+    powerMW = null,         // legacy symmetric limit: grid-side charging, battery-side discharging
+    importMW = powerMW,     // grid-side charge limit, MW
+    exportMW = null,        // grid-side discharge limit, MW (null = etaD × powerMW)
+    etaC = 0.97,            // charge efficiency
+    etaD = 0.97,            // discharge efficiency
+    soc0 = 0.5,             // initial SoC as fraction of capacity (0..1)
+    socT = null,            // terminal SoC fraction (null = free with salvage)
+    salvagePrice = null,    // $/MWh for leftover energy (null = auto-calculate)
+    terminalByState = null, // valueByState of a lookahead solve with the same settings (replaces the salvage penalty)
+    initialState = null,    // { mode, dwell, powerMW } carried from a previous window (endState)
+    socSteps = null,        // number of discrete SoC levels (null = auto-scale)
+    throughputCost = 0.0,   // $ per MWh of battery-side throughput (degradation)
+    cycleLifeCurve = null,  // [[depth of discharge, cycles to end of life]] for depth-weighted degradation
+    replacementCostPerMWh = 0, // $ per MWh of capacity to replace the pack at end of life
+    maxCycles = null,       // maximum cycles per day constraint
+    rampRateMW = null,      // max change in grid-side power between intervals, MW (null = no limit)
+    minRunIntervals = 1,    // minimum consecutive intervals in a charge or discharge run
+    minRestIntervals = 0,   // minimum idle intervals between charging and discharging
+    fcasPrices = null,      // { SERVICE: $/MW/h per interval } for FCAS_SERVICES to co-optimise
+    fcasMaxMW = null,       // enablement cap per FCAS service, MW (null = larger power limit)
+    chargePowerCurve = null,    // [[SoC fraction, fraction of importMW]] charge derating
+    dischargePowerCurve = null, // [[SoC fraction, fraction of exportMW]] discharge derating
+    efficiencyCurve = null,     // [[fraction of the import/export limit, factor on etaC/etaD]]
+    withBidCurves = false,  // also return per-interval marginal sell / buy prices by MW (bidCurves)
+    cycleShadowPrice = 0.0  // $/MWh Lagrange multiplier on throughput (decisions only)
+  } = args;
   const T = prices.length;
   const E = capacityMWh;
+  const buy = buyPrices || prices;
+  const sell = sellPrices || prices;
+  // $/MWh throughput cost seen by the optimiser at interval t (shadow price tie-broken over time)
+  const wearCostAt = t => throughputCost + cycleShadowPrice * (1 + 1e-3 * t / T);
   
-  // Auto-scale SoC steps based on C-rate to reduce discretization error
-  if (socSteps === null) {
-    const stepsPerInterval = Math.max(6, Math.ceil(capacityMWh / (powerMW * dtHours)));
-    socSteps = Math.min(401, Math.max(121, stepsPerInterval * 8));
-  }
+  if (exportMW === null) exportMW = etaD * powerMW;
+  if (socSteps === null) socSteps = autoSocSteps(capacityMWh, Math.max(importMW, exportMW), dtHours);
   
   const dE = E / (socSteps - 1);                    // SoC step (MWh)
   const idxFromSoC = s => Math.max(0, Math.min(socSteps-1, Math.round(s/dE)));
   const socFromIdx = i => i * dE;
 
   // Power → max SoC change per step
-  const maxChargeSoC = etaC * powerMW * dtHours;    // MWh added to SoC
-  const maxDischSoC  = powerMW * dtHours;           // MWh removed from SoC
-  const maxChargeK   = Math.max(1, Math.floor(maxChargeSoC / dE));
-  const maxDischK    = Math.max(1, Math.floor(maxDischSoC  / dE));
+  const maxChargeSoC = etaC * importMW * dtHours;   // MWh added to SoC
+  const maxDischSoC  = exportMW * dtHours / etaD;   // MWh removed from SoC
+  let maxChargeK     = Math.max(1, Math.floor(maxChargeSoC / dE));
+  let maxDischK      = Math.max(1, Math.floor(maxDischSoC  / dE));
 
-  // Value function and policy
-  const V = Array.from({ length: T + 1 }, () => new Float64Array(socSteps).fill(-1e15));
-  const action = Array.from({ length: T }, () => new Int16Array(socSteps).fill(0)); // delta in "SoC steps" per interval
+  // Efficiency of a move of k SoC steps, and its grid-side power (MW,
+  // +export / -import). With an efficiency curve, the largest moves are those
+  // whose grid power at their own efficiency stays within the limits.
+  const moveAt = k => k >= 0
+    ? gridPowerOfSoCChange(k * dE, true, etaC, importMW, efficiencyCurve, dtHours)
+    : gridPowerOfSoCChange(-k * dE, false, etaD, exportMW, efficiencyCurve, dtHours);
+  if (efficiencyCurve) {
+    const fits = (k, limit) => moveAt(k).powerMW <= limit + 1e-9;
+    maxChargeK = 1;
+    while (fits(maxChargeK + 1, importMW) && maxChargeK < socSteps) maxChargeK++;
+    maxDischK = 1;
+    while (fits(-(maxDischK + 1), exportMW) && maxDischK < socSteps) maxDischK++;
+  }
+  const etaOfK = new Float64Array(maxDischK + maxChargeK + 1);   // indexed k + maxDischK
+  const powerOfK = new Float64Array(maxDischK + maxChargeK + 1);
+  for (let k = -maxDischK; k <= maxChargeK; k++) {
+    const move = moveAt(k);
+    etaOfK[k + maxDischK] = k === 0 ? 1 : move.eta;
+    powerOfK[k + maxDischK] = k > 0 ? -move.powerMW : move.powerMW;
+  }
+  const gridPowerOfK = k => powerOfK[k + maxDischK];
+
+  // SoC-dependent power derating: the largest moves allowed from each SoC level
+  // (taken at the start of the interval)
+  const kChargeCap = new Int32Array(socSteps);
+  const kDischCap = new Int32Array(socSteps);
+  for (let i = 0; i < socSteps; i++) {
+    const chargeLimit = importMW * interpolateCurve(chargePowerCurve, i / (socSteps - 1)) + 1e-9;
+    const dischLimit = exportMW * interpolateCurve(dischargePowerCurve, i / (socSteps - 1)) + 1e-9;
+    let kc = chargePowerCurve ? 0 : maxChargeK;
+    while (kc < maxChargeK && -gridPowerOfK(kc + 1) <= chargeLimit) kc++;
+    let kd = dischargePowerCurve ? 0 : maxDischK;
+    while (kd < maxDischK && gridPowerOfK(-(kd + 1)) <= dischLimit) kd++;
+    kChargeCap[i] = kc;
+    kDischCap[i] = kd;
+  }
+
+  // Auxiliary state on top of SoC, only for the constraints that need it:
+  //  - operating mode and dwell time (intervals spent in it) for minimum run /
+  //    rest, with idle split by the last active mode so the rest time between
+  //    charging and discharging can be enforced. Dwell only counts up to the
+  //    time the mode has to last: the minimum run when active, the minimum
+  //    rest when idle;
+  //  - the previous interval's action so |P_t - P_{t-1}| <= rampRateMW can be
+  //    checked on every transition. With both, the action fixes the mode
+  //    (charging after k > 0, discharging after k < 0, idle after k = 0), so
+  //    only those pairs are states.
+  // The battery starts idle, fully rested and at zero power.
+  const A = maxDischK + maxChargeK + 1;
+  const rampActive = rampRateMW !== null && rampRateMW < importMW + exportMW;
+  const dwellActive = minRunIntervals > 1 || minRestIntervals > 0;
+  const IDLE_AFTER_CHARGE = 0, IDLE_AFTER_DISCH = 1, CHARGING = 2, DISCHARGING = 3;
+  const MODE_NAMES = ['idleAfterCharge', 'idleAfterDischarge', 'charging', 'discharging'];
+  const D = dwellActive ? Math.max(minRunIntervals, minRestIntervals, 1) : 1;
+  const nModes = dwellActive ? 4 : 1;
+  const nRamp = rampActive ? A : 1;
+  const dwellCap = mode => !dwellActive ? 1
+    : mode === CHARGING || mode === DISCHARGING ? Math.max(1, minRunIntervals) : Math.max(1, minRestIntervals);
+  const modeFits = (mode, k) => !dwellActive || !rampActive ||
+    (mode === CHARGING ? k > 0 : mode === DISCHARGING ? k < 0 : k === 0);
+  // Operating state index of (mode, dwell, previous action), or -1 if it cannot occur
+  const opIndex = new Int32Array(nModes * D * nRamp).fill(-1);
+  let nOpAux = 0;
+  for (let mode = 0; mode < nModes; mode++) {
+    for (let dwell = 1; dwell <= dwellCap(mode); dwell++) {
+      for (let r = 0; r < nRamp; r++) {
+        if (modeFits(mode, rampActive ? r - maxDischK : 0)) opIndex[(mode * D + dwell - 1) * nRamp + r] = nOpAux++;
+      }
+    }
+  }
+
+  // Depth-weighted degradation: a discharge is priced by how far it takes
+  // the battery below its peak, the highest SoC since it was last empty, at
+  // replacement cost × (damage at the depth after - damage at the depth
+  // before). A cycle from empty to depth d and back costs exactly replacement
+  // cost × damage(d), and deep discharges cost more per MWh than shallow ones.
+  // The peak joins the state on a grid of up to DEGRADATION_PEAK_LEVELS levels
+  // (fewer when other constraints already enlarge the state), rounded up.
+  // Shallow cycles below an earlier, higher peak are priced as deep ones, so
+  // the estimate errs high; the exact cost is counted afterwards by rainflow.
+  const wearActive = !!cycleLifeCurve;
+  const nPeak = wearActive ? Math.max(2, Math.min(DEGRADATION_PEAK_LEVELS,
+    Math.floor(Math.min(DEGRADATION_STATE_BUDGET, DP_STATE_LIMIT / T) / (socSteps * nOpAux)))) : 1;
+  const nAux = nOpAux * nPeak;
+  const states = socSteps * nAux * T;
+  if (states > DP_STATE_LIMIT) {
+    // Coarsen the SoC grid to fit; fewer levels also mean fewer ramp states
+    const coarsest = coarsestSocSteps({ capacityMWh, importMW, exportMW, etaC, dtHours, rampRateMW });
+    if (socSteps > coarsest) {
+      const coarser = Math.max(coarsest,
+        Math.min(socSteps - 1, Math.floor(socSteps * Math.sqrt(DP_STATE_LIMIT / states))));
+      return solveBESS_DP({ ...args, socSteps: coarser });
+    }
+    throw new Error(`DP state space too large: ${socSteps} SoC levels × ${nAux} operating states × ${T} intervals ` +
+      `(limit ${DP_STATE_LIMIT}); shorten the minimum run / rest time or relax the ramp limit`);
+  }
+  const peakIdx = new Int32Array(nPeak);   // SoC index of each peak level
+  for (let l = 0; l < nPeak; l++) peakIdx[l] = Math.round(l * (socSteps - 1) / Math.max(1, nPeak - 1));
+  const peakLevelOf = i => wearActive ? Math.ceil(i * (nPeak - 1) / (socSteps - 1) - 1e-9) : 0;
+  const cycleCost = new Float64Array(socSteps);   // by depth below the peak, in SoC steps
+  if (wearActive) {
+    for (let d = 0; d < socSteps; d++) {
+      cycleCost[d] = replacementCostPerMWh * E * cycleDamageAt(cycleLifeCurve, d / (socSteps - 1));
+    }
+  }
+  const nextPeak = (peak, i, k) => {
+    if (!wearActive) return 0;
+    if (k > 0) return Math.max(peak, peakLevelOf(i + k));
+    return k < 0 && i + k === 0 ? 0 : peak;
+  };
+  const wearOfMove = (peak, i, k) => {
+    if (!wearActive || k >= 0) return 0;
+    const top = Math.max(peakIdx[peak], i);
+    return cycleCost[top - i - k] - cycleCost[top - i];
+  };
+
+  const encodeAux = (mode, dwell, k) =>
+    opIndex[((dwellActive ? mode * D + (dwell - 1) : 0) * nRamp) + (rampActive ? k + maxDischK : 0)];
+  const idleOpAux = encodeAux(IDLE_AFTER_CHARGE, dwellCap(IDLE_AFTER_CHARGE), 0);
+  const canRamp = (prevK, k) => !rampActive ||
+    Math.abs(gridPowerOfK(k) - gridPowerOfK(prevK)) <= rampRateMW + 1e-9;
+
+  // Mode/dwell after taking action k from (mode, dwell), or null if not allowed
+  const nextModeDwell = (mode, dwell, k) => {
+    const bump = Math.min(dwell + 1, dwellCap(mode));
+    const runDone = dwell >= minRunIntervals;
+    const rested = dwell >= minRestIntervals;
+    if (k > 0) {
+      if (mode === CHARGING) return [CHARGING, bump];
+      if (mode === DISCHARGING) return runDone && minRestIntervals === 0 ? [CHARGING, 1] : null;
+      if (mode === IDLE_AFTER_DISCH) return rested ? [CHARGING, 1] : null;
+      return [CHARGING, 1];
+    }
+    if (k < 0) {
+      if (mode === DISCHARGING) return [DISCHARGING, bump];
+      if (mode === CHARGING) return runDone && minRestIntervals === 0 ? [DISCHARGING, 1] : null;
+      if (mode === IDLE_AFTER_CHARGE) return rested ? [DISCHARGING, 1] : null;
+      return [DISCHARGING, 1];
+    }
+    if (mode === CHARGING) return runDone ? [IDLE_AFTER_CHARGE, 1] : null;
+    if (mode === DISCHARGING) return runDone ? [IDLE_AFTER_DISCH, 1] : null;
+    return [mode, bump];
+  };
+
+  // Transition table of the operating state: nextAux[a * A + (k + maxDischK)]
+  // (-1 = infeasible) and whether each may end the horizon (no unfinished short run)
+  const nextAux = new Int32Array(nOpAux * A).fill(-1);
+  const canEnd = new Uint8Array(nOpAux).fill(1);
+  for (let mode = 0; mode < nModes; mode++) {
+    for (let dwell = 1; dwell <= dwellCap(mode); dwell++) {
+      for (let r = 0; r < nRamp; r++) {
+        const prevK = rampActive ? r - maxDischK : 0;
+        const a = encodeAux(mode, dwell, prevK);
+        if (a < 0) continue;
+        if (dwellActive && (mode === CHARGING || mode === DISCHARGING) && dwell < minRunIntervals) {
+          canEnd[a] = 0;
+        }
+        for (let k = -maxDischK; k <= maxChargeK; k++) {
+          if (!canRamp(prevK, k)) continue; // violates ramp rate
+          const md = dwellActive ? nextModeDwell(mode, dwell, k) : [0, 1];
+          if (md) nextAux[a * A + k + maxDischK] = encodeAux(md[0], md[1], k);
+        }
+      }
+    }
+  }
+
+  // Value function and policy, indexed [t][i * nAux + aux] with
+  // aux = operating state × nPeak + peak level
+  const nStates = socSteps * nAux;
+  const V = Array.from({ length: T + 1 }, () => new Float64Array(nStates).fill(-1e15));
+  const action = Array.from({ length: T }, () => new Int16Array(nStates).fill(0)); // delta in "SoC steps" per interval
 
   // Terminal condition with cyclic boundary
-  if (socT !== null) {
+  const terminal = new Float64Array(socSteps).fill(-1e15);
+  const continuation = socT === null && terminalByState !== null && terminalByState.length === nStates;
+  if (continuation) {
+    // Continuation value from a lookahead solve, already indexed by SoC and aux state
+    V[T].set(terminalByState);
+  } else if (socT !== null) {
     // Fixed terminal SoC (legacy mode)
     const endIdx = idxFromSoC(E * socT);
-    V[T][endIdx] = 0.0;
+    terminal[endIdx] = 0.0;
   } else {
     // Cyclic boundary condition: penalty for deviation from initial SoC
     // This encourages the battery to return to its starting state
     const startSoC = E * soc0;
     
-    // Calculate a reference price for the penalty
-    // Use median of early morning prices as a proxy for typical charging cost
-    let referencePrice = 50; // Default fallback
-    const morningPrices = [];
-    for (let t = 0; t < Math.min(T, 60); t++) { // First 5 hours (60 intervals)
-      if (prices[t] !== null && !isNaN(prices[t])) {
-        morningPrices.push(prices[t]);
-      }
-    }
-    if (morningPrices.length > 0) {
-      morningPrices.sort((a, b) => a - b);
-      referencePrice = morningPrices[Math.floor(morningPrices.length / 2)];
-    }
+    const referencePrice = terminalReferencePrice(prices, dtHours);
     
     // Set terminal value with quadratic penalty for deviation
     for (let i = 0; i < socSteps; i++) {
@@ -75,66 +627,202 @@ function optimiseBESS_DP({
       // Positive deviation (excess energy) has value, negative has cost
       if (deviation > 0) {
         // Excess energy valued at discharge efficiency * reference price
-        V[T][i] = etaD * deviation * referencePrice * 0.8; // 80% of reference
+        terminal[i] = etaD * deviation * referencePrice * 0.8; // 80% of reference
       } else {
         // Energy deficit costs at charge efficiency * reference price
-        V[T][i] = deviation * referencePrice / etaC * 1.2; // 120% of reference
+        terminal[i] = deviation * referencePrice / etaC * 1.2; // 120% of reference
+      }
+    }
+  }
+  if (!continuation) {
+    for (let i = 0; i < socSteps; i++) {
+      for (let a = 0; a < nAux; a++) {
+        if (canEnd[Math.floor(a / nPeak)]) V[T][i * nAux + a] = terminal[i];
+      }
+    }
+  }
+
+  // FCAS enablement earned alongside a move of k steps ending at SoC index j,
+  // limited by power headroom either side of the dispatch point and by the
+  // energy the SoC can deliver (raise) or absorb (lower)
+  const fcasIds = fcasPrices ? Object.keys(fcasPrices).filter(id => FCAS_SERVICES[id]) : [];
+  const fcasActive = fcasIds.length > 0;
+  const fcasCap = fcasMaxMW === null ? Math.max(importMW, exportMW) : fcasMaxMW;
+  const fcasAt = t => {
+    const side = { raise: [], lower: [] };
+    fcasIds.forEach(id => {
+      const def = FCAS_SERVICES[id];
+      side[def.direction].push({
+        id,
+        price: fcasPrices[id][t] || 0,
+        sustainHours: def.sustainMinutes / 60,
+        regulation: def.regulation
+      });
+    });
+    side.available = availability ? availability[t] : 1;
+    return side;
+  };
+  const fcasValue = (side, k, j, out = null) => {
+    const P = gridPowerOfK(k);
+    const soc = socFromIdx(j);
+    const raiseLimit = exportMW * side.available * interpolateCurve(dischargePowerCurve, j / (socSteps - 1));
+    const lowerLimit = importMW * side.available * interpolateCurve(chargePowerCurve, j / (socSteps - 1));
+    return (allocateFCAS(side.raise, raiseLimit - P, soc * etaD, fcasCap, out) +
+            allocateFCAS(side.lower, lowerLimit + P, (E - soc) / etaC, fcasCap, out)) * dtHours;
+  };
+  const fcasByMove = fcasActive ? new Float64Array(A * socSteps) : null;
+
+  // Hybrid site: the PV output (MW) that goes with a battery move. The site
+  // exports PV output + battery power, within the shared export limit, any
+  // import cap and, without grid charging, no import at all. Net export earns
+  // sell[t] and net import pays buy[t], so the best output sits at a bound or
+  // at zero net flow; the rest of the PV is curtailed. null if infeasible.
+  const hybrid = pvMW !== null;
+  const siteExportLimit = siteExportMW === null ? Infinity : siteExportMW;
+  const siteCash = (t, gridMW) => (gridMW >= 0 ? sell[t] : buy[t]) * gridMW * dtHours;
+  const siteDispatch = (t, k) => {
+    const P = gridPowerOfK(k);
+    let lo = Math.max(0, -P - (importCapMW ? importCapMW[t] : Infinity));
+    if (!gridCharging) lo = Math.max(lo, -P);
+    const hi = Math.min(pvMW[t] || 0, siteExportLimit - P);
+    if (lo > hi + 1e-9) return null;
+    let pvOutMW = hi;
+    [Math.min(hi, Math.max(lo, -P)), lo].forEach(out => {
+      if (siteCash(t, out + P) > siteCash(t, pvOutMW + P) + 1e-9) pvOutMW = out;
+    });
+    return { pvOutMW, gridMW: pvOutMW + P };
+  };
+
+  // Outages: the largest moves the available power allows in each interval
+  const movesWithin = (limitMW, maxK, powerOfMove) => {
+    let k = 0;
+    while (k < maxK && powerOfMove(k + 1) <= limitMW + 1e-9) k++;
+    return k;
+  };
+  const kChargeAvail = Int32Array.from({ length: T }, (_, t) => availability ?
+    movesWithin(importMW * availability[t], maxChargeK, k => -gridPowerOfK(k)) : maxChargeK);
+  const kDischAvail = Int32Array.from({ length: T }, (_, t) => availability ?
+    movesWithin(exportMW * availability[t], maxDischK, k => gridPowerOfK(-k)) : maxDischK);
+
+  // SoC floor on the grid (rounded down), trimmed to what charging at the
+  // available power from soc0 can reach and discharging can bring down to socT
+  let floorIdx = null;
+  if (socFloorMWh) {
+    floorIdx = new Int32Array(T);
+    let reach = idxFromSoC(E * soc0);
+    for (let t = 0; t < T; t++) {
+      reach += kChargeAvail[t];
+      floorIdx[t] = Math.max(0, Math.min(Math.floor((socFloorMWh[t] || 0) / dE + 1e-9), reach));
+    }
+    if (socT !== null) {
+      let reachDown = idxFromSoC(E * socT);
+      for (let t = T - 1; t >= 0; t--) {
+        floorIdx[t] = Math.min(floorIdx[t], reachDown);
+        reachDown += kDischAvail[t];
       }
     }
   }
 
   // Backward DP
+  const rewardByK = new Float64Array(A);
   for (let t = T - 1; t >= 0; t--) {
-    const p = prices[t];
+    const vNext = V[t + 1];
+    const wearCost = wearCostAt(t);
+
+    let kImportCap = maxChargeK;
+    if (importCapMW && !hybrid) {
+      kImportCap = 0;
+      while (kImportCap < maxChargeK && -gridPowerOfK(kImportCap + 1) <= importCapMW[t] + 1e-9) kImportCap++;
+    }
+
+    if (fcasActive) {
+      const side = fcasAt(t);
+      for (let k = -maxDischK; k <= maxChargeK; k++) {
+        for (let j = Math.max(0, k); j < socSteps && j - k < socSteps; j++) {
+          fcasByMove[(k + maxDischK) * socSteps + j] = fcasValue(side, k, j);
+        }
+      }
+    }
+
+    // Interval reward of each move, indexed k + maxDischK
+    for (let k = -maxDischK; k <= maxChargeK; k++) {
+      if (hybrid) {
+        const site = siteDispatch(t, k);
+        rewardByK[k + maxDischK] = site ? siteCash(t, site.gridMW) - wearCost * Math.abs(k) * dE : -1e15;
+        continue;
+      }
+      let reward = 0.0;
+      if (k > 0) {
+        // CHARGE: SoC increases by k*dE; grid energy = (k*dE)/etaC
+        const gridIn = (k * dE) / etaOfK[k + maxDischK];
+        const thr    = k * dE; // battery-side throughput
+        reward -= buy[t] * gridIn;
+        reward -= wearCost * thr;
+      } else if (k < 0) {
+        // DISCHARGE: SoC decreases by |k|*dE; energy sold = etaD * |k|*dE
+        const battOut = (-k) * dE;
+        const sold    = etaOfK[k + maxDischK] * battOut;
+        const thr     = battOut; // battery-side throughput
+        reward += sell[t] * sold;
+        reward -= wearCost * thr;
+      }
+      rewardByK[k + maxDischK] = reward;
+    }
+
     for (let i = 0; i < socSteps; i++) {
       const soc = socFromIdx(i);
 
-      let bestVal = -1e15;
-      let bestK = 0;
-
       // allowed change in SoC this step: k * dE, with bounds
-      const kChargeMax = Math.min(maxChargeK, Math.floor((E - soc) / dE));
-      const kDischMax  = Math.min(maxDischK, Math.floor(soc / dE));
-
-      // iterate discharge (negative k), hold (0), charge (positive k)
-      for (let k = -kDischMax; k <= kChargeMax; k++) {
-        const socNextIdx = i + k;
-        const socNextVal = V[t + 1][socNextIdx];
-        if (socNextVal <= -1e14) continue; // infeasible terminal path
-        
-        // TODO: Ramp rate constraint would be enforced here
-        // if (rampRateMW !== null && t > 0) {
-        //   const prevK = action[t-1][i];
-        //   const rampMW = Math.abs((k - prevK) * dE / dtHours);
-        //   if (rampMW > rampRateMW) continue; // Skip if violates ramp rate
-        // }
-
-        let reward = 0.0;
-        if (k > 0) {
-          // CHARGE: SoC increases by k*dE; grid energy = (k*dE)/etaC
-          const gridIn = (k * dE) / etaC;
-          const thr    = k * dE; // battery-side throughput
-          reward -= p * gridIn;
-          reward -= throughputCost * thr;
-        } else if (k < 0) {
-          // DISCHARGE: SoC decreases by |k|*dE; energy sold = etaD * |k|*dE
-          const battOut = (-k) * dE;
-          const sold    = etaD * battOut;
-          const thr     = battOut; // battery-side throughput
-          reward += p * sold;
-          reward -= throughputCost * thr;
-        }
+      const kChargeMax = Math.min(kChargeCap[i], kImportCap, kChargeAvail[t], Math.floor((E - soc) / dE + 1e-9));
+      const kDischMax  = Math.min(kDischCap[i], kDischAvail[t], Math.floor(soc / dE + 1e-9));
+
+      for (let a = 0; a < nAux; a++) {
+        const op = Math.floor(a / nPeak);
+        const peak = a - op * nPeak;
+        let bestVal = -1e15;
+        let bestK = 0;
+
+        // iterate discharge (negative k), hold (0), charge (positive k)
+        for (let k = -kDischMax; k <= kChargeMax; k++) {
+          const na = nextAux[op * A + k + maxDischK];
+          if (na < 0) continue; // violates ramp rate or run/rest constraints
+          if (hybrid && rewardByK[k + maxDischK] <= -1e14) continue; // no feasible PV dispatch
+          if (floorIdx && i + k < floorIdx[t]) continue; // below the SoC floor
 
-        const val = reward + socNextVal;
-        if (val > bestVal) {
-          bestVal = val;
-          bestK = k;
+          const socNextVal = vNext[(i + k) * nAux + na * nPeak + nextPeak(peak, i, k)];
+          if (socNextVal <= -1e14) continue; // infeasible terminal path
+
+          const val = rewardByK[k + maxDischK] + socNextVal +
+            (fcasActive ? fcasByMove[(k + maxDischK) * socSteps + i + k] : 0) -
+            wearOfMove(peak, i, k);
+          if (val > bestVal) {
+            bestVal = val;
+            bestK = k;
+          }
         }
+
+        V[t][i * nAux + a] = bestVal;
+        action[t][i * nAux + a] = bestK;
       }
+    }
+  }
 
-      V[t][i] = bestVal;
-      action[t][i] = bestK;
+  // Start in the carried-over operating state, or at rest. A carried state
+  // with no feasible continuation (e.g. ramping down into a full battery)
+  // falls back to starting at rest.
+  const i0 = idxFromSoC(E * soc0);
+  let startAux = idleOpAux * nPeak + peakLevelOf(i0);
+  if (initialState) {
+    const mode = dwellActive ? Math.max(0, MODE_NAMES.indexOf(initialState.mode)) : 0;
+    const dwell = Math.max(1, Math.min(dwellCap(mode), initialState.dwell || D));
+    const p = initialState.powerMW || 0;
+    let k0 = null;   // the move in that mode whose grid power is closest to the carried power
+    for (let k = -maxDischK; k <= maxChargeK; k++) {
+      if (encodeAux(mode, dwell, k) < 0) continue;
+      if (k0 === null || Math.abs(gridPowerOfK(k) - p) < Math.abs(gridPowerOfK(k0) - p) - 1e-9) k0 = k;
     }
+    const a = k0 === null ? -1 : encodeAux(mode, dwell, k0) * nPeak + peakLevelOf(i0);
+    if (a >= 0 && V[0][i0 * nAux + a] > -1e14) startAux = a;
   }
 
   // Forward simulate optimal schedule from soc0
@@ -146,31 +834,73 @@ function optimiseBESS_DP({
   let energyCharged = 0.0;
   let energyDischarged = 0.0;
   let cycleCount = 0.0;
+  const fcasRevenue = {};
+  fcasIds.forEach(id => { fcasRevenue[id] = 0; });
+  const pvTotals = hybrid ? { generationMWh: 0, outputMWh: 0, curtailedMWh: 0 } : null;
+  let aux = startAux;
+  const scheduledAux = new Int32Array(T);  // aux state each interval's move leads to
+  // Operating mode and dwell at the end, for carrying into the next window
+  let endMode = initialState ? Math.max(0, MODE_NAMES.indexOf(initialState.mode)) : IDLE_AFTER_CHARGE;
+  let endDwell = initialState ? (initialState.dwell || 1) : D;
 
   for (let t = 0; t < T; t++) {
     const i = idxFromSoC(socSeries[t]);
-    const k = action[t][i];
+    const k = action[t][i * nAux + aux];
     const dSoC = k * dE;
 
     let op = 'hold';
     let buyMWh = 0, sellMWh = 0, cash = 0;
 
     if (k > 0) {
-      buyMWh = dSoC / etaC;                 // grid energy bought
-      cash   = -prices[t] * buyMWh - throughputCost * dSoC;
+      buyMWh = dSoC / etaOfK[k + maxDischK]; // grid energy bought
+      cash   = -buy[t] * buyMWh - throughputCost * dSoC;
       op = 'charge';
       energyCharged += buyMWh;
     } else if (k < 0) {
       const battOut = -dSoC;                // battery-side energy
-      sellMWh = etaD * battOut;             // energy sold to grid
-      cash    =  prices[t] * sellMWh - throughputCost * battOut;
+      sellMWh = etaOfK[k + maxDischK] * battOut; // energy sold to grid
+      cash    =  sell[t] * sellMWh - throughputCost * battOut;
       op = 'discharge';
       energyDischarged += sellMWh;
     }
 
-    revenue   += cash;
+    // Hybrid: settle the site's net flow, with the PV output that went with the move
+    let gridMW = gridPowerOfK(k);
+    let pv = null;
+    if (hybrid) {
+      const site = siteDispatch(t, k) || { pvOutMW: 0, gridMW };
+      const availableMW = pvMW[t] || 0;
+      gridMW = site.gridMW;
+      cash = siteCash(t, gridMW) - throughputCost * Math.abs(dSoC);
+      pv = { availableMW, outputMW: site.pvOutMW, curtailedMW: availableMW - site.pvOutMW };
+      pvTotals.generationMWh += availableMW * dtHours;
+      pvTotals.outputMWh += site.pvOutMW * dtHours;
+      pvTotals.curtailedMWh += pv.curtailedMW * dtHours;
+    }
+
+    // FCAS enablement held alongside the energy move
+    let fcas = null;
+    let fcasCash = 0;
+    if (fcasActive) {
+      fcas = {};
+      fcasCash = fcasValue(fcasAt(t), k, i + k, fcas);
+      fcasIds.forEach(id => { fcasRevenue[id] += fcas[id] * (fcasPrices[id][t] || 0) * dtHours; });
+    }
+
+    revenue   += cash + fcasCash;
     throughput+= Math.abs(dSoC);
     socSeries[t + 1] = socSeries[t] + dSoC;
+    const auxOp = Math.floor(aux / nPeak);
+    const na = nextAux[auxOp * A + k + maxDischK];
+    if (na >= 0) aux = na * nPeak + nextPeak(aux - auxOp * nPeak, i, k);  // stays put only if the start state was infeasible
+    scheduledAux[t] = aux;
+    const mode = k > 0 ? CHARGING
+               : k < 0 ? DISCHARGING
+               : endMode === CHARGING ? IDLE_AFTER_CHARGE
+               : endMode === DISCHARGING ? IDLE_AFTER_DISCH
+               : endMode;
+    endDwell = mode === endMode ? endDwell + 1 : 1;
+    endMode = mode;
 
     flows.push({
       t,
@@ -179,12 +909,23 @@ function optimiseBESS_DP({
       socMWh: socSeries[t + 1],
       buyMWh,
       sellMWh,
+      powerMW: gridPowerOfK(k),
+      gridMW,                // site net flow, +export / -import (= powerMW without PV)
+      pv,                    // { availableMW, outputMW, curtailedMW } (null without PV)
       cash,
+      fcas,                  // MW enabled per FCAS service (null without FCAS)
+      fcasCash,
       socFraction: socSeries[t + 1] / E
     });
   }
 
   // Reservation (best) prices from marginal values with smoothing
+  // Marginal value of stored energy ($/MWh) after interval t, taken at rest
+  const marginalValue = (t, i) => {
+    const vNext = V[t + 1];
+    const at = j => vNext[j * nAux + idleOpAux * nPeak + peakLevelOf(j)];
+    return (i < socSteps - 1 ? (at(i + 1) - at(i)) : (at(i) - at(i - 1))) / dE;
+  };
   const chargeThresh = new Float64Array(T);
   const dischargeThresh = new Float64Array(T);
   
@@ -198,11 +939,9 @@ function optimiseBESS_DP({
     const discharge = new Float64Array(T);
     
     for (let t = 0; t < T; t++) {
-      const vNext = V[t + 1];
-      const i = idx;
-      const m = (i < socSteps - 1 ? (vNext[i + 1] - vNext[i]) : (vNext[i] - vNext[i - 1])) / dE;
-      charge[t] = etaC * m - throughputCost;
-      discharge[t] = (m + throughputCost) / etaD;
+      const m = marginalValue(t, idx);
+      charge[t] = etaC * m - wearCostAt(t);
+      discharge[t] = (m + wearCostAt(t)) / etaD;
     }
     
     reservationBySoC[level] = {
@@ -214,11 +953,37 @@ function optimiseBESS_DP({
   // Use mid-SoC as primary reservation prices
   const midIdx = Math.floor((socSteps - 1) / 2);
   for (let t = 0; t < T; t++) {
-    const vNext = V[t + 1];
-    const i = midIdx;
-    const m = (i < socSteps - 1 ? (vNext[i + 1] - vNext[i]) : (vNext[i] - vNext[i - 1])) / dE;
-    chargeThresh[t]    = etaC * m - throughputCost;
-    dischargeThresh[t] = (m + throughputCost) / etaD;
+    const m = marginalValue(t, midIdx);
+    chargeThresh[t]    = etaC * m - wearCostAt(t);
+    dischargeThresh[t] = (m + wearCostAt(t)) / etaD;
+  }
+
+  // Bid curves at the scheduled SoC: step k out of (into) the battery is worth
+  // selling (buying) above (below) the value it gives up (adds) over the grid
+  // energy of that step, valued in the operating state the schedule moves
+  // into (its peak raised to the SoC reached). Entries are [cumulative MW,
+  // $/MWh] by step.
+  let bidCurves = null;
+  if (withBidCurves) {
+    bidCurves = [];
+    for (let t = 0; t < T; t++) {
+      const vNext = V[t + 1];
+      const opAux = Math.floor(scheduledAux[t] / nPeak);
+      const peak = scheduledAux[t] - opAux * nPeak;
+      const at = j => vNext[j * nAux + opAux * nPeak + Math.max(peak, peakLevelOf(j))];
+      const i = idxFromSoC(socSeries[t]);
+      const wear = wearCostAt(t) * dE;
+      const discharge = [], charge = [];
+      for (let k = 1; k <= kDischCap[i] && i - k >= 0; k++) {
+        const stepMWh = (gridPowerOfK(-k) - gridPowerOfK(-(k - 1))) * dtHours;
+        discharge.push([gridPowerOfK(-k), (at(i - k + 1) - at(i - k) + wear) / stepMWh]);
+      }
+      for (let k = 1; k <= kChargeCap[i] && i + k < socSteps; k++) {
+        const stepMWh = (gridPowerOfK(k - 1) - gridPowerOfK(k)) * dtHours;
+        charge.push([-gridPowerOfK(k), (at(i + k) - at(i + k - 1) - wear) / stepMWh]);
+      }
+      bidCurves.push({ discharge, charge });
+    }
   }
 
   // Smooth the primary reservation prices
@@ -248,17 +1013,29 @@ function optimiseBESS_DP({
   return {
     revenue,
     cycles,
+    degradation: cycleLifeCurve ?
+      rainflowDegradation(socSeries, E, cycleLifeCurve, replacementCostPerMWh) : null,
     socSeries: Array.from(socSeries),
     flows,
-    value0: V[0][idxFromSoC(socSeries[0])],
+    value0: V[0][i0 * nAux + startAux],
+    valueByState: V[0],
+    endState: {
+      mode: MODE_NAMES[endMode],
+      dwell: endDwell,
+      powerMW: flows.length > 0 ? flows[flows.length - 1].powerMW : (initialState ? initialState.powerMW || 0 : 0)
+    },
     reservation: {
       charge: smoothedCharge,
       discharge: smoothedDischarge,
       bySoC: reservationBySoC
     },
+    bidCurves,
     energyCharged,
     energyDischarged,
     energyTraded: energyCharged + energyDischarged,
+    fcasRevenue,
+    fcasRevenueTotal: Object.values(fcasRevenue).reduce((a, b) => a + b, 0),
+    pv: pvTotals,
     avgChargePrice,
     avgDischargePrice,
     avgSpread: effectiveSpread,
@@ -268,18 +1045,403 @@ function optimiseBESS_DP({
       dtHours, 
       capacityMWh: E, 
       powerMW, 
+      importMW,
+      exportMW,
       etaC, 
       etaD, 
       soc0, 
       socT, 
       socSteps, 
       throughputCost,
-      salvagePrice 
+      cycleLifeCurve,
+      replacementCostPerMWh,
+      siteExportMW,
+      gridCharging,
+      salvagePrice,
+      maxCycles,
+      rampRateMW,
+      minRunIntervals,
+      minRestIntervals,
+      initialState,
+      fcasServices: fcasIds,
+      fcasMaxMW: fcasCap,
+      chargePowerCurve,
+      dischargePowerCurve,
+      efficiencyCurve
     },
+    cycleShadowPrice,
     notes: 'DP optimum with salvage value; smoothed reservation prices at multiple SoC levels.'
   };
 }
 
+/**
+ * Auto-scale SoC steps based on C-rate to reduce discretization error
+ */
+function autoSocSteps(capacityMWh, powerMW, dtHours) {
+  const stepsPerInterval = Math.max(6, Math.ceil(capacityMWh / (powerMW * dtHours)));
+  return Math.min(401, Math.max(121, stepsPerInterval * 8));
+}
+
+/**
+ * Stochastic DP over price scenarios.
+ *
+ * Uncertainty is given in one of two forms:
+ *  - `scenarios`: [{ prices, weight }] of equal length. Each interval's price
+ *    is drawn from the scenarios' prices for that interval (a recombining
+ *    tree); decisions see the current interval's price but none after it.
+ *  - `tree`: { prices, probability, children } nodes. A node's prices are
+ *    revealed on entering it; children are the branches that follow, with
+ *    probabilities relative to their parent. Each root-to-leaf path is a
+ *    scenario.
+ * Either way the policy is non-anticipative: it acts on the SoC and the
+ * prices revealed so far. The battery is modelled on SoC alone (no ramp or
+ * min-run state) and ends at socT (default: back to soc0). maxCycles bounds
+ * the expected throughput across scenarios, not each scenario's: one branch,
+ * or a day the policy is simulated on, can cycle more than maxCycles.
+ *
+ * Each scenario is also solved with perfect foresight (optimiseBESS_DP) so the
+ * value of foresight can be reported; pass evaluatePerfectForesight: false to
+ * skip this.
+ *
+ * @returns {Object} { expectedRevenue, perfectForesightRevenue, foresightGap,
+ *   scenarios: [{ weight, prices, revenue, throughput, perfectForesightRevenue }],
+ *   policy: { decide(t, socMWh, price, branch) => SoC change (MWh),
+ *             simulate(prices, branch) => { revenue, throughput, cycles, socSeries } }, ... }
+ */
+function optimiseBESS_Stochastic(args) {
+  const { evaluatePerfectForesight = true } = args;
+  const result = withCycleBudget(solveStochastic, args);
+  if (!evaluatePerfectForesight) return result;
+
+  const { dtHours, capacityMWh, importMW, exportMW, etaC, etaD, soc0, socT, socSteps, throughputCost } = result.settings;
+  let perfectForesightRevenue = 0;
+  result.scenarios.forEach(scenario => {
+    scenario.perfectForesightRevenue = optimiseBESS_DP({
+      prices: scenario.prices,
+      dtHours, capacityMWh, importMW, exportMW, etaC, etaD, soc0, socT, socSteps, throughputCost,
+      maxCycles: args.maxCycles ?? null
+    }).revenue;
+    perfectForesightRevenue += scenario.weight * scenario.perfectForesightRevenue;
+  });
+  result.perfectForesightRevenue = perfectForesightRevenue;
+  result.foresightGap = perfectForesightRevenue - result.expectedRevenue;
+  return result;
+}
+
+/**
+ * Receding-horizon (model-predictive) operation over one day. At interval t
+ * the optimiser knows the realised prices before t and a forecast for t to
+ * the end of the day. It solves the rest of the day on the forecast with
+ * optimiseBESS_DP, commits the plan's first move and settles it at the
+ * realised price, then re-solves from the SoC it reached. With
+ * resolveIntervals > 1 the plan is followed that many intervals between
+ * solves. As in optimiseBESS_Stochastic the battery is modelled on SoC alone
+ * (no ramp or min-run state). Per-interval inputs (buyPrices, sellPrices,
+ * availability, socFloorMWh, importCapMW) are cut to the rest of the day for
+ * each plan. Network charges and loss factors are known ahead, so a plan's
+ * buy and sell prices are the forecast plus their realised margin over
+ * prices, and moves settle at the realised buy and sell prices. PV, FCAS and
+ * demand charges are not modelled and are rejected. maxCycles bounds the day's
+ * throughput: the cycle shadow price is calibrated on the first plan and
+ * reused by later ones, which are recalibrated on what is left of the budget
+ * only when their plan would overrun it. Every plan ends at socT.
+ *
+ * The same day solved with perfect foresight gives the capture ratio:
+ * realised revenue as a share of the optimum. Pass
+ * evaluatePerfectForesight: false to skip it.
+ *
+ * @param {Object} args - optimiseBESS_DP arguments plus
+ *   forecast(t, realised) => forecast prices for intervals t..T-1, where
+ *   realised is the prices before t; resolveIntervals (default 1)
+ * @returns {Object} { revenue, throughput, cycles, socSeries, flows, solves,
+ *   calibrations, perfectForesightRevenue, captureRatio }
+ */
+function optimiseBESS_MPC({ forecast, resolveIntervals = 1, evaluatePerfectForesight = true, ...args }) {
+  const { prices, capacityMWh, soc0 = 0, socT = 0, throughputCost = 0, maxCycles = null } = args;
+  const T = prices.length;
+  const E = capacityMWh;
+  // Fixed SoC grid so every plan's moves land on the same levels
+  const socSteps = args.socSteps || autoSocSteps(E, Math.max(args.importMW || args.powerMW, args.exportMW || args.powerMW),
+                                                  args.dtHours || 5/60);
+  const budget = maxCycles === null ? null : 2 * E * maxCycles;
+  const unsupported = ['pvMW', 'fcasPrices', 'demandCharges']
+    .filter(name => args[name] && Object.keys(args[name]).length > 0);
+  if (unsupported.length > 0) {
+    throw new Error(`optimiseBESS_MPC does not model ${unsupported.join(', ')}`);
+  }
+  const buyPrices = args.buyPrices || prices;
+  const sellPrices = args.sellPrices || prices;
+  const solveArgs = { ...args, socSteps, lookaheadPrices: null, withBidCurves: false };
+  // Forecast of a price series that differs from prices by a known margin
+  const withMargin = (series, ahead, t) => series === prices ? ahead :
+    ahead.map((p, j) => p + series[t + j] - prices[t + j]);
+  const fromT = (series, t) => series ? series.slice(t) : series;
+
+  let soc = E * soc0;
+  let revenue = 0, throughput = 0, solves = 0;
+  let plan = null, planStart = 0;
+  let shadowPrice = null, calibrations = 0;
+  const socSeries = [soc];
+  const flows = [];
+
+  for (let t = 0; t < T; t++) {
+    if (!plan || t - planStart >= resolveIntervals) {
+      const realised = prices.slice(0, t);
+      const ahead = forecast(t, realised).slice(0, T - t);
+      while (ahead.length < T - t) ahead.push(ahead.length > 0 ? ahead[ahead.length - 1] : 0);
+      const planArgs = {
+        ...solveArgs,
+        prices: ahead,
+        buyPrices: withMargin(buyPrices, ahead, t),
+        sellPrices: withMargin(sellPrices, ahead, t),
+        availability: fromT(args.availability, t),
+        socFloorMWh: fromT(args.socFloorMWh, t),
+        importCapMW: fromT(args.importCapMW, t),
+        soc0: Math.min(1, Math.max(0, soc / E)),
+        socT,
+        maxCycles: null
+      };
+      if (budget === null) {
+        plan = optimiseBESS_DP(planArgs);
+      } else {
+        const remaining = Math.max(0, budget - throughput);
+        plan = shadowPrice === null ? null : optimiseBESS_DP({ ...planArgs, cycleShadowPrice: shadowPrice });
+        if (!plan || plan.throughput > remaining + 1e-6) {
+          plan = optimiseBESS_DP({ ...planArgs, maxCycles: remaining / (2 * E) });
+          shadowPrice = plan.cycleShadowPrice;
+          calibrations++;
+        }
+      }
+      planStart = t;
+      solves++;
+    }
+
+    // Commit the plan's move and settle it at the realised prices
+    const move = plan.flows[t - planStart];
+    const dSoC = move.socMWh - (t === planStart ? plan.socSeries[0] : plan.flows[t - planStart - 1].socMWh);
+    const cash = sellPrices[t] * move.sellMWh - buyPrices[t] * move.buyMWh - throughputCost * Math.abs(dSoC);
+    soc = Math.min(E, Math.max(0, soc + dSoC));
+    revenue += cash;
+    throughput += Math.abs(dSoC);
+    socSeries.push(soc);
+    flows.push({ t, price: prices[t], forecastPrice: plan.flows[t - planStart].price, op: move.op,
+                 socMWh: soc, buyMWh: move.buyMWh, sellMWh: move.sellMWh, powerMW: move.powerMW, cash });
+  }
+
+  const result = { revenue, throughput, cycles: throughput / (2 * E), socSeries, flows, solves, calibrations };
+  if (evaluatePerfectForesight) {
+    result.perfectForesightRevenue = optimiseBESS_DP({ ...solveArgs, soc0, socT, maxCycles }).revenue;
+    result.captureRatio = result.perfectForesightRevenue > 0 ? revenue / result.perfectForesightRevenue : null;
+  }
+  return result;
+}
+
+/**
+ * Single stochastic DP solve for a fixed cycle shadow price
+ * (see optimiseBESS_Stochastic).
+ */
+function solveStochastic({
+  scenarios = null,       // [{ prices, weight }] (recombining)
+  tree = null,            // { prices, probability, children } (non-recombining)
+  dtHours = 5/60,
+  capacityMWh,
+  powerMW = null,
+  importMW = powerMW,     // grid-side charge limit
+  exportMW = null,        // grid-side discharge limit (null = etaD × powerMW, as optimiseBESS_DP)
+  etaC = 0.97,
+  etaD = 0.97,
+  soc0 = 0.5,             // initial SoC fraction
+  socT = null,            // terminal SoC fraction (null = back to soc0)
+  socSteps = null,
+  throughputCost = 0.0,   // $ per MWh of battery-side throughput
+  cycleShadowPrice = 0.0  // $/MWh Lagrange multiplier on throughput (decisions only)
+}) {
+  if (socT === null || socT === undefined) socT = soc0;
+  if (exportMW === null) exportMW = etaD * powerMW;
+  if (socSteps === null) socSteps = autoSocSteps(capacityMWh, Math.max(importMW, exportMW), dtHours);
+
+  const E = capacityMWh;
+  const dE = E / (socSteps - 1);
+  const idxFromSoC = s => Math.max(0, Math.min(socSteps - 1, Math.round(s / dE)));
+  const maxChargeK = Math.max(1, Math.floor(etaC * importMW * dtHours / dE));
+  const maxDischK  = Math.max(1, Math.floor(exportMW * dtHours / etaD / dE));
+
+  // Scenario tree with normalised branch probabilities; the recombining form
+  // becomes one node per interval whose price outcomes are the scenarios
+  let root = null;
+  let stages = null;
+  if (tree) {
+    const build = (node, start) => {
+      const n = {
+        prices: node.prices,
+        start,
+        children: [],
+        probs: [],
+        V: null
+      };
+      const kids = node.children || [];
+      const total = kids.reduce((sum, c) => sum + (c.probability ?? 1), 0);
+      kids.forEach(c => {
+        n.children.push(build(c, start + node.prices.length));
+        n.probs.push((c.probability ?? 1) / total);
+      });
+      return n;
+    };
+    root = build(tree, 0);
+  } else {
+    const total = scenarios.reduce((sum, sc) => sum + (sc.weight ?? 1), 0);
+    const weights = scenarios.map(sc => (sc.weight ?? 1) / total);
+    const T = scenarios[0].prices.length;
+    stages = Array.from({ length: T }, (_, t) => ({
+      prices: scenarios.map(sc => sc.prices[t]),
+      weights
+    }));
+  }
+  const depth = n => n.prices.length + Math.max(0, ...n.children.map(depth));
+  const T = root ? depth(root) : stages.length;
+  const wearCostAt = t => throughputCost + cycleShadowPrice * (1 + 1e-3 * t / T);
+
+  // Interval reward of each move at price p, indexed k + maxDischK
+  const rewardsAt = (p, t, out = new Float64Array(maxDischK + maxChargeK + 1)) => {
+    const wear = wearCostAt(t);
+    for (let k = -maxDischK; k <= maxChargeK; k++) {
+      const thr = Math.abs(k) * dE;
+      out[k + maxDischK] = (k > 0 ? -p * thr / etaC : k < 0 ? p * etaD * thr : 0) - wear * thr;
+    }
+    return out;
+  };
+
+  // Best value from SoC index i given move rewards and continuation vNext;
+  // the chosen move is left in bestK
+  let bestK = 0;
+  const bestValue = (reward, i, vNext) => {
+    const kMin = -Math.min(maxDischK, i);
+    const kMax = Math.min(maxChargeK, socSteps - 1 - i);
+    let bestVal = -1e15;
+    bestK = 0;
+    for (let k = kMin; k <= kMax; k++) {
+      const next = vNext[i + k];
+      if (next <= -1e14) continue;
+      const val = reward[k + maxDischK] + next;
+      if (val > bestVal) {
+        bestVal = val;
+        bestK = k;
+      }
+    }
+    return bestVal;
+  };
+
+  // Backward induction
+  const terminal = new Float64Array(socSteps).fill(-1e15);
+  terminal[idxFromSoC(E * socT)] = 0.0;
+
+  if (root) {
+    const solveNode = n => {
+      let vEnd = terminal;
+      if (n.children.length > 0) {
+        vEnd = new Float64Array(socSteps);
+        n.children.forEach((c, j) => {
+          const v0 = solveNode(c);
+          for (let i = 0; i < socSteps; i++) vEnd[i] += n.probs[j] * v0[i];
+        });
+      }
+      n.V = new Array(n.prices.length + 1);
+      n.V[n.prices.length] = vEnd;
+      const reward = new Float64Array(maxDischK + maxChargeK + 1);
+      for (let t = n.prices.length - 1; t >= 0; t--) {
+        const v = new Float64Array(socSteps);
+        rewardsAt(n.prices[t], n.start + t, reward);
+        for (let i = 0; i < socSteps; i++) v[i] = bestValue(reward, i, n.V[t + 1]);
+        n.V[t] = v;
+      }
+      return n.V[0];
+    };
+    solveNode(root);
+  } else {
+    let vNext = terminal;
+    const rewards = scenarios.map(() => new Float64Array(maxDischK + maxChargeK + 1));
+    for (let t = T - 1; t >= 0; t--) {
+      const stage = stages[t];
+      const v = new Float64Array(socSteps);
+      stage.prices.forEach((p, j) => rewardsAt(p, t, rewards[j]));
+      for (let i = 0; i < socSteps; i++) {
+        let expected = 0;
+        for (let j = 0; j < stage.prices.length; j++) {
+          expected += stage.weights[j] * bestValue(rewards[j], i, vNext);
+        }
+        v[i] = Math.max(-1e15, expected);
+      }
+      stage.vNext = vNext;
+      vNext = v;
+    }
+  }
+
+  // Non-anticipative policy: SoC change (MWh) at interval t given the SoC, the
+  // revealed price and, for a tree, the branches taken so far
+  const decide = (t, socMWh, price, branch = []) => {
+    const i = idxFromSoC(socMWh);
+    if (!root) {
+      bestValue(rewardsAt(price, t), i, stages[t].vNext);
+      return bestK * dE;
+    }
+    let n = root, b = 0;
+    while (t >= n.start + n.prices.length && n.children.length > 0) n = n.children[branch[b++] || 0];
+    const local = t - n.start;
+    bestValue(rewardsAt(n.prices[local], t), i, n.V[local + 1]);
+    return bestK * dE;
+  };
+
+  // Simulate the policy along every scenario
+  const paths = [];
+  if (root) {
+    const walk = (n, weight, prices, branch) => {
+      const all = prices.concat(n.prices);
+      if (n.children.length === 0) paths.push({ weight, prices: all, branch });
+      n.children.forEach((c, j) => walk(c, weight * n.probs[j], all, branch.concat(j)));
+    };
+    walk(root, 1, [], []);
+  } else {
+    scenarios.forEach((sc, j) => paths.push({ weight: stages[0].weights[j], prices: sc.prices, branch: [] }));
+  }
+
+  // Follow the policy along one price path (a scenario, or prices it was not solved on)
+  const simulate = (prices, branch = []) => {
+    let soc = idxFromSoC(E * soc0) * dE;
+    let revenue = 0, throughput = 0;
+    const socSeries = [soc];
+    prices.forEach((p, t) => {
+      const dSoC = decide(t, soc, p, branch);
+      if (dSoC > 0) revenue -= p * dSoC / etaC;
+      else if (dSoC < 0) revenue += p * etaD * -dSoC;
+      revenue -= throughputCost * Math.abs(dSoC);
+      throughput += Math.abs(dSoC);
+      soc += dSoC;
+      socSeries.push(soc);
+    });
+    return { revenue, throughput, cycles: throughput / (2 * E), socSeries };
+  };
+
+  let expectedRevenue = 0, expectedThroughput = 0;
+  const results = paths.map(path => {
+    const outcome = simulate(path.prices, path.branch);
+    expectedRevenue += path.weight * outcome.revenue;
+    expectedThroughput += path.weight * outcome.throughput;
+    return { weight: path.weight, prices: path.prices, ...outcome };
+  });
+
+  return {
+    expectedRevenue,
+    revenue: expectedRevenue,
+    throughput: expectedThroughput,
+    cycles: expectedThroughput / (2 * E),
+    scenarios: results,
+    policy: { decide, simulate },
+    cycleShadowPrice,
+    settings: { dtHours, capacityMWh: E, powerMW, importMW, exportMW, etaC, etaD, soc0, socT, socSteps, throughputCost },
+    notes: 'Stochastic DP; decisions see only prices revealed so far.'
+  };
+}
+
 /**
  * Smooth reservation prices to reduce flip-flopping
  * Uses median filter with window size k
@@ -295,124 +1457,205 @@ function smoothReservationPrices(arr, k = 3) {
   return out;
 }
 
+// Log-spaced shadow prices tried below the bracket when throughput is not
+// monotone in the shadow price
+const CALIBRATION_GRID_POINTS = 24;
+
 /**
- * Calibrate throughput cost using bisection to achieve target cycles
+ * Calibrate the cycle shadow price: the cheapest $/MWh on battery-side
+ * throughput (decisions only, never charged to revenue) whose schedule keeps
+ * to targetCycles a day, i.e. 2 × capacity × targetCycles of throughput.
+ *
+ * The bracket starts at $1/MWh and expands ×4 until the target is met,
+ * then bisects, stopping once the budget is filled to within one interval's
+ * throughput. Throughput usually falls as the price rises, but ties on flat
+ * prices can break that; if any two solves disagree, a log grid below the
+ * bracket top is searched and the fitting schedule with the most revenue
+ * wins.
+ *
+ * @param {Array} prices - $/MWh per interval
+ * @param {number} targetCycles - full cycles per day
+ * @param {Object} dpArgs - solver arguments (capacityMWh etc.)
+ * @param {Function} solve - solver taking dpArgs plus cycleShadowPrice
+ *   (default: the single-day DP without demand charges)
+ * @returns {Object} { shadowPrice, cycles, method: 'unconstrained' |
+ *   'bisection' | 'grid' | 'infeasible', monotonic, solves, result }
  */
-function calibrateThroughputCost(prices, targetCycles, dpArgs) {
-  const targetThroughput = 2 * dpArgs.capacityMWh * targetCycles;
-  let lo = 0, hi = 200; // $/MWh search bracket
-  
-  // Binary search for the right throughput cost
-  for (let iter = 0; iter < 16; iter++) {
+function calibrateThroughputCost(prices, targetCycles, dpArgs, solve = solveBESS_DP) {
+  const budget = 2 * dpArgs.capacityMWh * targetCycles;
+  const fits = r => r.throughput <= budget + 1e-6;
+
+  const samples = [];
+  const solveAt = shadowPrice => {
+    const result = solve({ ...dpArgs, prices, cycleShadowPrice: shadowPrice });
+    samples.push({ shadowPrice, result });
+    return result;
+  };
+  // Throughput never rises with the shadow price across the solves so far
+  const monotonic = () => [...samples]
+    .sort((a, b) => a.shadowPrice - b.shadowPrice)
+    .every((s, i, sorted) => i === 0 || s.result.throughput <= sorted[i - 1].result.throughput + 1e-6);
+  const calibrated = (result, shadowPrice, method) => ({
+    shadowPrice,
+    cycles: result.cycles,
+    method,
+    monotonic: monotonic(),
+    solves: samples.length,
+    result
+  });
+
+  const unconstrained = solveAt(0);
+  if (fits(unconstrained)) return calibrated(unconstrained, 0, 'unconstrained');
+
+  // Expand the bracket until the cycle budget is met
+  let lo = 0, hi = 1;
+  let best = solveAt(hi);
+  while (!fits(best) && hi < 1e6) {
+    lo = hi;
+    hi *= 4;
+    best = solveAt(hi);
+  }
+  if (!fits(best)) {
+    // Terminal SoC requirements force more throughput than the budget allows
+    best.notes += ' Cycle limit infeasible for the requested terminal SoC.';
+    return calibrated(best, hi, 'infeasible');
+  }
+
+  // Bisect for the smallest price whose schedule still fits the budget,
+  // stopping once the budget is filled to within one interval's throughput
+  const granularity = Math.max(dpArgs.importMW ?? dpArgs.powerMW, dpArgs.exportMW ?? dpArgs.powerMW) *
+    (dpArgs.dtHours || 5/60);
+  let bestPrice = hi;
+  for (let iter = 0; iter < 32 && hi - lo > 1e-6 * hi && monotonic(); iter++) {
     const mid = (lo + hi) / 2;
-    const result = optimiseBESS_DP({ 
-      ...dpArgs, 
-      prices, 
-      throughputCost: mid 
-    });
-    
-    if (result.throughput > targetThroughput) {
-      lo = mid; // Need higher cost to reduce throughput
+    const result = solveAt(mid);
+    if (fits(result)) {
+      hi = mid;
+      best = result;
+      bestPrice = mid;
+      if (result.throughput >= budget - granularity) break;
     } else {
-      hi = mid; // Need lower cost to increase throughput
+      lo = mid;
     }
   }
-  
-  return (lo + hi) / 2;
+  if (monotonic()) return calibrated(best, bestPrice, 'bisection');
+
+  // Not monotone: the bisection's bracket may have skipped better prices
+  for (let k = 0; k < CALIBRATION_GRID_POINTS; k++) {
+    solveAt(hi * Math.pow(10, -4 * k / (CALIBRATION_GRID_POINTS - 1)));
+  }
+  const winner = samples
+    .filter(s => fits(s.result))
+    .reduce((a, b) => b.result.revenue > a.result.revenue ||
+      (b.result.revenue === a.result.revenue && b.shadowPrice < a.shadowPrice) ? b : a);
+  return calibrated(winner.result, winner.shadowPrice, 'grid');
 }
 
 /**
- * Clean and validate price data
- * @param {Array} prices - Raw price data
- * @param {Object} options - Processing options
- * @param {boolean} options.clamp - Whether to clamp prices to market limits (default: false)
- * @param {boolean} options.despike - Whether to apply median filter (default: false)
+ * Calculate realistic degradation cost from battery economics
  */
-function cleanPrices(prices, options = {}) {
-  const { clamp = false, despike = false } = options;
-  const FLOOR = -1000;
-  const CAP = 16600;
-  
-  // First pass: handle nulls and NaNs
-  let cleaned = prices.map(p => {
-    if (p === null || isNaN(p)) return 0;
-    if (clamp) {
-      return Math.max(FLOOR, Math.min(CAP, p));
-    }
-    return p;
-  });
-  
-  // Optional: 3-point median filter for de-spiking
-  if (despike) {
-    const filtered = new Array(cleaned.length);
-    for (let i = 0; i < cleaned.length; i++) {
-      if (i === 0 || i === cleaned.length - 1) {
-        filtered[i] = cleaned[i];
-      } else {
-        const window = [cleaned[i-1], cleaned[i], cleaned[i+1]].sort((a,b) => a-b);
-        filtered[i] = window[1]; // median
-      }
-    }
-    return filtered;
-  }
-  
-  return cleaned;
+function calculateDegradationCost(packCostPerKWh, usableDoD, cycleLife, omPerMWh = 5) {
+  // throughputCost ($/MWh) = (PackCost $/kWh) / (UsableDoD * CycleLife) * 1000 + O&M
+  const degradation = (packCostPerKWh / (usableDoD * cycleLife)) * 1000;
+  return degradation + omPerMWh;
 }
 
 /**
- * Post-process to enforce minimum run length
+ * Damage per cycle (1 / cycle life) at a depth of discharge, interpolated
+ * from a [[depth, cycles to end of life]] table, zero at depth 0 and held
+ * flat beyond the deepest point.
  */
-function enforceMinRun(flows, minRunIntervals = 3) {
-  let i = 0;
-  const processed = [...flows];
-  
-  while (i < processed.length) {
-    const currentOp = processed[i].op;
-    
-    if (currentOp !== 'hold') {
-      // Find the end of this operation run
-      let runLength = 1;
-      while (i + runLength < processed.length && 
-             processed[i + runLength].op === currentOp) {
-        runLength++;
-      }
-      
-      // If run is too short, convert to hold
-      if (runLength < minRunIntervals) {
-        for (let j = i; j < i + runLength; j++) {
-          processed[j].op = 'hold';
-          processed[j].buyMWh = 0;
-          processed[j].sellMWh = 0;
-          processed[j].cash = 0;
-        }
+function cycleDamageAt(cycleLifeCurve, depth) {
+  const points = [[0, 0]].concat(cycleLifeCurve
+    .filter(([dod, cycles]) => dod > 0 && cycles > 0)
+    .map(([dod, cycles]) => [dod, 1 / cycles]));
+  return points.length > 1 ? interpolateCurve(points, depth) : 0;
+}
+
+/**
+ * Rainflow cycle counting (ASTM E1049 three-point method) of an SoC series.
+ * @returns {Array} [{ depth, count }]: depth as a fraction of capacity, count
+ *   1 for closed cycles and 0.5 for the half cycles left in the residue
+ */
+function rainflowCycles(socSeries, capacityMWh) {
+  // Reversals only: drop repeats and points inside a monotone run
+  const reversals = [];
+  for (const soc of socSeries) {
+    const x = soc / capacityMWh;
+    const n = reversals.length;
+    if (n > 0 && Math.abs(x - reversals[n - 1]) < 1e-9) continue;
+    if (n > 1 && (x - reversals[n - 1]) * (reversals[n - 1] - reversals[n - 2]) > 0) reversals[n - 1] = x;
+    else reversals.push(x);
+  }
+
+  const cycles = [];
+  const stack = [];
+  for (const x of reversals) {
+    stack.push(x);
+    while (stack.length >= 3) {
+      const n = stack.length;
+      const latest = Math.abs(stack[n - 1] - stack[n - 2]);
+      const previous = Math.abs(stack[n - 2] - stack[n - 3]);
+      if (latest < previous) break;
+      if (n === 3) {
+        cycles.push({ depth: previous, count: 0.5 });
+        stack.shift();
+      } else {
+        cycles.push({ depth: previous, count: 1 });
+        stack.splice(n - 3, 2);
       }
-      
-      i += runLength;
-    } else {
-      i++;
     }
   }
-  
-  return processed;
+  for (let n = 1; n < stack.length; n++) {
+    cycles.push({ depth: Math.abs(stack[n] - stack[n - 1]), count: 0.5 });
+  }
+  return cycles;
 }
 
 /**
- * Calculate realistic degradation cost from battery economics
+ * Degradation of an SoC series under a cycle-life-vs-DoD curve: rainflow
+ * cycles, each consuming 1 / cycle life at its depth, priced at the
+ * replacement cost of the pack.
+ * @returns {{ cycles, equivalentFullCycles, damage, cost }} damage as the
+ *   fraction of life consumed, cost in $
  */
-function calculateDegradationCost(packCostPerKWh, usableDoD, cycleLife, omPerMWh = 5) {
-  // throughputCost ($/MWh) = (PackCost $/kWh) / (UsableDoD * CycleLife) * 1000 + O&M
-  const degradation = (packCostPerKWh / (usableDoD * cycleLife)) * 1000;
-  return degradation + omPerMWh;
+function rainflowDegradation(socSeries, capacityMWh, cycleLifeCurve, replacementCostPerMWh) {
+  const cycles = rainflowCycles(socSeries, capacityMWh);
+  let damage = 0;
+  let equivalentFullCycles = 0;
+  cycles.forEach(({ depth, count }) => {
+    damage += count * cycleDamageAt(cycleLifeCurve, depth);
+    equivalentFullCycles += count * depth;
+  });
+  return {
+    cycles,
+    equivalentFullCycles,
+    damage,
+    cost: damage * replacementCostPerMWh * capacityMWh
+  };
 }
 
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     optimiseBESS_DP,
+    optimiseBESS_Stochastic,
+    optimiseBESS_MPC,
+    FCAS_SERVICES,
+    DP_STATE_LIMIT,
+    MIN_SOC_STEPS,
+    dpStateCount,
+    coarsestSocSteps,
+    fitsDPStateLimit,
+    terminalReferencePrice,
+    autoSocSteps,
     calibrateThroughputCost,
-    cleanPrices,
-    enforceMinRun,
     calculateDegradationCost,
-    smoothReservationPrices
+    smoothReservationPrices,
+    interpolateCurve,
+    gridPowerOfSoCChange,
+    cycleDamageAt,
+    rainflowCycles,
+    rainflowDegradation
   };
 }
\ No newline at end of file
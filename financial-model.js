@@ -0,0 +1,158 @@
+/**
+ * Project economics for the analysed battery: yearly cashflows from CAPEX,
+ * OPEX, augmentation and company tax around the analysed revenue, and the
+ * NPV, IRR, payback and levelised cost of storage they give.
+ * Pure functions of their inputs; nothing here touches the DOM.
+ */
+
+/**
+ * Net present value at `rate` of cashflows indexed by year (year 0 undiscounted)
+ */
+function npvOf(rate, cashflows) {
+    return cashflows.reduce((sum, cash, year) => sum + cash / Math.pow(1 + rate, year), 0);
+}
+
+/**
+ * Internal rate of return: the rate where NPV is zero, by bisection between
+ * -99% and 1000%. Null when NPV does not change sign over that range (e.g.
+ * the project never pays back).
+ */
+function irrOf(cashflows) {
+    let lo = -0.99;
+    let hi = 10;
+    let npvLo = npvOf(lo, cashflows);
+    if (npvLo * npvOf(hi, cashflows) > 0) return null;
+    for (let iter = 0; iter < 200 && hi - lo > 1e-12; iter++) {
+        const mid = (lo + hi) / 2;
+        const npvMid = npvOf(mid, cashflows);
+        if (npvMid * npvLo > 0) {
+            lo = mid;
+            npvLo = npvMid;
+        } else {
+            hi = mid;
+        }
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Yearly cashflows and project metrics.
+ *
+ * project: the analysed battery and its first-year operation
+ *   { powerMW, capacityMWh, annualRevenue ($, net of network charges),
+ *     annualDischargeMWh, annualCycles }
+ * finance: { capexPerKW, capexPerKWh, fixedOpexPerKWYear, variableOpexPerMWh
+ *   ($ per MWh discharged), augmentationPerKWh, augmentationThreshold (SoH
+ *   fraction that triggers augmentation back to nameplate),
+ *   calendarFadePerYear, cycleFadePerCycle (fractions, as in
+ *   ageStateOfHealth), lifeYears, discountRate, escalation (per year, on
+ *   revenue and costs), taxRate, depreciationYears }
+ *
+ * Revenue and discharge scale with the year's average state of health.
+ * CAPEX is depreciated straight line; augmentation is deducted in the year
+ * it is bought. Tax losses carry forward. NPV, IRR and payback are after
+ * tax; LCOS is the pre-tax cost per MWh discharged, discounted at
+ * discountRate.
+ */
+function buildProjectCashflows(project, finance) {
+    const { powerMW, capacityMWh, annualRevenue, annualDischargeMWh, annualCycles } = project;
+    const {
+        capexPerKW = 0,
+        capexPerKWh = 0,
+        fixedOpexPerKWYear = 0,
+        variableOpexPerMWh = 0,
+        augmentationPerKWh = 0,
+        augmentationThreshold = 0,
+        calendarFadePerYear = 0,
+        cycleFadePerCycle = 0,
+        lifeYears = 20,
+        discountRate = 0.08,
+        escalation = 0,
+        taxRate = 0,
+        depreciationYears = lifeYears
+    } = finance;
+
+    const capex = capexPerKW * powerMW * 1000 + capexPerKWh * capacityMWh * 1000;
+    const fadePerYear = calendarFadePerYear + cycleFadePerCycle * annualCycles;
+
+    const years = [];
+    let soh = 1;
+    let lossesCarried = 0;
+    let cumulative = -capex;
+    let discountedCosts = capex;
+    let discountedDischarge = 0;
+
+    for (let year = 1; year <= lifeYears; year++) {
+        const growth = Math.pow(1 + escalation, year - 1);
+        const discount = Math.pow(1 + discountRate, year);
+        const sohStart = soh;
+        soh = Math.max(0, soh - fadePerYear);
+        const avgSoH = (sohStart + soh) / 2;
+
+        const revenue = annualRevenue * avgSoH * growth;
+        const dischargeMWh = annualDischargeMWh * avgSoH;
+        const fixedOpex = fixedOpexPerKWYear * powerMW * 1000 * growth;
+        const variableOpex = variableOpexPerMWh * dischargeMWh * growth;
+
+        // Restore nameplate at the end of the year once SoH is below the threshold
+        let augmentation = 0;
+        if (year < lifeYears && soh < augmentationThreshold) {
+            augmentation = (1 - soh) * capacityMWh * 1000 * augmentationPerKWh * growth;
+            soh = 1;
+        }
+
+        const ebitda = revenue - fixedOpex - variableOpex - augmentation;
+        const depreciation = year <= depreciationYears ? capex / depreciationYears : 0;
+        const taxable = ebitda - depreciation - lossesCarried;
+        lossesCarried = Math.max(0, -taxable);
+        const tax = taxRate * Math.max(0, taxable);
+        const cashflow = ebitda - tax;
+        cumulative += cashflow;
+        discountedCosts += (fixedOpex + variableOpex + augmentation) / discount;
+        discountedDischarge += dischargeMWh / discount;
+
+        years.push({
+            year,
+            stateOfHealth: avgSoH,
+            revenue,
+            dischargeMWh,
+            fixedOpex,
+            variableOpex,
+            augmentation,
+            ebitda,
+            depreciation,
+            tax,
+            cashflow,
+            cumulative,
+            discountedCashflow: cashflow / discount
+        });
+    }
+
+    // Payback: the year cumulative cash turns positive, interpolated within it
+    let paybackYears = null;
+    const paid = years.find(y => y.cumulative >= 0);
+    if (capex === 0) {
+        paybackYears = 0;
+    } else if (paid) {
+        paybackYears = paid.year - 1 + (paid.cashflow - paid.cumulative) / paid.cashflow;
+    }
+
+    const cashflows = [-capex, ...years.map(y => y.cashflow)];
+    return {
+        capex,
+        years,
+        npv: npvOf(discountRate, cashflows),
+        irr: irrOf(cashflows),
+        paybackYears,
+        lcos: discountedDischarge > 0 ? discountedCosts / discountedDischarge : null
+    };
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        npvOf,
+        irrOf,
+        buildProjectCashflows
+    };
+}
@@ -0,0 +1,56 @@
+export async function onRequestGet({ request }) {
+  const url = new URL(request.url);
+
+  // Forecasts are built by nem-harvester from its stored history
+  const harvesterUrl = new URL('https://nem-harvester.eddie-37d.workers.dev/api/forecast');
+  for (const param of ['region', 'date', 'horizon', 'model']) {
+    const value = url.searchParams.get(param);
+    if (value) harvesterUrl.searchParams.set(param, value);
+  }
+
+  try {
+    const response = await fetch(harvesterUrl.toString(), {
+      headers: {
+        'User-Agent': 'LeTool/1.0'
+      }
+    });
+    const data = await response.json();
+
+    return new Response(JSON.stringify(data), {
+      status: data.success ? 200 : 404,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': data.success ? 'public, max-age=3600' : 'no-cache',
+      },
+    });
+
+  } catch (error) {
+    console.error('NEM Harvester forecast failed:', error);
+
+    return new Response(JSON.stringify({
+      success: false,
+      source: 'error',
+      message: 'No forecast available - harvester temporarily unavailable',
+      error: error.message
+    }), {
+      status: 503,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-cache',
+      },
+    });
+  }
+}
+
+// Handle preflight requests
+export async function onRequestOptions({ request }) {
+  return new Response(null, {
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type',
+    },
+  });
+}
@@ -0,0 +1,214 @@
+/**
+ * NEM market price settings and the price cleaning that applies them: the
+ * market price cap and floor, and the cumulative price threshold (CPT) that
+ * starts an administered price period, for each financial year; and the
+ * time-weighted trading prices that settled the market before five-minute
+ * settlement. Pure functions of their inputs; nothing here touches the DOM.
+ */
+
+// Reliability settings by financial year (named by the year it ends, as
+// financialYearOf in arbitrage-core.js), $/MWh except the CPT ($ summed over
+// the CPT window). Years before the first use the first, later years the last.
+const MARKET_RULES = {
+    2022: { marketPriceCap: 15100, marketPriceFloor: -1000, cumulativePriceThreshold: 1359100, administeredPriceCap: 300 },
+    2023: { marketPriceCap: 15500, marketPriceFloor: -1000, cumulativePriceThreshold: 1398100, administeredPriceCap: 300 },
+    2024: { marketPriceCap: 16600, marketPriceFloor: -1000, cumulativePriceThreshold: 1490000, administeredPriceCap: 600 },
+    2025: { marketPriceCap: 17500, marketPriceFloor: -1000, cumulativePriceThreshold: 1573700, administeredPriceCap: 600 },
+    2026: { marketPriceCap: 20300, marketPriceFloor: -1000, cumulativePriceThreshold: 1823600, administeredPriceCap: 600 }
+};
+
+// Settings changed part way through a financial year: from each date (YYYY-MM-DD)
+// the settings given replace the year's
+const MARKET_RULE_CHANGES = {
+    // The administered price cap rose to $600 on 1 December 2022
+    2023: [{ from: '2022-12-01', administeredPriceCap: 600 }]
+};
+
+// The CPT is compared with the sum of the last seven days of 5-minute prices
+const CPT_WINDOW_INTERVALS = 2016;
+// An administered price period runs to the end of a trading day (04:00 AEST)
+const TRADING_DAY_START = '04:00';
+// Dispatch interval length, minutes
+const DISPATCH_MINUTES = 5;
+
+/**
+ * Reliability settings for a financial year (default: the latest listed), as
+ * at its start or, given a date (YYYY-MM-DD) within it, on that date
+ */
+function marketRulesFor(financialYear = null, date = null) {
+    const years = Object.keys(MARKET_RULES).map(Number).sort((a, b) => a - b);
+    if (financialYear === null) return MARKET_RULES[years[years.length - 1]];
+    const year = years.filter(y => y <= financialYear).pop() || years[0];
+    const changes = year === financialYear && date ?
+        (MARKET_RULE_CHANGES[year] || []).filter(change => change.from <= date) : [];
+    return changes.reduce((rules, { from, ...change }) => ({ ...rules, ...change }), MARKET_RULES[year]);
+}
+
+/**
+ * Settle prices under the market rules, interval by interval:
+ *  - each price is held within the market floor and cap;
+ *  - once the sum of the last CPT_WINDOW_INTERVALS prices exceeds the CPT,
+ *    the following intervals are administered, held within ±APC, until the
+ *    end of the trading day in which the sum is back under the threshold.
+ * Sums run over the settled prices, so an administered period draws the sum
+ * down. A null price (an interval without data) keeps its place in the
+ * window, adding nothing, and settles as null.
+ *
+ * @param {Array} prices - $/MWh per 5-minute interval
+ * @param {Object} options - { rules: one marketRulesFor object, or one per
+ *   interval; times: HH:MM per interval for trading-day boundaries (null =
+ *   the period ends as soon as the sum is back under); history: settled
+ *   prices just before these, seeding the CPT window }
+ * @returns {Object} { prices, flags: per interval null | 'cap' | 'floor' |
+ *   'administered', administeredIntervals }
+ */
+function applyMarketRules(prices, options = {}) {
+    const { rules = marketRulesFor(), times = null, history = [] } = options;
+    const rulesAt = t => Array.isArray(rules) ? rules[t] : rules;
+
+    const window = history.slice(-CPT_WINDOW_INTERVALS).map(p => p === null ? 0 : p);
+    let cumulative = window.reduce((sum, p) => sum + p, 0);
+    let administered = false;
+    let ending = false;  // back under the CPT; ends at the next trading day
+    const settled = [];
+    const flags = [];
+
+    prices.forEach((raw, t) => {
+        const { marketPriceCap, marketPriceFloor, cumulativePriceThreshold, administeredPriceCap } = rulesAt(t);
+        if (administered && ending && times && times[t] === TRADING_DAY_START) administered = false;
+
+        if (raw === null) {
+            settled.push(null);
+            flags.push(null);
+        } else {
+            let price = Math.max(marketPriceFloor, Math.min(marketPriceCap, raw));
+            let flag = price < raw ? 'cap' : price > raw ? 'floor' : null;
+            if (administered) {
+                price = Math.max(-administeredPriceCap, Math.min(administeredPriceCap, price));
+                flag = 'administered';
+            }
+            settled.push(price);
+            flags.push(flag);
+        }
+
+        const value = raw === null ? 0 : settled[t];
+        window.push(value);
+        cumulative += value;
+        if (window.length > CPT_WINDOW_INTERVALS) cumulative -= window.shift();
+        if (cumulative > cumulativePriceThreshold) {
+            administered = true;
+            ending = false;
+        } else if (administered) {
+            ending = true;
+            if (!times) administered = false;
+        }
+    });
+
+    return {
+        prices: settled,
+        flags,
+        administeredIntervals: flags.filter(f => f === 'administered').length
+    };
+}
+
+/**
+ * Trading intervals from dispatch intervals ({ time: 'HH:MM', price }), as
+ * the market settled before five-minute settlement: each `minutes`-long
+ * interval from midnight takes the time-weighted mean of the dispatch prices
+ * within it. A dispatch price holds until the next dispatch interval (up to
+ * the end of its trading interval), so a missing interval is covered by the
+ * one before it. Each trading interval keeps its first dispatch interval's
+ * other fields, with the trading interval's start as time; an rrp is
+ * averaged the same way and the priceFlag is the most severe of them.
+ *
+ * Times are read as interval starts, as everywhere in the tool (tariff
+ * periods, hedge windows, outages). AEMO stamps an interval by its end
+ * (SETTLEMENTDATE) and the harvester keeps that stamp, so on harvested data
+ * each interval sits five minutes early: the half hour labelled 00:00 holds
+ * the dispatch intervals AEMO stamped 00:00 to 00:25, not 00:05 to 00:30.
+ */
+function tradingIntervals(data, minutes = 30) {
+    const minutesOf = time => {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    };
+    const timeOf = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    const severity = [null, 'floor', 'cap', 'administered'];
+
+    const trading = [];
+    data.forEach((interval, i) => {
+        const start = minutesOf(interval.time);
+        const bucket = Math.floor(start / minutes) * minutes;
+        const next = i + 1 < data.length ? minutesOf(data[i + 1].time) : start + DISPATCH_MINUTES;
+        const weight = Math.min(next > start ? next : start + DISPATCH_MINUTES, bucket + minutes) - start;
+
+        let current = trading[trading.length - 1];
+        if (!current || current.bucket !== bucket) {
+            current = { bucket, first: interval, weight: 0, price: 0, rrp: 0, flag: null };
+            trading.push(current);
+        }
+        current.weight += weight;
+        current.price += weight * interval.price;
+        current.rrp += weight * (interval.rrp !== undefined ? interval.rrp : interval.price);
+        if (severity.indexOf(interval.priceFlag || null) > severity.indexOf(current.flag)) current.flag = interval.priceFlag;
+    });
+
+    return trading.map(({ bucket, first, weight, price, rrp, flag }) => {
+        const interval = { ...first, time: timeOf(bucket), price: price / weight };
+        if (first.rrp !== undefined) {
+            interval.rrp = rrp / weight;
+            interval.priceFlag = flag;
+        }
+        return interval;
+    });
+}
+
+/**
+ * Clean and validate price data. Missing prices (null, NaN) come back as
+ * null gaps, which applyMarketRules settles as gaps; filling them is left
+ * to the caller.
+ * @param {Array} prices - Raw price data
+ * @param {Object} options - Processing options
+ * @param {boolean} options.clamp - Whether to apply the market rules (default: false)
+ * @param {boolean} options.despike - Whether to apply median filter (default: false)
+ * @param {Object} options.rules, options.times, options.history - as applyMarketRules
+ */
+function cleanPrices(prices, options = {}) {
+    const { clamp = false, despike = false } = options;
+
+    // First pass: missing prices become gaps
+    let cleaned = prices.map(p => (p === null || isNaN(p)) ? null : p);
+    if (clamp) cleaned = applyMarketRules(cleaned, options).prices;
+
+    // Optional: 3-point median filter for de-spiking (gaps and their neighbours are kept)
+    if (despike) {
+        const filtered = new Array(cleaned.length);
+        for (let i = 0; i < cleaned.length; i++) {
+            if (i === 0 || i === cleaned.length - 1 ||
+                cleaned[i - 1] === null || cleaned[i] === null || cleaned[i + 1] === null) {
+                filtered[i] = cleaned[i];
+            } else {
+                const window = [cleaned[i-1], cleaned[i], cleaned[i+1]].sort((a,b) => a-b);
+                filtered[i] = window[1]; // median
+            }
+        }
+        return filtered;
+    }
+
+    return cleaned;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MARKET_RULES,
+        MARKET_RULE_CHANGES,
+        CPT_WINDOW_INTERVALS,
+        TRADING_DAY_START,
+        DISPATCH_MINUTES,
+        marketRulesFor,
+        applyMarketRules,
+        tradingIntervals,
+        cleanPrices
+    };
+}
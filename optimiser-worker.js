@@ -0,0 +1,15 @@
+/**
+ * Optimiser Web Worker for the dashboard's pool (createOptimiserPool in
+ * arbitrage-core.js). Each message names one of OPTIMISER_TASKS and its
+ * arguments; the reply carries the same id with the result or an error.
+ */
+importScripts('dp-optimizer.js', 'market-rules.js', 'arbitrage-core.js');
+
+self.onmessage = function(event) {
+    const { id, task, args } = event.data;
+    try {
+        self.postMessage({ id, result: OPTIMISER_TASKS[task](args) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -130,6 +130,7 @@ function testConstraintSatisfaction() {
 // Test 4: Price cleaning options
 function testPriceCleaning() {
     console.log('\n=== Test: Price Cleaning ===');
+    const { cleanPrices, marketRulesFor } = require('./market-rules.js');
     
     const rawPrices = [50, 100, 20000, -2000, null, NaN, 75, 80];
     
@@ -137,17 +138,19 @@ function testPriceCleaning() {
     const cleaned1 = cleanPrices(rawPrices);
     assert(cleaned1[2] === 20000, 'Raw mode preserves high prices');
     assert(cleaned1[3] === -2000, 'Raw mode preserves negative prices');
-    assert(cleaned1[4] === 0, 'Nulls converted to 0');
-    assert(cleaned1[5] === 0, 'NaNs converted to 0');
+    assert(cleaned1[4] === null, 'Nulls stay gaps for the caller to fill');
+    assert(cleaned1[5] === null, 'NaNs become gaps');
     
     // Test clamped mode
-    const cleaned2 = cleanPrices(rawPrices, { clamp: true });
+    const cleaned2 = cleanPrices(rawPrices, { clamp: true, rules: marketRulesFor(2024) });
     assert(cleaned2[2] === 16600, 'Clamp mode caps high prices');
     assert(cleaned2[3] === -1000, 'Clamp mode floors negative prices');
+    assert(cleaned2[4] === null && cleaned2[5] === null, 'Clamp mode settles gaps as gaps');
     
     // Test despike mode
     const cleaned3 = cleanPrices(rawPrices, { despike: true });
     assert(cleaned3[2] !== 20000, 'Despike smooths outliers');
+    assert(cleaned3[4] === null && cleaned3[3] === -2000, 'Despike keeps gaps and their neighbours');
 }
 
 // Test 5: Efficiency model
@@ -186,36 +189,995 @@ function testEfficiencyModel() {
     }
 }
 
+// Test 6: Ramp rate constraint
+function testRampRate() {
+    console.log('\n=== Test: Ramp Rate ===');
+    
+    const prices = new Array(288).fill(50);
+    for (let i = 72; i < 108; i++) prices[i] = 20;
+    for (let i = 216; i < 252; i++) prices[i] = 100;
+    
+    const unconstrained = optimiseBESS_DP({
+        prices,
+        capacityMWh: 100,
+        powerMW: 50,
+        soc0: 0.5
+    });
+    
+    const rampRateMW = 10;
+    const result = optimiseBESS_DP({
+        prices,
+        capacityMWh: 100,
+        powerMW: 50,
+        soc0: 0.5,
+        rampRateMW
+    });
+    
+    let rampViolations = 0;
+    let prevPower = 0;
+    for (const flow of result.flows) {
+        if (Math.abs(flow.powerMW - prevPower) > rampRateMW + 0.001) {
+            rampViolations++;
+        }
+        prevPower = flow.powerMW;
+    }
+    
+    assert(rampViolations === 0, 'No ramp rate violations');
+    assert(result.revenue > 0, 'Ramp-limited schedule still trades');
+    assert(result.value0 <= unconstrained.value0 + 0.001, 'Ramp limit cannot increase optimal value');
+}
+
+// Test 7: Hard daily cycle limit
+function testMaxCycles() {
+    console.log('\n=== Test: Max Cycles ===');
+    
+    // Four price swings per day invite more than one cycle
+    const prices = new Array(288).fill(50);
+    for (let block = 0; block < 4; block++) {
+        for (let i = 0; i < 24; i++) prices[block * 72 + i] = 10;
+        for (let i = 36; i < 60; i++) prices[block * 72 + i] = 150;
+    }
+    
+    const free = optimiseBESS_DP({
+        prices,
+        capacityMWh: 20,
+        powerMW: 10,
+        soc0: 0,
+        socT: 0
+    });
+    
+    const maxCycles = 1.5;
+    const limited = optimiseBESS_DP({
+        prices,
+        capacityMWh: 20,
+        powerMW: 10,
+        soc0: 0,
+        socT: 0,
+        maxCycles
+    });
+    
+    assert(free.cycles > maxCycles, 'Unconstrained schedule exceeds the limit');
+    assert(limited.cycles <= maxCycles + 1e-9, 'Cycle limit is never exceeded');
+    assert(limited.cycles > maxCycles * 0.8, 'Cycle budget is mostly used');
+    // The search stops once the budget is filled to within one interval at full power
+    assert(limited.cycles >= maxCycles - 10 * (5 / 60) / (2 * 20) - 1e-9, 'Cycle budget filled to within one interval');
+    assert(limited.cycleShadowPrice > 0, 'Binding limit reports a shadow price');
+    assert(limited.revenue <= free.revenue + 0.001, 'Cycle limit cannot increase revenue');
+}
+
+// Test 8: Minimum run and rest constraints
+function testMinRunAndRest() {
+    console.log('\n=== Test: Min Run / Rest ===');
+    
+    // Choppy prices reward flipping between charge and discharge every interval
+    const prices = new Array(288).fill(0).map((_, i) => (i % 2 === 0 ? 20 : 120) + (i % 7));
+    const minRunIntervals = 3;
+    const minRestIntervals = 2;
+    
+    const result = optimiseBESS_DP({
+        prices,
+        capacityMWh: 20,
+        powerMW: 10,
+        soc0: 0.5,
+        minRunIntervals,
+        minRestIntervals
+    });
+    
+    // Split the schedule into runs of identical operations
+    const runs = [];
+    for (const flow of result.flows) {
+        const last = runs[runs.length - 1];
+        if (last && last.op === flow.op) last.length++;
+        else runs.push({ op: flow.op, length: 1 });
+    }
+    
+    const shortRuns = runs.filter(r => r.op !== 'hold' && r.length < minRunIntervals).length;
+    let restViolations = 0;
+    for (let r = 1; r < runs.length; r++) {
+        const prev = runs[r - 1], next = runs[r + 1];
+        if (prev.op !== 'hold' && runs[r].op !== 'hold' && prev.op !== runs[r].op) restViolations++;
+        if (runs[r].op === 'hold' && prev.op !== 'hold' && next && next.op !== 'hold' &&
+            next.op !== prev.op && runs[r].length < minRestIntervals) restViolations++;
+    }
+    
+    let socMismatches = 0;
+    let soc = result.socSeries[0];
+    for (const flow of result.flows) {
+        if (flow.op === 'hold' && Math.abs(flow.socMWh - soc) > 1e-9) socMismatches++;
+        soc = flow.socMWh;
+    }
+    
+    assert(runs.some(r => r.op !== 'hold'), 'Schedule still trades');
+    assert(shortRuns === 0, 'No charge/discharge run shorter than the minimum');
+    assert(restViolations === 0, 'Minimum rest between charging and discharging respected');
+    assert(socMismatches === 0, 'SoC series agrees with the schedule');
+    
+    // An hour of minimum run on a ramp-limited 2-hour battery: solved on a coarser SoC grid
+    const large = { prices, capacityMWh: 20, powerMW: 10, etaC: 0.97, etaD: 0.97, soc0: 0, socT: 0,
+                    minRunIntervals: 12, rampRateMW: 2 };
+    const limits = { importMW: 10, exportMW: 9.7, dtHours: 5 / 60 };
+    const coarse = optimiseBESS_DP(large);
+    const { socSteps } = coarse.settings;
+    assert(socSteps < autoSocSteps(20, 10, 5 / 60) && socSteps >= coarsestSocSteps({ ...large, ...limits }),
+        `Oversized run/ramp state space coarsens the SoC grid (${socSteps} levels)`);
+    assert(dpStateCount({ ...large, ...limits, socSteps, intervals: prices.length }) <= DP_STATE_LIMIT,
+        'Coarsened solve fits the state limit');
+    let run = 0, shortRun = false;
+    coarse.flows.forEach((flow, t) => {
+        run = t > 0 && flow.op === coarse.flows[t - 1].op ? run + 1 : 1;
+        const ends = t === coarse.flows.length - 1 || coarse.flows[t + 1].op !== flow.op;
+        if (ends && flow.op !== 'hold' && run < large.minRunIntervals) shortRun = true;
+    });
+    assert(coarse.revenue > 0 && !shortRun, 'Coarsened solve trades and keeps the minimum run');
+    
+    // A day-long minimum run does not fit even the coarsest grid
+    let error = null;
+    try {
+        optimiseBESS_DP({ ...large, minRunIntervals: 288 });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && /state space too large/.test(error.message), 'Impossible run/ramp state space throws');
+    
+    // The UI checks its settings against the same limit before the analysis starts
+    const { dpSettingsFit } = require('./arbitrage-core.js');
+    const ui = { intervalMinutes: 5, rampMWPerMin: 0.4, minRunMinutes: 60, minRestMinutes: 0,
+                 limits: { etaC: 0.97, etaD: 0.97, importMW: 10, exportMW: 9.7 } };
+    assert(dpSettingsFit(ui, 20), 'An hour of minimum run under a ramp limit is accepted');
+    assert(!dpSettingsFit({ ...ui, minRunMinutes: 1440 }, 20), 'A day-long minimum run under a ramp limit is rejected');
+}
+
+// Test 9: Multi-day horizon carries SoC across days, and across a day without data
+async function testRollingHorizon() {
+    console.log('\n=== Test: Rolling Horizon ===');
+    const { optimiseChain, OPTIMISER_TASKS } = require('./arbitrage-core.js');
+    
+    // Cheap evening on day 1, no data on day 2, price spike early on day 3
+    const timeOf = i => `${String(Math.floor(i / 12)).padStart(2, '0')}:${String(i % 12 * 5).padStart(2, '0')}`;
+    const dayOf = price => new Array(288).fill(0).map((_, i) => ({ time: timeOf(i), price: price(i) }));
+    const days = [
+        { date: '2024-07-01', data: dayOf(i => i >= 240 ? 10 : 60) },
+        { date: '2024-07-02', data: null },
+        { date: '2024-07-03', data: dayOf(i => i < 36 ? 300 : 60) }
+    ];
+    const settings = {
+        optimizationMode: 'dp', efficiency: 0.95 * 0.95, maxCycles: 0, throughputCost: 0, tariff: null,
+        powerFactor: 0.95, mlfSettings: null, pvSettings: null, fcasAssumptions: {}, rampMWPerMin: 0,
+        minRunMinutes: 5, minRestMinutes: 0, hedges: null, hedgeCover: false, intervalMinutes: 5,
+        limits: { etaC: 0.95, etaD: 0.95, importMW: 10, exportMW: 0.95 * 10 }
+    };
+    const pool = { run: async (task, args) => OPTIMISER_TASKS[task](args) };
+    const chainOf = async rolling => {
+        const ctx = { powerMW: 10, capacityMWh: 20, results: new Array(days.length).fill(null), monthPeaks: {}, starts: [] };
+        await optimiseChain(days, { indices: [0, 1, 2] }, ctx, { ...settings, rolling }, pool, { cancelled: false }, () => {});
+        return ctx;
+    };
+    const independent = await chainOf(false);
+    const rolling = await chainOf(true);
+    
+    const [first, gap, third] = rolling.results;
+    assert(first.endSoC > 0.5 * 20, `Energy held through the day without data (${first.endSoC.toFixed(1)} MWh)`);
+    assert(gap === null && rolling.starts[2].carriedMWh === first.endSoC, 'The day without data keeps the SoC');
+    assert(Math.abs(third.startSoC - first.endSoC) < 1e-6, 'Day 3 starts at day 1 end SoC');
+    assert(third.endSoC < 1e-6, 'Last day ends empty');
+    const total = ctx => ctx.results.reduce((sum, r) => sum + (r ? r.revenue : 0), 0);
+    assert(total(rolling) > total(independent) + 1000,
+        `Rolling beats independent days ($${total(rolling).toFixed(0)} vs $${total(independent).toFixed(0)})`);
+}
+
+// Test 10: Stochastic DP is non-anticipative and bounded by perfect foresight
+function testStochasticDP() {
+    console.log('\n=== Test: Stochastic DP ===');
+    
+    const battery = { capacityMWh: 20, powerMW: 10, etaC: 0.95, etaD: 0.95, soc0: 0, socT: 0, socSteps: 101 };
+    
+    // Cheap morning; the afternoon either spikes (30%) or collapses (70%)
+    const tree = {
+        prices: new Array(144).fill(20),
+        children: [
+            { prices: new Array(144).fill(0).map((_, i) => i < 24 ? 300 : 100), probability: 0.3 },
+            { prices: new Array(144).fill(0), probability: 0.7 }
+        ]
+    };
+    const result = optimiseBESS_Stochastic({ ...battery, tree });
+    const [spike, flat] = result.scenarios;
+    
+    assert(Math.abs(spike.socSeries[144] - flat.socSeries[144]) < 1e-9,
+        'Same SoC on both branches before prices diverge');
+    assert(result.expectedRevenue <= result.perfectForesightRevenue + 1e-6,
+        `Expected value within perfect foresight ($${result.expectedRevenue.toFixed(0)} vs $${result.perfectForesightRevenue.toFixed(0)})`);
+    assert(result.foresightGap > 0, 'Uncertainty has a cost here');
+    
+    // A single scenario is perfect foresight
+    const prices = new Array(288).fill(0).map((_, i) => 50 + 40 * Math.sin(i / 288 * 4 * Math.PI));
+    const single = optimiseBESS_Stochastic({ ...battery, scenarios: [{ prices, weight: 1 }] });
+    assert(Math.abs(single.expectedRevenue - single.perfectForesightRevenue) < 0.01 * Math.abs(single.perfectForesightRevenue) + 1,
+        'One scenario matches perfect foresight');
+
+    // Settled on a held-out day: the neighbours' policy is beaten by that day's own optimum
+    const day = shift => new Array(288).fill(0).map((_, i) => 50 + 40 * Math.sin((i + shift) / 288 * 4 * Math.PI));
+    const neighbours = optimiseBESS_Stochastic({ ...battery, scenarios: [{ prices: day(-12), weight: 1 }, { prices: day(12), weight: 1 }] });
+    const replayed = neighbours.policy.simulate(neighbours.scenarios[0].prices);
+    assert(Math.abs(replayed.revenue - neighbours.scenarios[0].revenue) < 1e-6, 'Simulating a scenario reproduces its revenue');
+    const heldOut = neighbours.policy.simulate(day(0));
+    const optimum = optimiseBESS_DP({ ...battery, prices: day(0) }).revenue;
+    assert(Math.abs(heldOut.socSeries[288]) < 1e-6, 'Held-out day ends empty');
+    assert(heldOut.revenue > 0 && heldOut.revenue <= optimum + 1e-6,
+        `Held-out revenue within the day's optimum ($${heldOut.revenue.toFixed(0)} vs $${optimum.toFixed(0)})`);
+
+    // maxCycles bounds expected throughput: a swinging scenario runs two cycles
+    // when the other, flat one runs none
+    const swings = new Array(288).fill(0).map((_, i) => 50 + 200 * Math.sin(i / 288 * 8 * Math.PI));
+    const capped = optimiseBESS_Stochastic({ ...battery, maxCycles: 1,
+        scenarios: [{ prices: swings, weight: 1 }, { prices: new Array(288).fill(50), weight: 1 }] });
+    const expectedThroughput = capped.scenarios.reduce((sum, s) => sum + s.weight * s.throughput, 0);
+    assert(expectedThroughput <= 2 * 20 * 1 + 1e-6, 'Expected throughput within maxCycles');
+    assert(capped.policy.simulate(swings).cycles > 1.5, 'A single scenario can exceed maxCycles');
+    const { OPTIMISER_TASKS } = require('./arbitrage-core.js');
+    const task = OPTIMISER_TASKS.stochastic([{ ...battery, maxCycles: 1, evaluatePerfectForesight: false,
+        scenarios: [{ prices: swings, weight: 1 }, { prices: new Array(288).fill(50), weight: 1 }], heldOutPrices: swings }]);
+    assertClose(task.heldOutCycles, capped.policy.simulate(swings).cycles, 1e-9, 'Held-out cycles reported next to the limit');
+}
+
+// Test 11: FCAS co-optimisation respects headroom and SoC
+function testFCASCoOptimisation() {
+    console.log('\n=== Test: FCAS Co-optimisation ===');
+    
+    const T = 288;
+    const prices = new Array(T).fill(0).map((_, i) => 50 + 40 * Math.sin(i / T * 4 * Math.PI));
+    const fcasPrices = {
+        RAISEREG: new Array(T).fill(15),
+        LOWERREG: new Array(T).fill(10),
+        RAISE6SEC: new Array(T).fill(3),
+        LOWER60SEC: new Array(T).fill(2)
+    };
+    const battery = { prices, capacityMWh: 20, powerMW: 10, etaC: 0.95, etaD: 0.95, soc0: 0, socT: 0 };
+    
+    const energyOnly = optimiseBESS_DP(battery);
+    const result = optimiseBESS_DP({ ...battery, fcasPrices });
+    
+    let headroomViolations = 0;
+    let energyViolations = 0;
+    result.flows.forEach(f => {
+        const raise = f.fcas.RAISEREG + f.fcas.RAISE6SEC;
+        const lower = f.fcas.LOWERREG + f.fcas.LOWER60SEC;
+        if (f.powerMW + raise > battery.powerMW + 1e-6 || f.powerMW - lower < -battery.powerMW - 1e-6) {
+            headroomViolations++;
+        }
+        // Raise must be deliverable from stored energy, lower must fit the remaining room
+        const raiseMWh = Math.max(f.fcas.RAISEREG * 5 / 60, f.fcas.RAISE6SEC / 60);
+        const lowerMWh = Math.max(f.fcas.LOWERREG * 5 / 60, f.fcas.LOWER60SEC * 5 / 60);
+        if (raiseMWh > f.socMWh * battery.etaD + 1e-6 ||
+            lowerMWh > (battery.capacityMWh - f.socMWh) / battery.etaC + 1e-6) {
+            energyViolations++;
+        }
+    });
+    
+    const serviceTotal = Object.values(result.fcasRevenue).reduce((a, b) => a + b, 0);
+    
+    assert(headroomViolations === 0, 'Energy plus FCAS enablement stays within power limits');
+    assert(energyViolations === 0, 'FCAS enablement is backed by SoC');
+    assert(result.fcasRevenue.RAISEREG > 0 && result.fcasRevenue.LOWERREG > 0, 'Revenue reported per service');
+    assert(Math.abs(serviceTotal - result.fcasRevenueTotal) < 1e-6, 'Per-service revenue sums to the total');
+    assert(result.revenue >= energyOnly.revenue, 'Co-optimisation never earns less than energy only');
+}
+
+// Test 12: Separate efficiencies and asymmetric import/export limits
+function testImportExportLimits() {
+    console.log('\n=== Test: Import/Export Limits ===');
+    
+    const T = 288;
+    const prices = new Array(T).fill(0).map((_, i) => 50 + 60 * Math.sin(i / T * 4 * Math.PI));
+    const battery = {
+        prices,
+        capacityMWh: 20,
+        powerMW: 10,
+        importMW: 10,
+        exportMW: 5,
+        etaC: 0.97,
+        etaD: 0.90,
+        soc0: 0,
+        socT: 0
+    };
+    
+    const result = optimiseBESS_DP(battery);
+    
+    let limitViolations = 0;
+    let energyMismatches = 0;
+    let prevSoC = 0;
+    result.flows.forEach(f => {
+        if (f.powerMW < -battery.importMW - 1e-6 || f.powerMW > battery.exportMW + 1e-6) {
+            limitViolations++;
+        }
+        // Grid energy and SoC change agree through the matching efficiency
+        const dSoC = f.socMWh - prevSoC;
+        const expected = dSoC > 0 ? f.buyMWh * battery.etaC : -f.sellMWh / battery.etaD;
+        if (Math.abs(dSoC - expected) > 1e-6) energyMismatches++;
+        prevSoC = f.socMWh;
+    });
+    
+    const maxExport = Math.max(...result.flows.map(f => f.powerMW));
+    const symmetric = optimiseBESS_DP({ ...battery, exportMW: 10 });
+    
+    assert(limitViolations === 0, 'Grid power stays within import and export limits');
+    assert(energyMismatches === 0, 'Charge and discharge use their own efficiencies');
+    assert(maxExport > 0.8 * battery.exportMW, 'Discharge runs up to the export limit (within one SoC step)');
+    assert(symmetric.revenue >= result.revenue, 'A tighter export limit never earns more');
+}
+
+// Test 13: SoC derating and efficiency-vs-power curves
+function testPowerCurves() {
+    console.log('\n=== Test: Power Derating & Efficiency Curves ===');
+    
+    const T = 288;
+    const prices = new Array(T).fill(0).map((_, i) => 50 + 60 * Math.sin(i / T * 4 * Math.PI));
+    const battery = { prices, capacityMWh: 20, powerMW: 10, exportMW: 10, etaC: 0.95, etaD: 0.95, soc0: 0, socT: 0 };
+    const curves = {
+        chargePowerCurve: [[0.8, 1], [1, 0.2]],
+        dischargePowerCurve: [[0, 0.2], [0.2, 1]],
+        efficiencyCurve: [[0, 1], [1, 0.96]]
+    };
+    
+    const flat = optimiseBESS_DP(battery);
+    const result = optimiseBESS_DP({ ...battery, ...curves });
+    
+    let deratingViolations = 0;
+    let efficiencyMismatches = 0;
+    let prevSoC = 0;
+    result.flows.forEach(f => {
+        const startFraction = prevSoC / battery.capacityMWh;
+        const chargeLimit = battery.powerMW * interpolateCurve(curves.chargePowerCurve, startFraction);
+        const dischLimit = battery.exportMW * interpolateCurve(curves.dischargePowerCurve, startFraction);
+        if (f.powerMW < -chargeLimit - 1e-6 || f.powerMW > dischLimit + 1e-6) deratingViolations++;
+        
+        // Grid energy follows the efficiency at the power drawn
+        const dSoC = f.socMWh - prevSoC;
+        if (dSoC > 0) {
+            const eta = battery.etaC * interpolateCurve(curves.efficiencyCurve, -f.powerMW / battery.powerMW);
+            if (Math.abs(f.buyMWh * eta - dSoC) > 1e-4) efficiencyMismatches++;
+        } else if (dSoC < 0) {
+            const eta = battery.etaD * interpolateCurve(curves.efficiencyCurve, f.powerMW / battery.exportMW);
+            if (Math.abs(f.sellMWh - (-dSoC) * eta) > 1e-4) efficiencyMismatches++;
+        }
+        prevSoC = f.socMWh;
+    });
+    
+    const nearFull = result.flows.filter((f, t) => t > 0 && f.op === 'charge' && result.socSeries[t] > 0.95 * battery.capacityMWh);
+    
+    assert(deratingViolations === 0, 'Power stays within the SoC derating at the start of each interval');
+    assert(efficiencyMismatches === 0, 'Grid energy follows the efficiency curve');
+    assert(nearFull.every(f => -f.powerMW <= 0.4 * battery.powerMW + 1e-6), 'Charging tapers near full');
+    assert(result.revenue <= flat.revenue + 1e-6, 'Derating and losses never earn more');
+}
+
+// Test 14: Tariffs enter the objective through buy and sell prices
+function testTariffAwareObjective() {
+    console.log('\n=== Test: Tariff-aware Objective ===');
+    
+    const T = 288;
+    const prices = new Array(T).fill(0).map((_, i) => 50 + 60 * Math.sin(i / T * 4 * Math.PI));
+    // Import is expensive in the first half of the day; export earns a credit in the second
+    const importAdj = prices.map((_, i) => i < T / 2 ? 200 : 0);
+    const exportCredit = prices.map((_, i) => i >= T / 2 ? 20 : 0);
+    const buyPrices = prices.map((p, i) => p + importAdj[i]);
+    const sellPrices = prices.map((p, i) => p + exportCredit[i]);
+    const battery = { prices, capacityMWh: 20, powerMW: 10, etaC: 0.95, etaD: 0.95, soc0: 0, socT: 0 };
+    
+    const blind = optimiseBESS_DP(battery);
+    const aware = optimiseBESS_DP({ ...battery, buyPrices, sellPrices });
+    
+    // Settle both schedules against the tariff
+    const settle = result => result.flows.reduce((sum, f, t) =>
+        sum + f.sellMWh * sellPrices[t] - f.buyMWh * buyPrices[t], 0);
+    const boughtInWindow = aware.flows.slice(0, T / 2).reduce((sum, f) => sum + f.buyMWh, 0);
+    
+    assert(blind.flows.slice(0, T / 2).some(f => f.buyMWh > 0), 'Tariff-blind schedule charges in the expensive window');
+    assert(boughtInWindow < 1e-9, 'Tariff-aware schedule avoids the import charge');
+    assert(Math.abs(settle(aware) - aware.revenue) < 1e-6, 'Revenue is settled at the buy and sell prices');
+    assert(aware.revenue >= settle(blind) - 1e-6, 'Tariff-aware schedule earns at least the tariff-blind one under the tariff');
+}
+
+// Test 15: Demand charges price a new monthly peak
+function testDemandCharges() {
+    console.log('\n=== Test: Demand Charges ===');
+    
+    const T = 288;
+    const prices = new Array(T).fill(0).map((_, i) => 50 + 60 * Math.sin(i / T * 4 * Math.PI));
+    const battery = { prices, capacityMWh: 20, powerMW: 10, etaC: 0.95, etaD: 0.95, soc0: 0, socT: 0, maxCycles: 1 };
+    const all = prices.map((_, t) => t);
+    const peakOf = result => Math.max(0, ...result.flows.map(f => -f.powerMW));
+    
+    const free = optimiseBESS_DP(battery);
+    const costly = optimiseBESS_DP({ ...battery, demandCharges: [{ intervals: all, costPerMW: 150, peakMW: 0 }] });
+    const alreadySet = optimiseBESS_DP({ ...battery, demandCharges: [{ intervals: all, costPerMW: 150, peakMW: 10 }] });
+    
+    assert(peakOf(costly) < peakOf(free) - 1e-6, 'A costly new peak slows charging');
+    assert(Math.abs(costly.demandCharge - 150 * peakOf(costly)) < 1e-6, 'Demand charge bills the new peak');
+    assert(costly.revenue - costly.demandCharge >= free.revenue - 150 * peakOf(free) - 1e-6,
+        'Net of demand charges, the capped schedule beats the uncapped one');
+    assert(alreadySet.demandCharge === 0 && Math.abs(alreadySet.revenue - free.revenue) < 1e-6,
+        'A peak already set this month is free to reuse');
+}
+
+// Test 16: Rainflow counting and depth-weighted degradation
+function testRainflowDegradation() {
+    console.log('\n=== Test: Rainflow Degradation ===');
+    
+    const full = rainflowCycles([0, 10, 0], 10);
+    assertClose(full.reduce((n, c) => n + c.count * c.depth, 0), 1, 1e-9, 'One full-depth cycle counted');
+    const nested = rainflowCycles([0, 10, 5, 8, 0], 10);
+    assert(nested.some(c => c.count === 1 && Math.abs(c.depth - 0.3) < 1e-9), 'Inner 30% cycle closed');
+    
+    const T = 288;
+    const prices = new Array(T).fill(0).map((_, i) => 50 + 60 * Math.sin(i / T * 4 * Math.PI));
+    const battery = { prices, capacityMWh: 20, powerMW: 10, etaC: 0.95, etaD: 0.95, soc0: 0, socT: 0 };
+    const cycleLifeCurve = [[0.1, 100000], [0.5, 8000], [1.0, 1000]];
+    const swing = result => Math.max(...result.socSeries) - Math.min(...result.socSeries);
+    
+    const flat = optimiseBESS_DP({ ...battery, cycleLifeCurve, replacementCostPerMWh: 0 });
+    const weighted = optimiseBESS_DP({ ...battery, cycleLifeCurve, replacementCostPerMWh: 300000 });
+    
+    assert(swing(weighted) < swing(flat) - 1e-6, 'Deep cycles are avoided when they cost more');
+    assert(weighted.revenue > 0, 'Shallow cycling is still worthwhile');
+    const recount = rainflowDegradation(weighted.socSeries, 20, cycleLifeCurve, 300000);
+    assertClose(weighted.degradation.cost, recount.cost, 1e-6, 'Reported cost is the rainflow cost of the schedule');
+    assert(weighted.revenue - weighted.degradation.cost >=
+        flat.revenue - rainflowDegradation(flat.socSeries, 20, cycleLifeCurve, 300000).cost - 1e-6,
+        'Net of degradation, the depth-aware schedule beats the depth-blind one');
+}
+
+// Test 17: PV hybrid shares the export limit and curtails at negative prices
+function testPVHybrid() {
+    console.log('\n=== Test: PV Hybrid ===');
+    
+    const T = 288;
+    const hour = i => i / 12;
+    const prices = new Array(T).fill(0).map((_, i) =>
+        hour(i) >= 10 && hour(i) < 14 ? -30 : hour(i) >= 17 && hour(i) < 21 ? 200 : 50);
+    const pvMW = new Array(T).fill(0).map((_, i) => 8 * Math.max(0, Math.sin(Math.PI * (hour(i) - 6) / 12)));
+    const site = { prices, pvMW, capacityMWh: 10, importMW: 5, exportMW: 5, etaC: 0.95, etaD: 0.95,
+                   soc0: 0, socT: 0, siteExportMW: 6 };
+    
+    const hybrid = optimiseBESS_DP(site);
+    assert(hybrid.flows.every(f => f.gridMW <= 6 + 1e-6), 'Site export within the shared limit');
+    assert(hybrid.flows.every(f => prices[f.t] >= 0 || f.pv.outputMW <= Math.max(0, -f.powerMW) + 1e-6),
+        'At negative prices PV only runs to charge the battery');
+    assert(hybrid.flows.every(f => f.pv.outputMW <= f.pv.availableMW + 1e-9), 'PV output within what is available');
+    assert(hybrid.pv.curtailedMWh > 0, 'PV curtailed at negative prices');
+    
+    const pvOnly = optimiseBESS_DP({ ...site, gridCharging: false });
+    assert(pvOnly.flows.every(f => f.gridMW >= -1e-6), 'Without grid charging the site never imports');
+    assert(pvOnly.revenue <= hybrid.revenue + 1e-6, 'Grid charging can only add revenue');
+    
+    assertClose(hybrid.pv.generationMWh, hybrid.pv.outputMWh + hybrid.pv.curtailedMWh, 1e-6, 'PV is either output or curtailed');
+}
+
+// Test 18: Bid curves from the value function support the schedule
+function testBidCurves() {
+    console.log('\n=== Test: Bid Curves ===');
+    
+    const T = 288;
+    const prices = new Array(T).fill(0).map((_, i) => 60 + 90 * Math.sin(i / T * 4 * Math.PI));
+    const result = optimiseBESS_DP({ prices, capacityMWh: 20, powerMW: 5, etaC: 0.95, etaD: 0.95,
+                                     soc0: 0, socT: 0, withBidCurves: true });
+    assert(result.bidCurves.length === T, 'One bid curve per interval');
+    
+    // The steps of each scheduled move are worth at least their cost at that interval's price
+    const dt = 5 / 60;
+    const clears = (f, bidCurves) => {
+        const curve = f.op === 'discharge' ? bidCurves[f.t].discharge
+                    : f.op === 'charge' ? bidCurves[f.t].charge : [];
+        const steps = curve.filter(([mw]) => mw <= Math.abs(f.powerMW) + 1e-9);
+        const value = steps.reduce((sum, [mw, price], n) => sum + (mw - (n > 0 ? steps[n - 1][0] : 0)) * dt * price, 0);
+        const energy = Math.abs(f.powerMW) * dt;
+        return !(f.op === 'discharge' && value > f.price * energy + 1e-6) &&
+               !(f.op === 'charge' && value < f.price * energy - 1e-6);
+    };
+    assert(result.flows.every(f => clears(f, result.bidCurves)), 'Scheduled moves clear at their bid curve prices');
+    
+    // Run and ramp limits: curves are valued in the operating state the schedule moves into
+    const battery = { prices, capacityMWh: 20, powerMW: 5, etaC: 0.95, etaD: 0.95, soc0: 0, socT: 0, withBidCurves: true };
+    const runLimited = optimiseBESS_DP({ ...battery, minRunIntervals: 3, minRestIntervals: 2 });
+    assert(runLimited.flows.every(f => clears(f, runLimited.bidCurves)), 'Run-limited moves clear at their bid curve prices');
+    // Each step of a ramp-limited move leaves a different ramp state, so not every move clears exactly
+    const rampLimited = optimiseBESS_DP({ ...battery, rampRateMW: 2, minRunIntervals: 3 });
+    const moves = rampLimited.flows.filter(f => f.op !== 'hold');
+    assert(moves.filter(f => clears(f, rampLimited.bidCurves)).length >= 0.97 * moves.length,
+           'Ramp-limited moves mostly clear at their bid curve prices');
+    
+    // Ten-band offers: fixed, strictly increasing cent prices within the floor and cap,
+    // and whole-MW availabilities that add up to the maximum available
+    const { buildEnergyBids } = require('./arbitrage-core.js');
+    const priceFloor = -1000, priceCap = 16600;
+    const curves = result.bidCurves.map((curve, t) => t === 0 ?
+        { discharge: [[1.3, 20000], [2.6, 80.123]], charge: [[1.3, -5000], [2.6, 40.456]] } : curve);
+    const bids = buildEnergyBids(curves, { priceFloor, priceCap });
+    ['generation', 'load'].forEach(side => {
+        const { priceBands, intervals } = bids[side];
+        assert(priceBands.length === 10 && priceBands.every((p, b) => b === 0 || p > priceBands[b - 1]),
+               `${side} price bands strictly increase`);
+        assert(priceBands.every(p => p >= priceFloor && p <= priceCap), `${side} price bands within the floor and cap`);
+        assert(priceBands.every(p => Math.abs(p * 100 - Math.round(p * 100)) < 1e-6), `${side} price bands in cents`);
+        assert(intervals.length === T && intervals.every(({ maxAvail, bandAvail }) =>
+            Number.isInteger(maxAvail) && bandAvail.every(Number.isInteger) &&
+            bandAvail.reduce((sum, mw) => sum + mw, 0) === maxAvail), `${side} band availabilities are whole MW summing to the maximum`);
+    });
+    assert(bids.generation.priceBands[9] === priceCap && bids.load.priceBands[0] === priceFloor,
+           'Generation tops out at the cap and load bottoms out at the floor');
+    assert(bids.generation.intervals[0].maxAvail === 2 && bids.generation.intervals[0].bandAvail[9] >= 1,
+           'Energy valued above the cap is offered at the cap');
+}
+
+// Test 19: Project cashflows, NPV, IRR, payback and LCOS
+function testFinancialModel() {
+    console.log('\n=== Test: Financial Model ===');
+    
+    const { buildProjectCashflows, npvOf, irrOf } = require('./financial-model.js');
+    
+    assertClose(irrOf([-100, 110]), 0.1, 1e-6, 'IRR of one year at 10%');
+    assert(irrOf([-100, 10, 10]) === null || npvOf(irrOf([-100, 10, 10]), [-100, 10, 10]) < 1e-6,
+        'IRR is absent or zeroes NPV when the project never pays back');
+    assert(irrOf([-100, -10, -10]) === null && irrOf([100, 10, 10]) === null, 'No IRR without a sign change');
+    assertClose(npvOf(0.1, [100, 110]), 200, 1e-9, 'NPV of inflows only is their discounted sum');
+    
+    // 10 MW / 20 MWh at $100/kW + $100/kWh = $3M, earning $1M a year, untaxed
+    const project = { powerMW: 10, capacityMWh: 20, annualRevenue: 1e6, annualDischargeMWh: 5000, annualCycles: 250 };
+    const plain = buildProjectCashflows(project, { capexPerKW: 100, capexPerKWh: 100, lifeYears: 10, discountRate: 0.08 });
+    assertClose(plain.capex, 3e6, 1e-6, 'CAPEX from $/kW and $/kWh');
+    assertClose(plain.paybackYears, 3, 1e-9, 'Payback when cumulative cash turns positive');
+    assertClose(npvOf(plain.irr, [-plain.capex, ...plain.years.map(y => y.cashflow)]), 0, 1e-3, 'NPV is zero at the IRR');
+    const annuity = (1 - Math.pow(1.08, -10)) / 0.08;
+    assertClose(plain.npv, 1e6 * annuity - 3e6, 1e-3, 'NPV of a level annuity');
+    assertClose(plain.lcos, 3e6 / (5000 * annuity), 1e-6, 'LCOS is discounted cost per discounted MWh');
+    
+    const taxed = buildProjectCashflows(project, { capexPerKW: 100, capexPerKWh: 100, lifeYears: 10, discountRate: 0.08,
+                                                   taxRate: 0.3, depreciationYears: 10 });
+    assertClose(taxed.years[0].tax, 0.3 * (1e6 - 3e5), 1e-6, 'Tax on profit after depreciation');
+    assert(taxed.npv < plain.npv, 'Tax lowers NPV');
+    
+    const faded = buildProjectCashflows(project, { capexPerKW: 100, capexPerKWh: 100, lifeYears: 10, discountRate: 0.08,
+                                                   calendarFadePerYear: 0.05, augmentationPerKWh: 200, augmentationThreshold: 0.85 });
+    const augmented = faded.years.filter(y => y.augmentation > 0);
+    assert(augmented.length > 0 && augmented[0].year === 3, 'Augmented once SoH falls below the threshold');
+    assertClose(augmented[0].augmentation, 0.15 * 20000 * 200, 1e-6, 'Augmentation buys back the faded kWh');
+    assertClose(faded.years[3].stateOfHealth, 0.975, 1e-9, 'Nameplate restored after augmentation');
+    
+    const idle = buildProjectCashflows({ ...project, annualRevenue: 0 }, { capexPerKW: 100, capexPerKWh: 100, lifeYears: 10, discountRate: 0.08 });
+    assert(idle.irr === null && idle.paybackYears === null, 'A project that never earns has no IRR or payback');
+}
+
+// Test 20: Receding horizon sees only realised prices and is bounded by perfect foresight
+function testRecedingHorizon() {
+    console.log('\n=== Test: Receding Horizon ===');
+    
+    const T = 96;
+    const prices = new Array(T).fill(0).map((_, i) => 50 + 60 * Math.sin(i / T * 4 * Math.PI) + (i % 7) * 5);
+    const battery = { prices, dtHours: 0.25, capacityMWh: 10, powerMW: 5, etaC: 0.95, etaD: 0.95,
+                      soc0: 0, socT: 0, socSteps: 81, maxCycles: 1 };
+    
+    let peeked = false;
+    const exact = optimiseBESS_MPC({ ...battery, forecast: (t, realised) => {
+        if (realised.length !== t) peeked = true;
+        return prices.slice(t);
+    } });
+    assert(!peeked, 'Forecasts see exactly the prices realised so far');
+    assertClose(exact.captureRatio, 1, 1e-6, 'A perfect forecast captures the perfect-foresight revenue');
+    assert(exact.throughput <= 2 * 10 * 1 + 1e-6, 'Cycle limit holds across re-solves');
+    assert(exact.calibrations < exact.solves / 10, 'Cycle shadow price calibrated once and reused across re-solves');
+    
+    const flat = optimiseBESS_MPC({ ...battery, resolveIntervals: 4,
+        forecast: (t, realised) => new Array(T - t).fill(realised.length > 0 ? realised[realised.length - 1] : 50)
+            .map((p, j) => p + 20 * Math.sin((t + j) / T * 4 * Math.PI)) });
+    assert(flat.revenue <= flat.perfectForesightRevenue + 1e-6, 'Forecast-driven revenue never beats perfect foresight');
+    assertClose(flat.solves, T / 4, 0, 'Re-solves every resolveIntervals');
+    assertClose(flat.socSeries[T], 0, 1e-6, 'Ends at socT');
+
+    // Network charges and loss factors: plans and settlement use buy/sell prices
+    const buyPrices = prices.map((p, i) => 1.02 * p + (i >= 64 && i < 84 ? 40 : 8));
+    const sellPrices = prices.map(p => 0.97 * p - 2);
+    const tariffed = { ...battery, buyPrices, sellPrices, availability: prices.map((_, i) => i < 48 ? 1 : 0.5) };
+    const perfect = optimiseBESS_MPC({ ...tariffed, forecast: t => prices.slice(t) });
+    assertClose(perfect.revenue, optimiseBESS_DP(tariffed).revenue, 1e-6,
+        'A perfect forecast reproduces the DP revenue at buy/sell prices');
+    assertClose(perfect.captureRatio, 1, 1e-6, 'Capture ratio measured on the same prices');
+    let rejected = false;
+    try { optimiseBESS_MPC({ ...battery, pvMW: prices.map(() => 1), forecast: t => prices.slice(t) }); }
+    catch (e) { rejected = true; }
+    assert(rejected, 'Inputs MPC does not model are rejected');
+}
+
+// Test 21: Cycle shadow price calibration expands its bracket and survives non-monotone throughput
+function testThroughputCalibration() {
+    console.log('\n=== Test: Throughput Cost Calibration ===');
+    
+    // Four swings with spreads far above the old $0-200 bracket
+    const prices = new Array(288).fill(100);
+    [500, 1000, 2000, 4000].forEach((spread, block) => {
+        for (let i = 0; i < 24; i++) prices[block * 72 + i] = 20;
+        for (let i = 36; i < 60; i++) prices[block * 72 + i] = 20 + spread;
+    });
+    const battery = { capacityMWh: 20, powerMW: 10, soc0: 0, socT: 0 };
+    
+    const calibrated = calibrateThroughputCost(prices, 2, battery);
+    assert(calibrated.method === 'bisection' && calibrated.monotonic, 'Monotone throughput is bisected');
+    assert(calibrated.shadowPrice > 200, 'Bracket expands beyond $200/MWh');
+    assert(calibrated.cycles <= 2 + 1e-9 && calibrated.cycles > 1.6, 'Calibrated schedule fills the cycle target');
+    assertClose(optimiseBESS_DP({ ...battery, prices, maxCycles: 2 }).cycleCalibration.shadowPrice,
+                calibrated.shadowPrice, 1e-9, 'maxCycles uses the same calibration');
+    
+    const loose = calibrateThroughputCost(prices, 10, battery);
+    assert(loose.method === 'unconstrained' && loose.shadowPrice === 0 && loose.solves === 1,
+           'A target the free schedule meets needs no shadow price');
+    
+    // A solver whose throughput rises between $1 and $4 and fits the budget best around $6-9
+    const throughputAt = p => p < 1 ? 300 : p < 4 ? 350 : p < 6 ? 300 : p < 9 ? 190 : 100;
+    const stub = ({ cycleShadowPrice }) => {
+        const throughput = throughputAt(cycleShadowPrice);
+        return { throughput, revenue: throughput, cycles: throughput / 200, cycleShadowPrice, notes: '' };
+    };
+    const grid = calibrateThroughputCost(prices, 1, { capacityMWh: 100, powerMW: 10 }, stub);
+    assert(!grid.monotonic && grid.method === 'grid', 'Non-monotone throughput falls back to the grid');
+    assertClose(grid.result.throughput, 190, 0, 'Grid keeps the most valuable schedule within the target');
+    assert(grid.shadowPrice >= 6 && grid.shadowPrice < 9, 'Grid reports the winning shadow price');
+}
+
+// Test 22: Hedge settlement is independent of dispatch; cap cover holds an hour of SoC through the window
+function testHedgeBook() {
+    console.log('\n=== Test: Hedge Book ===');
+    const { settleHedges, hedgeCoverMWh, HEDGE_COVER_HOURS } = require('./arbitrage-core.js');
+    
+    // 2024-08-09 is a Friday; the evening spikes to $1000/MWh
+    const data = new Array(288).fill(0).map((_, i) => ({
+        time: `${String(Math.floor(i / 12)).padStart(2, '0')}:${String(i % 12 * 5).padStart(2, '0')}`,
+        price: i >= 216 && i < 228 ? 1000 : 50
+    }));
+    const cap = { type: 'cap', strike: 300, mw: 10, premium: 12, window: { start: '07:00', end: '22:00', weekdaysOnly: true } };
+    const swap = { type: 'swap', strike: 80, mw: 5, premium: 0, window: { start: '00:00', end: '24:00', weekdaysOnly: false } };
+    
+    const friday = settleHedges(data, '2024-08-09', [cap, swap]);
+    assertClose(friday.byContract[0].premium, 12 * 10 * 15, 1e-6, 'Cap premium covers the window');
+    assertClose(friday.byContract[0].payouts, -10 * 700 * 1, 1e-6, 'Cap pays the spike above the strike');
+    assertClose(friday.byContract[1].payouts, 5 * (30 * 23 - 920 * 1), 1e-6, 'Swap settles the difference to the strike');
+    assertClose(friday.net, friday.premium + friday.payouts, 1e-9, 'Net is premium plus payouts');
+    assertClose(settleHedges(data, '2024-08-10', [cap]).net, 0, 0, 'Weekday caps do not cover Saturday');
+    
+    const battery = { capacityMWh: 20, importMW: 10, exportMW: 10, etaC: 0.95, etaD: 0.95 };
+    // A cap on the hour after the spike, when the battery would otherwise be empty
+    const evening = { ...cap, window: { start: '19:00', end: '20:00', weekdaysOnly: false } };
+    const floor = hedgeCoverMWh(data, '2024-08-09', [evening], battery);
+    assertClose(floor[227], 10 / 0.95, 1e-9, 'Cover before the window is an hour of capped MW');
+    assertClose(floor[239], 0, 0, 'Cover runs out with the window');
+    assert(hedgeCoverMWh(data, '2024-08-09', [swap], battery) === null, 'Swaps need no cover');
+    
+    const dpArgs = { prices: data.map(d => d.price), capacityMWh: 20, powerMW: 10, etaC: 0.95, etaD: 0.95,
+                     soc0: 0, socT: 0, socSteps: 201 };
+    const free = optimiseBESS_DP(dpArgs);
+    const held = optimiseBESS_DP({ ...dpArgs, socFloorMWh: floor });
+    assert(free.socSeries[228] < floor[227], 'Without cover the battery is empty for the window');
+    assert(held.socSeries.slice(1).every((soc, t) => soc >= floor[t] - 20 / 200 - 1e-9),
+           'SoC stays at the cover floor');
+    assert(held.revenue <= free.revenue + 1e-6, 'Cover costs spot revenue');
+    
+    // A peak cap holds an hour of capped MW, not the whole window's energy
+    const small = { capacityMWh: 20, importMW: 5, exportMW: 5, etaC: 0.95, etaD: 0.95 };
+    const peakFloor = hedgeCoverMWh(data, '2024-08-09', [{ ...cap, mw: 5 }], small);
+    assertClose(Math.max(...peakFloor), 5 * HEDGE_COVER_HOURS / 0.95, 1e-9, 'Peak cover is capped at an hour of capped MW');
+    const peakArgs = { ...dpArgs, powerMW: 5 };
+    const peakHeld = optimiseBESS_DP({ ...peakArgs, socFloorMWh: peakFloor });
+    assert(peakHeld.socSeries.slice(84, 264).some(soc => soc < 10), 'A peak cap does not pin the battery full');
+    assert(peakHeld.revenue >= 0.9 * optimiseBESS_DP(peakArgs).revenue, 'Peak cover costs little spot revenue');
+
+    // A weekday-only cap neither settles nor holds cover on a Saturday, and
+    // cannot be evaluated without the date
+    const { calculateDPArbitrage } = require('./arbitrage-core.js');
+    const saturday = calculateDPArbitrage(data, 0.9, 1, 20, 10, 0, null, { hedges: [cap], date: '2024-08-10' });
+    const unhedged = calculateDPArbitrage(data, 0.9, 1, 20, 10, 0, null, { date: '2024-08-10' });
+    assertClose(saturday.hedge.net, 0, 0, 'Weekday cap settles nothing on Saturday');
+    assertClose(saturday.revenue, unhedged.revenue, 1e-9, 'Weekday cap holds no cover on Saturday');
+    let undated = null;
+    try { calculateDPArbitrage(data, 0.9, 1, 20, 10, 0, null, { hedges: [cap] }); }
+    catch (e) { undated = e; }
+    assert(undated !== null, 'Weekday-only cap without a date throws');
+    assertClose(settleHedges(data, undefined, [swap]).byContract[0].payouts, friday.byContract[1].payouts, 1e-9,
+                'All-week contracts need no date');
+}
+
+// Test 23: Prices over the CPT window trigger administered pricing until the next trading day
+function testMarketRules() {
+    console.log('\n=== Test: Market Rules ===');
+    const { applyMarketRules, marketRulesFor, CPT_WINDOW_INTERVALS } = require('./market-rules.js');
+    
+    assert(marketRulesFor(2025).marketPriceCap === 17500, 'FY2025 market price cap');
+    assert(marketRulesFor(2019).marketPriceCap === marketRulesFor(2022).marketPriceCap, 'Earlier years use the first listed');
+    assert(marketRulesFor(2040) === marketRulesFor(), 'Later years use the latest');
+    assert(marketRulesFor(2023, '2022-11-30').administeredPriceCap === 300 &&
+           marketRulesFor(2023, '2022-12-01').administeredPriceCap === 600, 'The APC rose to $600 on 1 December 2022');
+    
+    // Two days of 5-minute intervals after a week sitting under the CPT; one
+    // capped spike crosses it and the APC then draws the sum back down
+    const rules = { marketPriceCap: 10000, marketPriceFloor: -1000, cumulativePriceThreshold: 810000, administeredPriceCap: 300 };
+    const times = new Array(576).fill(0).map((_, i) =>
+        `${String(Math.floor(i % 288 / 12)).padStart(2, '0')}:${String(i % 12 * 5).padStart(2, '0')}`);
+    const history = new Array(CPT_WINDOW_INTERVALS).fill(400);
+    const prices = new Array(576).fill(400);
+    prices[100] = 20000;
+    prices[101] = -5000;
+    
+    const settled = applyMarketRules(prices, { rules, times, history });
+    assert(settled.prices[100] === 10000 && settled.flags[100] === 'cap', 'Prices above the cap settle at the cap');
+    assert(settled.flags.slice(0, 100).every(f => f === null), 'No intervention under the CPT');
+    assert(settled.prices[101] === -300 && settled.flags[101] === 'administered', 'Intervals after the CPT is crossed settle within the APC');
+    assert(settled.flags.slice(101, 336).every(f => f === 'administered'), 'Administered pricing runs to the end of the trading day');
+    assert(settled.flags[336] === null && settled.prices[336] === 400, 'Pricing returns to market at the next 04:00');
+    assert(settled.administeredIntervals === 235, 'Administered intervals are counted');
+    
+    // Without times the period ends as soon as the sum is back under the CPT
+    const untimed = applyMarketRules(prices, { rules, history });
+    assert(untimed.administeredIntervals > 0 && untimed.administeredIntervals < 235, 'Untimed periods end with the CPT');
+    
+    // Intervals without data hold their place: the spike comes too late to join the week under the CPT
+    const gapped = new Array(1001).fill(null);
+    gapped[1000] = 10000;
+    const afterGap = applyMarketRules(gapped.concat([400]), { rules, history });
+    assert(afterGap.prices[0] === null && afterGap.flags[0] === null, 'Gaps settle as gaps');
+    assert(afterGap.administeredIntervals === 0, 'Gaps keep the CPT window to seven days');
+}
+
+// Test 24: 30-minute trading intervals are time-weighted and settle on half-hour steps
+function testTradingIntervals() {
+    console.log('\n=== Test: Trading Intervals ===');
+    const { tradingIntervals } = require('./market-rules.js');
+    const { calculateDPArbitrage } = require('./arbitrage-core.js');
+    const timeOf = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    
+    // 00:10 is missing, so 00:05's price holds for ten minutes
+    const dispatch = [0, 5, 15, 20, 25, 30].map((m, i) => ({ time: timeOf(m), price: [10, 40, 10, 10, 10, 70][i] }));
+    const trading = tradingIntervals(dispatch, 30);
+    assert(trading.length === 2 && trading[1].time === '00:30', 'Dispatch intervals group into half hours');
+    assertClose(trading[0].price, (10 * 5 + 40 * 10 + 10 * 15) / 30, 1e-9, 'Trading price is time-weighted');
+    
+    // Prices constant within each half hour: both resolutions see the same day
+    const halfHourPrices = new Array(48).fill(0).map((_, h) => h >= 20 && h < 24 ? 10 : h >= 36 && h < 40 ? 200 : 60);
+    const fiveMinute = new Array(288).fill(0).map((_, i) => ({ time: timeOf(i * 5), price: halfHourPrices[Math.floor(i / 6)] }));
+    const halfHour = tradingIntervals(fiveMinute, 30);
+    assert(halfHour.length === 48 && halfHour.every((d, h) => d.price === halfHourPrices[h]), 'Constant half hours keep their price');
+    
+    // 12 MW moves whole SoC steps at either resolution
+    const fine = calculateDPArbitrage(fiveMinute, 1, 1, 20, 12, 0, null);
+    const coarse = calculateDPArbitrage(halfHour, 1, 1, 20, 12, 0, null, { dtHours: 0.5 });
+    const settled = coarse.operations.reduce((sum, op) => sum + op.gridFlow * 0.5 * op.price, 0);
+    assertClose(coarse.wholesaleRevenue, settled, 1e-6, 'Half-hour schedules settle MW × 0.5 h × price');
+    assertClose(coarse.cycles, fine.cycles, 1e-9, 'Both resolutions use the same cycles');
+    assertClose(coarse.wholesaleRevenue, fine.wholesaleRevenue, 1e-6, 'Both resolutions earn the same');
+    
+    // The terminal reference price samples the same five hours at either resolution
+    const rising = new Array(48).fill(0).map((_, h) => 20 + 5 * h);
+    const risingFine = new Array(288).fill(0).map((_, i) => rising[Math.floor(i / 6)]);
+    assert(terminalReferencePrice(risingFine, 5 / 60) === 45 && terminalReferencePrice(rising, 0.5) === 45,
+        'Reference price is the median of the first five hours at both resolutions');
+}
+
+// Test 25: Outages cut power in the hours they cover; forced outages average the outage rate
+function testAvailability() {
+    console.log('\n=== Test: Availability ===');
+    const { calculateDPArbitrage, plannedOutageWindows, sampleForcedOutages, availabilityForDay,
+            seededRandom, revenueExceedance } = require('./arbitrage-core.js');
+    const timeOf = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    const day = new Array(288).fill(0).map((_, i) => ({ time: timeOf(i * 5), price: i >= 120 && i < 156 ? 10 : i >= 216 && i < 252 ? 200 : 60 }));
+    
+    // 18:00-20:00 whole battery on the second day, 17:02-18:00 half of it on both
+    const windows = plannedOutageWindows([
+        { from: '2024-02-02', to: '2024-02-02', start: '18:00', end: '20:00', mw: null },
+        { from: '2024-02-01', to: '2024-02-03', start: '17:02', end: '18:00', mw: 5 }
+    ], '2024-02-01', 2);
+    assert(windows.length === 3 && windows[0].startHour === 42, 'Planned outages fall on their days within the period');
+    const availability = availabilityForDay(day, 1, windows, 10);
+    assertClose(availability[204], 1 - 0.5 * 3 / 5, 1e-9, 'A partial interval is time-weighted');
+    assert(Math.abs(availability[210] - 0.5) < 1e-9 && Math.abs(availability[216]) < 1e-9 && availability[240] === 1,
+           'Partial and full outages scale availability');
+    assert(availabilityForDay(day, 5, windows, 10) === null, 'Days without outages are unrestricted');
+    
+    // Long-run share out across 20 units matches the forced outage rate
+    const forced = sampleForcedOutages(2000, 20, 10, 0.05, 24, seededRandom(7));
+    const hoursOut = forced.reduce((sum, w) => sum + w.endHour - w.startHour, 0);
+    assertClose(hoursOut / (20 * 2000 * 24), 0.05, 0.005, 'Forced outages average the outage rate');
+    const again = sampleForcedOutages(2000, 20, 10, 0.05, 24, seededRandom(7));
+    assert(again.length === forced.length && again[0].startHour === forced[0].startHour, 'Seeded trials repeat');
+    
+    const band = revenueExceedance([5, 1, 4, 2, 3]);
+    assert(band.p90 <= band.p50 && band.p50 <= band.p10 && band.p50 === 3, 'P90 is the low case and P10 the high');
+    
+    // The DP keeps within the available power and earns less
+    const full = calculateDPArbitrage(day, 1, 1, 20, 10, 0, null);
+    const cut = calculateDPArbitrage(day, 1, 1, 20, 10, 0, null, { availability });
+    assert(cut.operations.every((op, t) => Math.abs(op.gridFlow) <= 10 * availability[t] + 1e-6), 'Schedules keep within available power');
+    assert(cut.revenue < full.revenue, 'Outages in the evening peak cost revenue');
+}
+
+// Test 26: Cancelling the optimiser pool settles every pending task, on the main thread too
+async function testOptimiserPool() {
+    console.log('\n=== Test: Optimiser Pool ===');
+    const { createOptimiserPool } = require('./arbitrage-core.js');
+    const settings = { prices: [10, 10, 200, 200], capacityMWh: 1, powerMW: 1, etaC: 1, etaD: 1, dtHours: 1, socSteps: 11 };
+    
+    // No workers under node: tasks run on the main thread
+    const pool = createOptimiserPool(0);
+    assert(pool.size === 0, 'Pool without workers runs on the main thread');
+    const done = await pool.run('dpRevenue', [settings]);
+    assertClose(done.revenue, optimiseBESS_DP(settings).revenue, 1e-9, 'Main-thread task resolves with its result');
+    
+    const pending = [pool.run('dpRevenue', [settings]), pool.run('dpRevenue', [settings])];
+    pool.terminate();
+    const outcomes = await Promise.all(pending.map(task => task.then(() => 'resolved', error => error.message)));
+    assert(outcomes.every(outcome => outcome === 'Optimiser pool terminated'), 'Terminate rejects tasks waiting on the main thread');
+    const late = await pool.run('dpRevenue', [settings]).then(() => 'resolved', error => error.message);
+    assert(late === 'Optimiser pool terminated', 'A terminated pool rejects new tasks');
+}
+
+// Test 27: Sweep ranges parse as min:max:step and the surface reports marginal revenue per MWh
+function testSizingSweep() {
+    console.log('\n=== Test: Sizing Sweep ===');
+    const { parseSweepRange, summariseSizingSweep } = require('./arbitrage-core.js');
+    
+    assert(parseSweepRange('50:200:50').join() === '50,100,150,200', 'Range steps from min to max');
+    assert(parseSweepRange('0.5:1.5:0.5').join() === '0.5,1,1.5', 'Fractional steps are rounded');
+    assert(parseSweepRange('20:40').join() === '20,40' && parseSweepRange(' 30 ').join() === '30',
+           'Two values step by their difference; one value is a single size');
+    assert(['40:20', '0:10:5', '10:20:0', '1:2:3:4', 'ten'].every(text => parseSweepRange(text) === null),
+           'Empty, non-positive and malformed ranges are rejected');
+    
+    // Two days per configuration; days without data are null
+    const configs = [[10, 20, [100, 50]], [10, 40, [150, 90]], [20, 20, [120, null]], [20, 40, [200, 60]]]
+        .map(([powerMW, capacityMWh, revenues]) => ({
+            powerMW, capacityMWh, results: revenues.map(revenue => revenue === null ? null : { revenue, cycles: 1 })
+        }));
+    const sweep = summariseSizingSweep([10, 20], [20, 40], configs);
+    assert(sweep.rows.length === 2 && sweep.rows[0].length === 2, 'One row per power, one cell per energy');
+    assertClose(sweep.rows[0][1].revenue, 240, 1e-9, 'Cell revenue sums the days');
+    assert(sweep.rows[1][0].cycles === 1, 'Days without data add nothing');
+    assert(sweep.rows[0][0].marginalPerMWh === null, 'First column has no marginal revenue');
+    assertClose(sweep.rows[0][1].marginalPerMWh, (240 - 150) / 20, 1e-9, 'Marginal revenue per extra MWh');
+    assert(sweep.best.powerMW === 20 && sweep.best.capacityMWh === 40 && sweep.minRevenue === 120,
+           'Best and lowest revenue across the surface');
+}
+
+// Test 28: Loss factors follow the financial year and weigh the heuristic's trades
+function testLossFactors() {
+    console.log('\n=== Test: Loss Factors ===');
+    const { financialYearOf, mlfForDate, calculateMultiCycleArbitrage } = require('./arbitrage-core.js');
+    
+    assert(financialYearOf('2024-06-30') === 2024 && financialYearOf('2024-07-01') === 2025,
+           'Financial years run July to June, named by the year they end');
+    
+    const mlf = { generation: 0.98, load: 1.01, byYear: { 2025: { generation: 0.9, load: 0 } } };
+    const fy2024 = mlfForDate(mlf, '2024-06-30');
+    const fy2025 = mlfForDate(mlf, '2024-07-01');
+    assert(fy2024.generation === 0.98 && fy2024.load === 1.01, 'Years not listed use the defaults');
+    assert(fy2025.generation === 0.9 && fy2025.load === 1.01, 'A listed year overrides, falling back per factor');
+    assert(mlfForDate(null, '2024-07-01').generation === 1 && mlfForDate(null, '2024-07-01').load === 1,
+           'No loss factors is lossless');
+    
+    // A $5 spread pays at RRP but loses once exports settle at 90% of it
+    const timeOf = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    const day = new Array(288).fill(0).map((_, i) => ({ time: timeOf(i * 5), price: i < 144 ? 50 : 55 }));
+    const lossless = calculateMultiCycleArbitrage(day, 1, 1, 10, 5, null);
+    const lossy = calculateMultiCycleArbitrage(day, 1, 1, 10, 5, null, { mlf: { generation: 0.9, load: 1 } });
+    assert(lossless.revenue > 0, 'The spread trades at RRP');
+    assert(lossy.energyTraded === 0 && lossy.revenue === 0, 'Trades that lose after loss factors are not taken');
+}
+
+// Test 29: State of health fades by calendar and cycles, augmentation restores it, and fade costs revenue
+function testStateOfHealth() {
+    console.log('\n=== Test: State of Health ===');
+    const { ageStateOfHealth, augmentStateOfHealth, revenueLostToFade, calculateDPArbitrage } = require('./arbitrage-core.js');
+    
+    const calendar = { calendarFadePerYear: 0.02, cycleFadePerCycle: 0 };
+    let soh = 1;
+    for (let d = 0; d < 365; d++) soh = ageStateOfHealth(soh, 0, calendar);
+    assertClose(soh, 0.98, 1e-9, 'A year of calendar fade');
+    const cycling = { calendarFadePerYear: 0, cycleFadePerCycle: 0.00005 };
+    assertClose(ageStateOfHealth(1, 2, cycling), 0.9999, 1e-12, 'Cycle fade follows the cycles used');
+    assertClose(ageStateOfHealth(0.95, 1.5, { calendarFadePerYear: 0.0365, cycleFadePerCycle: 0.001 }),
+                0.95 - 0.0001 - 0.0015, 1e-12, 'Calendar and cycle fade add up');
+    assert(ageStateOfHealth(0.0001, 10, cycling) === 0, 'State of health never goes negative');
+    
+    // Augmentation restores SoH on its date, once; two events on one day leave the later one
+    const events = [{ date: '2025-01-01', soh: 1 }, { date: '2025-07-01', soh: 0.9 }, { date: '2025-07-01', soh: 0.95 }];
+    let state = augmentStateOfHealth(0.8, 0, events, '2024-12-31');
+    assert(state.soh === 0.8 && state.nextEvent === 0, 'No augmentation before its date');
+    state = augmentStateOfHealth(state.soh, state.nextEvent, events, '2025-01-01');
+    assert(state.soh === 1 && state.nextEvent === 1, 'Augmentation restores the SoH on its date');
+    state = augmentStateOfHealth(0.97, state.nextEvent, events, '2025-03-01');
+    assert(state.soh === 0.97, 'A past augmentation does not apply again');
+    state = augmentStateOfHealth(state.soh, state.nextEvent, events, '2025-08-01');
+    assert(state.soh === 0.95 && state.nextEvent === 3, 'Events passed over apply in date order');
+    
+    // Where energy binds an aged battery earns less than nameplate; days either run missed are not compared
+    const timeOf = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+    const day = new Array(288).fill(0).map((_, i) => ({ time: timeOf(i * 5), price: i >= 120 && i < 156 ? 10 : i >= 216 && i < 252 ? 200 : 60 }));
+    const full = calculateDPArbitrage(day, 0.9, 1, 20, 10, 0, null);
+    const aged = calculateDPArbitrage(day, 0.9, 1, 20 * 0.8, 10, 0, null);
+    assert(aged.revenue < full.revenue, 'Faded capacity earns less');
+    assertClose(revenueLostToFade([aged, null, aged], [full, full, null]), full.revenue - aged.revenue, 1e-9,
+                'Revenue lost to fade counts the days both runs cover');
+}
+
 // Run all tests
 console.log('Running Lé Tool Acceptance Tests...\n');
 
 // Load the optimizer functions (would need to be exported properly)
 // For now, we'll note that these would be run in a browser or proper test environment
 
-try {
-    // In a real test environment, load the modules first
-    if (typeof optimiseBESS_DP === 'undefined') {
-        console.log('Note: Tests should be run in environment with dp-optimizer.js loaded');
-        console.log('Example: Include via script tag in HTML test page');
-    } else {
-        testCyclicOperation();
-        testMonotoneCycles();
-        testConstraintSatisfaction();
-        testPriceCleaning();
-        testEfficiencyModel();
+(async () => {
+    try {
+        // In a real test environment, load the modules first
+        if (typeof optimiseBESS_DP === 'undefined') {
+            console.log('Note: Tests should be run in environment with dp-optimizer.js loaded');
+            console.log('Example: Include via script tag in HTML test page');
+        } else {
+            testCyclicOperation();
+            testMonotoneCycles();
+            testConstraintSatisfaction();
+            testPriceCleaning();
+            testEfficiencyModel();
+            testRampRate();
+            testMaxCycles();
+            testMinRunAndRest();
+            await testRollingHorizon();
+            testStochasticDP();
+            testFCASCoOptimisation();
+            testImportExportLimits();
+            testPowerCurves();
+            testTariffAwareObjective();
+            testDemandCharges();
+            testRainflowDegradation();
+            testPVHybrid();
+            testBidCurves();
+            testFinancialModel();
+            testRecedingHorizon();
+            testThroughputCalibration();
+            testHedgeBook();
+            testMarketRules();
+            testTradingIntervals();
+            testAvailability();
+            await testOptimiserPool();
+            testSizingSweep();
+            testLossFactors();
+            testStateOfHealth();
         
-        console.log('\n=== Test Summary ===');
-        console.log(`Passed: ${passedTests}`);
-        console.log(`Failed: ${failedTests}`);
+            console.log('\n=== Test Summary ===');
+            console.log(`Passed: ${passedTests}`);
+            console.log(`Failed: ${failedTests}`);
         
-        if (failedTests === 0) {
-            console.log('✓ All tests passed!');
-        } else {
-            console.log('✗ Some tests failed');
-            process.exit(1);
+            if (failedTests === 0) {
+                console.log('✓ All tests passed!');
+            } else {
+                console.log('✗ Some tests failed');
+                process.exit(1);
+            }
         }
+    } catch (error) {
+        console.error('Test error:', error);
+        process.exit(1);
     }
-} catch (error) {
-    console.error('Test error:', error);
-    process.exit(1);
-}
\ No newline at end of file
+})();
@@ -4,8 +4,9 @@
  */
 
 import { BacktestRunner } from './runner';
-import { strategies } from './strategies';
+import { strategies, rampLimitMW, batteryLimits } from './strategies';
 import { calculateMetrics } from './metrics';
+import { optimiseBESS_DP, FCAS_SERVICES } from '../../../dp-optimizer.js';
 
 export interface Env {
   NEM_R2: R2Bucket;
@@ -23,17 +24,24 @@ export interface BacktestRequest {
   battery: {
     powerMW: number;
     capacityMWh: number;
-    efficiency: number;
+    efficiency: number;          // round trip; split as √η unless given separately
+    chargeEfficiency?: number;
+    dischargeEfficiency?: number;
+    importMW?: number;           // grid-side charge limit (default powerMW)
+    exportMW?: number;           // grid-side discharge limit (default powerMW out of the battery)
     rampMWPerMin?: number;
     cyclesMax?: number;
   };
   tariff?: string;
   fcas?: {
     enabled: boolean;
-    services: string[];
-    reservePercent?: number;
+    services: string[];          // e.g. RAISEREG, LOWER60SEC (see FCAS_SERVICES)
+    reservePercent?: number;     // max enablement per service, % of battery power
+    prices?: Record<string, number>; // $/MW/h assumed where intervals carry no FCAS price
   };
   params?: Record<string, any>;
+  priceSource?: 'actual' | 'forecast'; // prices strategies decide on; trades always settle at actual prices
+  forecastModel?: string;              // harvester forecast model (default: best backtested)
 }
 
 export default {
@@ -198,6 +206,10 @@ export class BacktestRunner {
         config.endDate
       );
       
+      if (config.priceSource === 'forecast') {
+        await this.attachForecasts(data, config.region, config.forecastModel);
+      }
+      
       this.progress = 25;
       
       // Run strategy
@@ -210,7 +222,7 @@ export class BacktestRunner {
       this.progress = 50;
       
       // Run perfect hindsight benchmark
-      const benchmark = await this.runPerfectHindsight(data, config.battery);
+      const benchmark = await this.runPerfectHindsight(data, config.battery, config.fcas);
       this.progress = 75;
       
       // Calculate metrics
@@ -254,14 +266,96 @@ export class BacktestRunner {
     return data.data;
   }
 
-  private async runPerfectHindsight(data: any[], battery: any): Promise<any> {
-    // This would run the DP optimizer with perfect foresight
-    // For now, return a simple benchmark
-    return {
-      revenue: data.length * 100, // Placeholder
-      cycles: 2.0,
-      energyTraded: battery.capacityMWh * 2 * data.length / 288
-    };
+  private async attachForecasts(data: any[], region: string, model?: string): Promise<void> {
+    // Day-ahead forecast for each trading day, issued from the history before
+    // it, as interval.forecastPrice for the strategies to decide on
+    const days = new Map<string, any[]>();
+    for (const interval of data) {
+      const day = interval.aestDate || interval.timestamp.split('T')[0];
+      if (!days.has(day)) days.set(day, []);
+      days.get(day)!.push(interval);
+    }
+    
+    for (const [date, intervals] of days) {
+      const modelParam = model ? `&model=${model}` : '';
+      const response = await fetch(
+        `${this.env.HARVESTER_URL}/api/forecast?region=${region}&date=${date}&horizon=1${modelParam}`
+      );
+      const result: any = await response.json();
+      if (!result.success) {
+        throw new Error(`No forecast for ${date}: ${result.error}`);
+      }
+      
+      // Slots the forecast misses take the forecast before them (the first
+      // slot's before that), never the actual price
+      const forecast: any[] = result.forecast[0]?.data ?? [];
+      if (forecast.length === 0) {
+        throw new Error(`No forecast for ${date}: empty forecast`);
+      }
+      const byTime = new Map(forecast.map((d: any) => [d.time, d.price]));
+      let previous = forecast[0].price;
+      for (const interval of intervals) {
+        if (byTime.has(interval.time)) previous = byTime.get(interval.time);
+        interval.forecastPrice = previous;
+      }
+    }
+  }
+
+  private async runPerfectHindsight(data: any[], battery: any, fcas?: BacktestRequest['fcas']): Promise<any> {
+    // Perfect foresight: solve each trading day with the DP optimiser under
+    // the same power, efficiency and ramp limits the strategies face,
+    // co-optimising FCAS enablement when the request enables it
+    const days = new Map<string, any[]>();
+    for (const interval of data) {
+      const day = interval.aestDate || interval.timestamp.split('T')[0];
+      if (!days.has(day)) days.set(day, []);
+      days.get(day)!.push(interval);
+    }
+    
+    const { etaC, etaD, importMW, exportMW } = batteryLimits(battery);
+    const fcasServices = fcas?.enabled
+      ? fcas.services.filter(service => service in FCAS_SERVICES)
+      : [];
+    const fcasRevenue: Record<string, number> = {};
+    fcasServices.forEach(service => { fcasRevenue[service] = 0; });
+    let revenue = 0;
+    let cycles = 0;
+    let energyTraded = 0;
+    
+    for (const intervals of days.values()) {
+      // Per-interval FCAS prices where the data has them, else the request's assumption
+      let fcasPrices: Record<string, number[]> | null = null;
+      if (fcasServices.length > 0) {
+        fcasPrices = {};
+        for (const service of fcasServices) {
+          fcasPrices[service] = intervals.map(d => d.fcas?.[service] ?? fcas!.prices?.[service] ?? 0);
+        }
+      }
+      
+      const result = optimiseBESS_DP({
+        prices: intervals.map(d => d.price),
+        capacityMWh: battery.capacityMWh,
+        powerMW: battery.powerMW,
+        importMW,
+        exportMW,
+        etaC,
+        etaD,
+        soc0: 0,
+        socT: 0,
+        rampRateMW: rampLimitMW(battery),
+        fcasPrices,
+        fcasMaxMW: battery.powerMW * (fcas?.reservePercent ?? 100) / 100
+      });
+      
+      revenue += result.revenue;
+      cycles += result.cycles;
+      energyTraded += result.energyTraded;
+      for (const service of fcasServices) {
+        fcasRevenue[service] += result.fcasRevenue[service];
+      }
+    }
+    
+    return { revenue, cycles, energyTraded, fcasRevenue };
   }
 }
 
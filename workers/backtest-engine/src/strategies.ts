@@ -38,6 +38,99 @@ export interface ScheduleEntry {
   revenue: number;
 }
 
+const INTERVAL_HOURS = 5 / 60;
+
+/**
+ * The price a strategy decides on: the interval's forecast when the backtest
+ * runs on forecasts (priceSource 'forecast'; attachForecasts gives every
+ * interval one), else the actual price. Trades still settle at the actual
+ * price.
+ */
+function decisionPrice(interval: any): number {
+  return 'forecastPrice' in interval ? interval.forecastPrice : interval.price;
+}
+
+/**
+ * Ramp limit in MW per 5-minute interval, or null when the battery has none.
+ * Shared with the perfect-hindsight benchmark so both honour the same limit.
+ */
+export function rampLimitMW(battery: any): number | null {
+  return battery.rampMWPerMin > 0 ? battery.rampMWPerMin * 5 : null;
+}
+
+/**
+ * Charge / discharge efficiencies and grid-side power limits. Efficiencies
+ * default to the square root of the round trip; limits follow the DP
+ * defaults (import at powerMW, export at powerMW out of the battery).
+ */
+export function batteryLimits(battery: any) {
+  const etaC = battery.chargeEfficiency ?? Math.sqrt(battery.efficiency);
+  const etaD = battery.dischargeEfficiency ?? Math.sqrt(battery.efficiency);
+  return {
+    etaC,
+    etaD,
+    importMW: battery.importMW ?? battery.powerMW,
+    exportMW: battery.exportMW ?? etaD * battery.powerMW
+  };
+}
+
+interface DispatchState {
+  soc: number;
+  powerMW: number;   // previous interval's grid power (+discharge / -charge)
+}
+
+/**
+ * Move the battery towards a target grid power (+discharge / -charge) for one
+ * interval, honouring import/export, SoC and ramp limits, and settle it at the price.
+ * The target is first cut to the power the SoC allows this interval, then
+ * ramped from the previous power, so a full or empty battery does not turn
+ * the ramped power into a step. The ramp gives way only where the SoC leaves
+ * no choice.
+ */
+function dispatch(state: DispatchState, targetMW: number, price: number, battery: any) {
+  const { etaC, etaD, importMW, exportMW } = batteryLimits(battery);
+  const ramp = rampLimitMW(battery);
+  
+  // Grid power the SoC allows: charge into the headroom left, discharge what is stored
+  const minMW = -Math.min(importMW, (battery.capacityMWh - state.soc) / etaC / INTERVAL_HOURS);
+  const maxMW = Math.min(exportMW, state.soc * etaD / INTERVAL_HOURS);
+  const feasible = (mw: number) => Math.max(minMW, Math.min(maxMW, mw));
+  
+  let powerMW = feasible(targetMW);
+  if (ramp !== null) {
+    powerMW = feasible(Math.max(state.powerMW - ramp, Math.min(state.powerMW + ramp, powerMW)));
+  }
+  
+  let action: 'charge' | 'discharge' | 'hold' = 'hold';
+  let intervalRevenue = 0;
+  let gridEnergy = 0;
+  let throughput = 0;
+  
+  if (powerMW < 0) {
+    // Charge
+    const chargeAmount = Math.min(-powerMW * INTERVAL_HOURS * etaC, battery.capacityMWh - state.soc);
+    gridEnergy = chargeAmount / etaC;
+    powerMW = -gridEnergy / INTERVAL_HOURS;
+    state.soc += chargeAmount;
+    intervalRevenue = -price * gridEnergy;
+    throughput = chargeAmount;
+  } else if (powerMW > 0) {
+    // Discharge
+    const dischargeAmount = Math.min(powerMW * INTERVAL_HOURS / etaD, state.soc);
+    gridEnergy = dischargeAmount * etaD;
+    powerMW = gridEnergy / INTERVAL_HOURS;
+    state.soc -= dischargeAmount;
+    intervalRevenue = price * gridEnergy;
+    throughput = dischargeAmount;
+  }
+  
+  if (powerMW < 0) action = 'charge';
+  else if (powerMW > 0) action = 'discharge';
+  state.powerMW = powerMW;
+  
+  return { action, powerMW, intervalRevenue, gridEnergy, throughput };
+}
+
 // Simple threshold-based strategy
 const thresholdStrategy: Strategy = {
   id: 'threshold',
@@ -63,54 +156,34 @@ const thresholdStrategy: Strategy = {
   ],
   async run(data, battery, params) {
     const schedule: ScheduleEntry[] = [];
-    let soc = 0;
+    const limits = batteryLimits(battery);
+    const state: DispatchState = { soc: 0, powerMW: 0 };
     let revenue = 0;
     let cycles = 0;
     let energyTraded = 0;
     
-    const maxCharge = battery.powerMW * (5/60); // MWh per interval
-    const maxDischarge = battery.powerMW * (5/60);
-    const efficiency = Math.sqrt(battery.efficiency);
-    
     for (const interval of data) {
-      let action: 'charge' | 'discharge' | 'hold' = 'hold';
-      let powerMW = 0;
-      let intervalRevenue = 0;
+      let targetMW = 0;
       
-      if (interval.price <= params.chargeThreshold && soc < battery.capacityMWh) {
-        // Charge
-        const chargeAmount = Math.min(maxCharge, battery.capacityMWh - soc);
-        const gridEnergy = chargeAmount / efficiency;
-        
-        action = 'charge';
-        powerMW = -chargeAmount / (5/60);
-        soc += chargeAmount;
-        intervalRevenue = -interval.price * gridEnergy;
-        energyTraded += gridEnergy;
-        cycles += chargeAmount / (2 * battery.capacityMWh);
-        
-      } else if (interval.price >= params.dischargeThreshold && soc > 0) {
-        // Discharge
-        const dischargeAmount = Math.min(maxDischarge, soc);
-        const gridEnergy = dischargeAmount * efficiency;
-        
-        action = 'discharge';
-        powerMW = dischargeAmount / (5/60);
-        soc -= dischargeAmount;
-        intervalRevenue = interval.price * gridEnergy;
-        energyTraded += gridEnergy;
-        cycles += dischargeAmount / (2 * battery.capacityMWh);
+      const price = decisionPrice(interval);
+      if (price <= params.chargeThreshold && state.soc < battery.capacityMWh) {
+        targetMW = -limits.importMW; // Charge
+      } else if (price >= params.dischargeThreshold && state.soc > 0) {
+        targetMW = limits.exportMW;  // Discharge
       }
       
-      revenue += intervalRevenue;
+      const step = dispatch(state, targetMW, interval.price, battery);
+      revenue += step.intervalRevenue;
+      energyTraded += step.gridEnergy;
+      cycles += step.throughput / (2 * battery.capacityMWh);
       
       schedule.push({
         timestamp: interval.timestamp,
-        action,
-        powerMW,
-        soc,
+        action: step.action,
+        powerMW: step.powerMW,
+        soc: state.soc,
         price: interval.price,
-        revenue: intervalRevenue
+        revenue: step.intervalRevenue
       });
     }
     
@@ -153,21 +226,18 @@ const spreadStrategy: Strategy = {
   ],
   async run(data, battery, params) {
     const schedule: ScheduleEntry[] = [];
-    let soc = battery.capacityMWh * 0.5; // Start at 50%
+    const limits = batteryLimits(battery);
+    const state: DispatchState = { soc: battery.capacityMWh * 0.5, powerMW: 0 }; // Start at 50%
     let revenue = 0;
     let cycles = 0;
     let energyTraded = 0;
     
-    const maxCharge = battery.powerMW * (5/60);
-    const maxDischarge = battery.powerMW * (5/60);
-    const efficiency = Math.sqrt(battery.efficiency);
-    
     // Calculate moving averages
     const movingAvg: number[] = [];
     const movingStd: number[] = [];
     
     for (let i = 0; i < data.length; i++) {
-      const window = data.slice(Math.max(0, i - params.windowSize), i + 1).map(d => d.price);
+      const window = data.slice(Math.max(0, i - params.windowSize), i + 1).map(decisionPrice);
       const avg = window.reduce((a, b) => a + b, 0) / window.length;
       const std = Math.sqrt(window.reduce((sum, p) => sum + Math.pow(p - avg, 2), 0) / window.length);
       
@@ -180,44 +250,27 @@ const spreadStrategy: Strategy = {
       const avg = movingAvg[i];
       const std = movingStd[i];
       
-      let action: 'charge' | 'discharge' | 'hold' = 'hold';
-      let powerMW = 0;
-      let intervalRevenue = 0;
+      let targetMW = 0;
       
-      if (interval.price < avg - params.spreadMultiplier * std && soc < battery.capacityMWh) {
-        // Charge - price is unusually low
-        const chargeAmount = Math.min(maxCharge, battery.capacityMWh - soc);
-        const gridEnergy = chargeAmount / efficiency;
-        
-        action = 'charge';
-        powerMW = -chargeAmount / (5/60);
-        soc += chargeAmount;
-        intervalRevenue = -interval.price * gridEnergy;
-        energyTraded += gridEnergy;
-        cycles += chargeAmount / (2 * battery.capacityMWh);
-        
-      } else if (interval.price > avg + params.spreadMultiplier * std && soc > 0) {
-        // Discharge - price is unusually high
-        const dischargeAmount = Math.min(maxDischarge, soc);
-        const gridEnergy = dischargeAmount * efficiency;
-        
-        action = 'discharge';
-        powerMW = dischargeAmount / (5/60);
-        soc -= dischargeAmount;
-        intervalRevenue = interval.price * gridEnergy;
-        energyTraded += gridEnergy;
-        cycles += dischargeAmount / (2 * battery.capacityMWh);
+      const price = decisionPrice(interval);
+      if (price < avg - params.spreadMultiplier * std && state.soc < battery.capacityMWh) {
+        targetMW = -limits.importMW; // Charge - price is unusually low
+      } else if (price > avg + params.spreadMultiplier * std && state.soc > 0) {
+        targetMW = limits.exportMW;  // Discharge - price is unusually high
       }
       
-      revenue += intervalRevenue;
+      const step = dispatch(state, targetMW, interval.price, battery);
+      revenue += step.intervalRevenue;
+      energyTraded += step.gridEnergy;
+      cycles += step.throughput / (2 * battery.capacityMWh);
       
       schedule.push({
         timestamp: interval.timestamp,
-        action,
-        powerMW,
-        soc,
+        action: step.action,
+        powerMW: step.powerMW,
+        soc: state.soc,
         price: interval.price,
-        revenue: intervalRevenue
+        revenue: step.intervalRevenue
       });
     }
     
@@ -276,59 +329,38 @@ const peakShaveStrategy: Strategy = {
   ],
   async run(data, battery, params) {
     const schedule: ScheduleEntry[] = [];
-    let soc = battery.capacityMWh * 0.5;
+    const limits = batteryLimits(battery);
+    const state: DispatchState = { soc: battery.capacityMWh * 0.5, powerMW: 0 };
     let revenue = 0;
     let cycles = 0;
     let energyTraded = 0;
     
-    const maxCharge = battery.powerMW * (5/60);
-    const maxDischarge = battery.powerMW * (5/60);
-    const efficiency = Math.sqrt(battery.efficiency);
-    
     for (const interval of data) {
       const hour = new Date(interval.timestamp).getHours();
-      let action: 'charge' | 'discharge' | 'hold' = 'hold';
-      let powerMW = 0;
-      let intervalRevenue = 0;
+      let targetMW = 0;
       
       const isMorningPeak = hour >= params.morningPeakStart && hour < params.morningPeakEnd;
       const isEveningPeak = hour >= params.eveningPeakStart && hour < params.eveningPeakEnd;
       const isPeak = isMorningPeak || isEveningPeak;
       
-      if (isPeak && soc > 0) {
-        // Discharge during peak
-        const dischargeAmount = Math.min(maxDischarge, soc);
-        const gridEnergy = dischargeAmount * efficiency;
-        
-        action = 'discharge';
-        powerMW = dischargeAmount / (5/60);
-        soc -= dischargeAmount;
-        intervalRevenue = interval.price * gridEnergy;
-        energyTraded += gridEnergy;
-        cycles += dischargeAmount / (2 * battery.capacityMWh);
-        
-      } else if (!isPeak && soc < battery.capacityMWh && interval.price < 50) {
-        // Charge during off-peak if price is reasonable
-        const chargeAmount = Math.min(maxCharge, battery.capacityMWh - soc);
-        const gridEnergy = chargeAmount / efficiency;
-        
-        action = 'charge';
-        powerMW = -chargeAmount / (5/60);
-        soc += chargeAmount;
-        intervalRevenue = -interval.price * gridEnergy;
-        energyTraded += gridEnergy;
-        cycles += chargeAmount / (2 * battery.capacityMWh);
+      if (isPeak && state.soc > 0) {
+        targetMW = limits.exportMW;  // Discharge during peak
+      } else if (!isPeak && state.soc < battery.capacityMWh && decisionPrice(interval) < 50) {
+        targetMW = -limits.importMW; // Charge during off-peak if price is reasonable
       }
       
-      revenue += intervalRevenue;
+      const step = dispatch(state, targetMW, interval.price, battery);
+      revenue += step.intervalRevenue;
+      energyTraded += step.gridEnergy;
+      cycles += step.throughput / (2 * battery.capacityMWh);
       
       schedule.push({
         timestamp: interval.timestamp,
-        action,
-        powerMW,
-        soc,
+        action: step.action,
+        powerMW: step.powerMW,
+        soc: state.soc,
         price: interval.price,
-        revenue: intervalRevenue
+        revenue: step.intervalRevenue
       });
     }
     
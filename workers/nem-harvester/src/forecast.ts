@@ -0,0 +1,207 @@
+/**
+ * Price forecasting from harvested history (silver/day/{region}/{date}.json).
+ * Each model forecasts a whole day of 5-minute prices from the days before
+ * the issue date; backtests replay the models over the most recent days.
+ */
+
+export interface DayPrices {
+  date: string;                  // YYYY-MM-DD (AEST)
+  prices: (number | undefined)[]; // $/MWh per 5-minute slot from 00:00 (undefined = missing)
+}
+
+export interface Accuracy {
+  mae: number | null;            // $/MWh
+  rmse: number | null;           // $/MWh
+  spikeHitRate: number | null;   // share of spike intervals also forecast as spikes (null = no spikes)
+  spikes: number;
+  intervals: number;
+  days: number;
+}
+
+// 5-minute slots in a day
+export const SLOTS = 288;
+// Prices at or above this ($/MWh) count as spikes for the hit rate
+export const SPIKE_PRICE = 300;
+// Days of history behind the profile and regression models
+export const PROFILE_DAYS = 28;
+// Days replayed by the backtest
+export const BACKTEST_DAYS = 7;
+
+type Model = (history: DayPrices[], target: string) => number[];
+
+/**
+ * Slot index ("HH:MM" → 0..287) of a stored interval
+ */
+export function slotOf(time: string): number {
+  const [hour, minute] = time.split(':').map(Number);
+  return Math.floor((hour * 60 + minute) / 5) % SLOTS;
+}
+
+/**
+ * Stored intervals ({ time, price }) as a day of slot prices
+ */
+export function toDayPrices(date: string, intervals: { time: string; price: number }[]): DayPrices {
+  const prices: (number | undefined)[] = new Array(SLOTS).fill(undefined);
+  for (const interval of intervals) {
+    if (Number.isFinite(interval.price)) prices[slotOf(interval.time)] = interval.price;
+  }
+  return { date, prices };
+}
+
+function isWeekend(date: string): boolean {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day === 0 || day === 6;
+}
+
+function mean(values: number[]): number | undefined {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : undefined;
+}
+
+/**
+ * Each slot's value from the latest day that has it
+ */
+function latest(days: DayPrices[]): (number | undefined)[] {
+  return Array.from({ length: SLOTS }, (_, s) => {
+    for (let d = days.length - 1; d >= 0; d--) {
+      if (days[d].prices[s] !== undefined) return days[d].prices[s];
+    }
+    return undefined;
+  });
+}
+
+/**
+ * Fill slots no model could price with the mean of the rest (0 if none)
+ */
+function filled(values: (number | undefined)[]): number[] {
+  const known = values.filter((v): v is number => v !== undefined);
+  const fallback = mean(known) ?? 0;
+  return values.map(v => v === undefined ? fallback : v);
+}
+
+// Seasonal naive: the last harvested day, slot by slot
+const seasonalNaive: Model = history => filled(latest(history));
+
+/**
+ * Time-of-day profile: the mean of each slot over the last PROFILE_DAYS days
+ * of the target's day type (weekday or weekend), or over all of them when
+ * none match
+ */
+const profile: Model = (history, target) => {
+  const recent = history.slice(-PROFILE_DAYS);
+  const sameType = recent.filter(day => isWeekend(day.date) === isWeekend(target));
+  const days = sameType.length > 0 ? sameType : recent;
+  return filled(Array.from({ length: SLOTS }, (_, s) =>
+    mean(days.map(day => day.prices[s]).filter((p): p is number => p !== undefined))));
+};
+
+/**
+ * Features for the regression: the seasonal-naive price, the price a week
+ * before the target (seasonal naive when that day is not in the history) and
+ * the day-type profile
+ */
+function features(history: DayPrices[], target: string): number[][] {
+  const naive = seasonalNaive(history, target);
+  const weekAgo = new Date(`${target}T00:00:00Z`);
+  weekAgo.setUTCDate(weekAgo.getUTCDate() - 7);
+  const week = history.find(day => day.date === weekAgo.toISOString().split('T')[0]);
+  const shape = profile(history, target);
+  return naive.map((p, s) => [1, p, week?.prices[s] ?? p, shape[s]]);
+}
+
+/**
+ * Least squares with a small ridge penalty (keeps collinear lags solvable),
+ * by Gaussian elimination on the normal equations
+ */
+export function leastSquares(rows: number[][], targets: number[], ridge = 1e-3): number[] {
+  const n = rows[0].length;
+  const a = Array.from({ length: n }, (_, i) => Array.from({ length: n + 1 }, (_, j) =>
+    j === n ? rows.reduce((sum, row, r) => sum + row[i] * targets[r], 0)
+            : rows.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j && i > 0 ? ridge * rows.length : 0)));
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    if (Math.abs(a[col][col]) < 1e-12) continue;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = a[r][col] / a[col][col];
+      for (let j = col; j <= n; j++) a[r][j] -= factor * a[col][j];
+    }
+  }
+  return a.map((row, i) => Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]);
+}
+
+/**
+ * Linear regression on the seasonal-naive, week-ago and profile prices,
+ * fitted over the history: each history day is predicted from the days
+ * before it, as the forecast will be. Falls back to the profile until a
+ * week of training days is available.
+ */
+const regression: Model = (history, target) => {
+  const rows: number[][] = [];
+  const targets: number[] = [];
+  for (let d = Math.max(7, history.length - PROFILE_DAYS); d < history.length; d++) {
+    const x = features(history.slice(0, d), history[d].date);
+    history[d].prices.forEach((price, s) => {
+      if (price === undefined) return;
+      rows.push(x[s]);
+      targets.push(price);
+    });
+  }
+  if (rows.length < SLOTS * 7) return profile(history, target);
+
+  const coefficients = leastSquares(rows, targets);
+  return features(history, target).map(x => x.reduce((sum, v, i) => sum + v * coefficients[i], 0));
+};
+
+export const FORECAST_MODELS: Record<string, Model> = {
+  seasonalNaive,
+  profile,
+  regression
+};
+
+/**
+ * Forecast `horizon` days from `date`, using only history before `date`.
+ * Days after the first are forecast from the same history (no recursion on
+ * earlier forecasts).
+ */
+export function forecastDays(model: string, history: DayPrices[], date: string, horizon: number): DayPrices[] {
+  const issued = history.filter(day => day.date < date);
+  return Array.from({ length: horizon }, (_, k) => {
+    const target = new Date(`${date}T00:00:00Z`);
+    target.setUTCDate(target.getUTCDate() + k);
+    const targetDate = target.toISOString().split('T')[0];
+    return { date: targetDate, prices: FORECAST_MODELS[model](issued, targetDate) };
+  });
+}
+
+/**
+ * Day-ahead accuracy of a model over the last `days` days of the history,
+ * each forecast from the days before it
+ */
+export function backtest(model: string, history: DayPrices[], days = BACKTEST_DAYS): Accuracy {
+  let absError = 0, squaredError = 0, intervals = 0, spikes = 0, hits = 0, tested = 0;
+  for (let d = Math.max(1, history.length - days); d < history.length; d++) {
+    const forecast = FORECAST_MODELS[model](history.slice(0, d), history[d].date);
+    tested++;
+    history[d].prices.forEach((actual, s) => {
+      if (actual === undefined) return;
+      const error = forecast[s] - actual;
+      absError += Math.abs(error);
+      squaredError += error * error;
+      intervals++;
+      if (actual >= SPIKE_PRICE) {
+        spikes++;
+        if (forecast[s] >= SPIKE_PRICE) hits++;
+      }
+    });
+  }
+  return {
+    mae: intervals > 0 ? absError / intervals : null,
+    rmse: intervals > 0 ? Math.sqrt(squaredError / intervals) : null,
+    spikeHitRate: spikes > 0 ? hits / spikes : null,
+    spikes,
+    intervals,
+    days: tested
+  };
+}
@@ -3,6 +3,8 @@
  * Continuously harvests REAL AEMO price data
  */
 
+import { FORECAST_MODELS, PROFILE_DAYS, BACKTEST_DAYS, SLOTS, DayPrices, toDayPrices, forecastDays, backtest } from './forecast';
+
 export interface Env {
   NEM_R2: R2Bucket;
   DB: D1Database;
@@ -294,6 +296,54 @@ export default {
       }, corsHeaders);
     }
 
+    // Price forecast from harvested history, with each model's backtested accuracy
+    if (path === '/api/forecast') {
+      const region = (url.searchParams.get('region') || 'VIC1').toUpperCase();
+      const date = url.searchParams.get('date') || todayAEST();
+      const horizon = Math.max(1, Math.min(7, parseInt(url.searchParams.get('horizon') || '1') || 1));
+      const requested = url.searchParams.get('model');
+      
+      if (requested && !(requested in FORECAST_MODELS)) {
+        return json({
+          success: false,
+          error: `Unknown model ${requested}; expected one of ${Object.keys(FORECAST_MODELS).join(', ')}`
+        }, corsHeaders);
+      }
+      
+      const history = await getHistory(env, region, date, PROFILE_DAYS + BACKTEST_DAYS);
+      if (history.length === 0) {
+        return json({ 
+          success: false, 
+          error: 'No price history before this date'
+        }, corsHeaders);
+      }
+      
+      const accuracy: Record<string, any> = {};
+      for (const model of Object.keys(FORECAST_MODELS)) {
+        accuracy[model] = backtest(model, history);
+      }
+      // Without a requested model, use the one with the lowest backtested MAE
+      const model = requested || Object.keys(accuracy).reduce((best, m) =>
+        (accuracy[m].mae ?? Infinity) < (accuracy[best].mae ?? Infinity) ? m : best);
+      
+      const slotTime = (s: number) =>
+        `${String(Math.floor(s / 12)).padStart(2, '0')}:${String((s % 12) * 5).padStart(2, '0')}`;
+      return json({
+        success: true,
+        source: 'nem-harvester-forecast',
+        region,
+        date,
+        horizon,
+        model,
+        historyDays: history.length,
+        accuracy,
+        forecast: forecastDays(model, history, date, horizon).map(day => ({
+          date: day.date,
+          data: day.prices.slice(0, SLOTS).map((price, s) => ({ time: slotTime(s), price }))
+        }))
+      }, corsHeaders);
+    }
+
     // Health check
     if (path === '/health') {
       const stats = await getStats(env);
@@ -679,6 +729,19 @@ async function getDayData(env: Env, region: string, date: string): Promise<any[]
   return JSON.parse(await object.text());
 }
 
+// Stored days before `date` (oldest first) as slot prices, skipping days not harvested
+async function getHistory(env: Env, region: string, date: string, days: number): Promise<DayPrices[]> {
+  const dates = Array.from({ length: days }, (_, i) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - days + i);
+    return day.toISOString().split('T')[0];
+  });
+  const stored = await Promise.all(dates.map(d => getDayData(env, region, d)));
+  return dates
+    .map((d, i) => stored[i] && stored[i]!.length > 0 ? toDayPrices(d, stored[i]!) : null)
+    .filter((day): day is DayPrices => day !== null);
+}
+
 // Parse AEMO CSV format
 function parseAEMOCSV(csv: string, region: string): any[] {
   const lines = csv.split(/\r?\n/);
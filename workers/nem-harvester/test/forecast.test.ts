@@ -0,0 +1,90 @@
+/**
+ * Forecast models and their backtest, on synthetic history
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DayPrices, SLOTS, SPIKE_PRICE, BACKTEST_DAYS, toDayPrices, leastSquares, forecastDays, backtest } from '../src/forecast';
+
+// `count` days from 2024-07-01 (a Monday), each priced by shape(slot, day index)
+function days(count: number, shape: (slot: number, d: number) => number): DayPrices[] {
+  return Array.from({ length: count }, (_, d) => {
+    const date = new Date(Date.UTC(2024, 6, 1 + d)).toISOString().split('T')[0];
+    return { date, prices: Array.from({ length: SLOTS }, (_, s) => shape(s, d)) };
+  });
+}
+
+test('toDayPrices places intervals by time and leaves gaps undefined', () => {
+  const day = toDayPrices('2024-07-01', [
+    { time: '00:00', price: 50 },
+    { time: '12:05', price: 80 },
+    { time: '13:00', price: NaN }
+  ]);
+  assert.equal(day.prices.length, SLOTS);
+  assert.equal(day.prices[0], 50);
+  assert.equal(day.prices[145], 80);
+  assert.equal(day.prices[156], undefined);
+  assert.equal(day.prices[1], undefined);
+});
+
+test('leastSquares recovers a linear relation and survives collinear columns', () => {
+  const rows = Array.from({ length: 100 }, (_, x) => [1, x]);
+  const [intercept, slope] = leastSquares(rows, rows.map(([, x]) => 2 + 3 * x));
+  assert.ok(Math.abs(intercept - 2) < 1e-2 && Math.abs(slope - 3) < 1e-4);
+
+  const collinear = leastSquares(rows.map(([one, x]) => [one, x, x]), rows.map(([, x]) => 3 * x));
+  assert.ok(collinear.every(Number.isFinite));
+  assert.ok(Math.abs(collinear[1] + collinear[2] - 3) < 1e-3, 'the lags share the slope');
+});
+
+test('forecastDays uses only the history before the issue date', () => {
+  const history = days(10, (s, d) => d === 9 ? 10000 : 50 + d);
+  const [first, second] = forecastDays('seasonalNaive', history, history[9].date, 2);
+  assert.equal(first.date, '2024-07-10');
+  assert.equal(second.date, '2024-07-11');
+  assert.ok(first.prices.every(p => p === 58), 'the last day before the issue date');
+  assert.deepEqual(second.prices, first.prices, 'later days do not recurse on forecasts');
+});
+
+test('seasonal naive fills a slot from the latest day that has it', () => {
+  const history = days(3, (s, d) => 10 * (d + 1));
+  history[2].prices[5] = undefined;
+  const [forecast] = forecastDays('seasonalNaive', history, '2024-07-04', 1);
+  assert.equal(forecast.prices[0], 30);
+  assert.equal(forecast.prices[5], 20);
+});
+
+test('the profile averages days of the same type', () => {
+  // Weekends at 200, weekdays at 50; 2024-07-13 is a Saturday
+  const history = days(12, (s, d) => d % 7 >= 5 ? 200 : 50);
+  const [saturday] = forecastDays('profile', history, '2024-07-13', 1);
+  const [monday] = forecastDays('profile', history, '2024-07-15', 1);
+  assert.ok(saturday.prices.every(p => p === 200));
+  assert.ok(monday.prices.every(p => p === 50));
+});
+
+test('the regression learns a repeating daily shape', () => {
+  const shape = (s: number) => 60 + 40 * Math.sin(2 * Math.PI * s / SLOTS);
+  const history = days(21, s => shape(s));
+  const [forecast] = forecastDays('regression', history, '2024-07-22', 1);
+  assert.equal(forecast.prices.length, SLOTS);
+  assert.ok(forecast.prices.every((p, s) => Math.abs((p as number) - shape(s)) < 1));
+});
+
+test('backtest scores each of the last days against the days before it', () => {
+  // Every day the same, with an evening spike: seasonal naive is exact
+  const history = days(14, s => s === 216 ? SPIKE_PRICE * 2 : 50);
+  const exact = backtest('seasonalNaive', history);
+  assert.equal(exact.days, BACKTEST_DAYS);
+  assert.equal(exact.intervals, BACKTEST_DAYS * SLOTS);
+  assert.equal(exact.mae, 0);
+  assert.equal(exact.spikes, BACKTEST_DAYS);
+  assert.equal(exact.spikeHitRate, 1);
+
+  // A day one price higher than the one before: every slot is $1 out
+  const rising = backtest('seasonalNaive', days(14, (s, d) => 50 + d));
+  assert.ok(Math.abs((rising.mae as number) - 1) < 1e-9 && Math.abs((rising.rmse as number) - 1) < 1e-9);
+  assert.equal(rising.spikeHitRate, null, 'no spikes to hit');
+
+  const empty = backtest('seasonalNaive', days(1, () => 50));
+  assert.equal(empty.mae, null);
+});